@@ -0,0 +1,121 @@
+// Local stand-in for the damage reports API, so the REST data source can be
+// exercised offline. Run with `npm run mock-api` and start the dashboard with
+// REACT_APP_DAMAGE_API_URL=http://localhost:4000/api/records.
+//
+//   GET  /api/records?page=1&pageSize=100&since=<cursor>
+//        -> { records, page, pageSize, total, nextPage, cursor }
+//        Records added after `since` (all records without it), oldest first.
+//        Pass the returned `cursor` as `since` on the next poll.
+//   POST /api/records   (one record as JSON, keyed like the CSV columns)
+//        -> 201 with the stored record
+//
+// One of the fixture's "incoming" records is added every RELEASE_INTERVAL
+// milliseconds to simulate new reports arriving.
+
+const http = require('http');
+const fixtures = require('./fixtures/records.json');
+
+const PORT = parseInt(process.env.PORT, 10) || 4000;
+const RELEASE_INTERVAL = parseInt(process.env.RELEASE_INTERVAL, 10) || 20000;
+const MAX_PAGE_SIZE = 1000;
+
+let nextId = 1;
+const records = [];
+const pending = [...fixtures.incoming];
+
+// Cursors are the insertion sequence number, so records added in the same
+// millisecond can't be skipped
+const addRecord = (row) => {
+  const record = { ...row, id: nextId, addedAt: new Date().toISOString() };
+  nextId += 1;
+  records.push(record);
+  return record;
+};
+
+fixtures.initial.forEach(addRecord);
+
+const queryRecords = ({ page, pageSize, since }) => {
+  const matching = records.filter(record => record.id > since);
+  const start = (page - 1) * pageSize;
+  return {
+    records: matching.slice(start, start + pageSize),
+    page,
+    pageSize,
+    total: matching.length,
+    nextPage: start + pageSize < matching.length ? page + 1 : null,
+    cursor: String(nextId - 1)
+  };
+};
+
+const send = (res, status, body) => {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type'
+  });
+  res.end(JSON.stringify(body));
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => resolve(body));
+  req.on('error', reject);
+});
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, POST',
+      'Access-Control-Allow-Headers': 'Content-Type'
+    });
+    res.end();
+    return;
+  }
+
+  if (url.pathname !== '/api/records') {
+    send(res, 404, { error: `No route for ${url.pathname}` });
+    return;
+  }
+
+  if (req.method === 'GET') {
+    const page = Math.max(1, parseInt(url.searchParams.get('page'), 10) || 1);
+    const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(url.searchParams.get('pageSize'), 10) || 100));
+    const since = parseInt(url.searchParams.get('since'), 10) || 0;
+    send(res, 200, queryRecords({ page, pageSize, since }));
+    return;
+  }
+
+  if (req.method === 'POST') {
+    try {
+      const row = JSON.parse(await readBody(req));
+      if (!row['Date of Weather Event'] || !row.Installation || Number.isNaN(parseFloat(row.Cost))) {
+        send(res, 400, { error: 'A record needs "Date of Weather Event", "Installation" and a numeric "Cost"' });
+        return;
+      }
+      send(res, 201, addRecord(row));
+    } catch (err) {
+      send(res, 400, { error: `Invalid JSON: ${err.message}` });
+    }
+    return;
+  }
+
+  send(res, 405, { error: `${req.method} is not supported` });
+});
+
+const releaseTimer = setInterval(() => {
+  const row = pending.shift();
+  if (!row) {
+    clearInterval(releaseTimer);
+    return;
+  }
+  const record = addRecord(row);
+  console.log(`Released record ${record.id}: ${record['Weather Event']} at ${record.Installation}`);
+}, RELEASE_INTERVAL);
+
+server.listen(PORT, () => {
+  console.log(`Mock damage reports API on http://localhost:${PORT}/api/records (${records.length} records)`);
+});
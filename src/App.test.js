@@ -1,8 +1,25 @@
+import fs from 'fs';
+import path from 'path';
 import { render, screen } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
+// Serve the bundled CSV files from public/ in place of the network
+beforeEach(() => {
+  global.fetch = jest.fn(async (url) => {
+    const file = path.join(__dirname, '../public', url);
+    if (!fs.existsSync(file)) return { ok: false, status: 404, statusText: 'Not Found' };
+    const text = fs.readFileSync(file, 'utf8');
+    return { ok: true, status: 200, text: async () => text };
+  });
+});
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test('loads the bundled data and shows the forecast', async () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(screen.getByText(/loading/i)).toBeInTheDocument();
+  expect(await screen.findByRole('button', { name: 'Damage Forecast' })).toBeInTheDocument();
+  expect(screen.queryByText(/error fetching data/i)).not.toBeInTheDocument();
 });
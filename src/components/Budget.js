@@ -0,0 +1,267 @@
+import React, { useMemo, useRef, useState } from 'react';
+import {
+  Sankey, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, Layer, Rectangle
+} from 'recharts';
+import _ from 'lodash';
+import { BUDGET_DIMENSIONS, MAX_FLOW_INSTALLATIONS, budgetFlow, budgetPivot, yearOverYear } from '../utils/budget';
+import { HAZARD_COLORS } from '../utils/weatherTypes';
+import { formatPercentChange } from '../utils/comparison';
+import { exportCsv } from '../utils/chartExport';
+import { formatCurrency } from '../utils/format';
+import { dollarUnit } from '../utils/dollars';
+import { formatYear } from '../utils/dates';
+import ChartExportMenu from './ChartExportMenu';
+
+const COLORS = ['#0088FE', '#00C49F', '#FFBB28', '#FF8042', '#8884d8', '#82ca9d', '#ffc658', '#8dd1e1'];
+const LEVEL_COLORS = { appropriation: '#3182ce', sag: '#805ad5', installation: '#718096' };
+
+const PIVOT_COLUMNS = [
+  { key: 'name' },
+  { key: 'cost', label: 'Cost' },
+  { key: 'count', label: 'Records' },
+  { key: 'share', label: 'Share' }
+];
+
+const formatMillions = (value) => `$${(value / 1000000).toFixed(0)}M`;
+const formatShare = (share) => `${(share * 100).toFixed(1)}%`;
+
+// Sankey node with its name beside it; the last column is labelled on its
+// left so the text stays inside the chart
+const FlowNode = ({ x, y, width, height, payload, containerWidth }) => {
+  const color = payload.level === 'hazard' ? HAZARD_COLORS[payload.name] || HAZARD_COLORS.Other : LEVEL_COLORS[payload.level];
+  const onRight = x + width + 6 < containerWidth - 150;
+  return (
+    <Layer>
+      <Rectangle x={x} y={y} width={width} height={height} fill={color} fillOpacity={0.9} />
+      <text
+        x={onRight ? x + width + 6 : x - 6}
+        y={y + height / 2}
+        textAnchor={onRight ? 'start' : 'end'}
+        dominantBaseline="middle"
+        fontSize={11}
+      >
+        {payload.name}
+      </text>
+    </Layer>
+  );
+};
+
+// Which accounts pay for weather damage: a flow from hazard through
+// appropriation and SAG to installation, a pivot of cost by account with
+// subtotals, and each account's cost by year. Everything follows the filters.
+const Budget = ({ data, yearBasis, dollarBasis }) => {
+  const [outer, setOuter] = useState('appropriation');
+  const [inner, setInner] = useState('sag');
+  const [sortBy, setSortBy] = useState('cost');
+  const [direction, setDirection] = useState('desc');
+  const [yearDimension, setYearDimension] = useState('appropriation');
+  const flowRef = useRef(null);
+  const yearRef = useRef(null);
+
+  const flow = useMemo(() => budgetFlow(data), [data]);
+  const pivot = useMemo(() => budgetPivot(data, { outer, inner, sortBy, direction }), [data, outer, inner, sortBy, direction]);
+  const byYear = useMemo(() => yearOverYear(data, yearDimension), [data, yearDimension]);
+
+  const [previousYear, latestYear] = byYear.years.slice(-2);
+  const yearChart = byYear.years.map(year => ({
+    year,
+    ..._.fromPairs(byYear.rows.map(row => [row.name, row.byYear[year] || 0]))
+  }));
+  const flowRows = flow.links.map(link => ({
+    source: flow.nodes[link.source].name,
+    target: flow.nodes[link.target].name,
+    value: link.value
+  }));
+
+  const sort = (key) => {
+    if (key === sortBy) {
+      setDirection(direction === 'desc' ? 'asc' : 'desc');
+    } else {
+      setSortBy(key);
+      setDirection(key === 'name' ? 'asc' : 'desc');
+    }
+  };
+
+  const changeOuter = (value) => {
+    setOuter(value);
+    if (value === inner) setInner(outer);
+  };
+
+  const downloadPivot = () => exportCsv(
+    [
+      ..._.flatMap(pivot.rows, row => [
+        { [outer]: row.name, [inner]: 'Subtotal', cost: row.cost, count: row.count, share: row.share },
+        ...row.children.map(child => ({ [outer]: row.name, [inner]: child.name, cost: child.cost, count: child.count, share: child.share }))
+      ]),
+      { [outer]: 'Total', [inner]: '', cost: pivot.total.cost, count: pivot.total.count, share: 1 }
+    ],
+    `budget-${outer}-${inner}`,
+    { [outer]: BUDGET_DIMENSIONS[outer].label, [inner]: BUDGET_DIMENSIONS[inner].label, cost: 'Cost', count: 'Records', share: 'Share' }
+  );
+
+  const yearRows = [...byYear.rows, byYear.total].map(row => ({ name: row.name, ...row.byYear, total: row.total, change: row.change }));
+  const yearColumns = {
+    name: BUDGET_DIMENSIONS[yearDimension].label,
+    ..._.fromPairs(byYear.years.map(year => [year, formatYear(year, yearBasis)])),
+    total: 'Total',
+    change: 'Change'
+  };
+
+  const dimensionSelect = (id, value, onChange, exclude) => (
+    <select id={id} className="filter-select" value={value} onChange={(e) => onChange(e.target.value)}>
+      {_.map(BUDGET_DIMENSIONS, (dimension, key) => (
+        key !== exclude && <option key={key} value={key}>{dimension.label}</option>
+      ))}
+    </select>
+  );
+
+  if (data.length === 0) {
+    return (
+      <div>
+        <h2>Budget Accounts</h2>
+        <p>No records in the current view.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <h2>Budget Accounts</h2>
+      <p className="filter-summary">
+        Accounts are the Appropriation and Line Item/SAG columns of the cost files; entries recorded as Unk or left
+        blank are shown as Unspecified. A SAG is shown with its appropriation, since the same SAG number is funded
+        separately under each.
+      </p>
+
+      <h3>Cost Flow: Hazard → Appropriation → SAG → Installation ({dollarUnit(dollarBasis)})</h3>
+      <ChartExportMenu
+        chartRef={flowRef}
+        filename="budget-flow"
+        rows={flowRows}
+        columns={{ source: 'From', target: 'To', value: 'Cost' }}
+      />
+      <div ref={flowRef} className="chart-container">
+        {flow.links.length === 0 ? (
+          <p>No records with a positive cost to show.</p>
+        ) : (
+          <ResponsiveContainer width="100%" height={Math.max(400, flow.nodes.length * 14)}>
+            <Sankey
+              data={flow}
+              node={<FlowNode />}
+              nodePadding={12}
+              margin={{ top: 10, right: 160, bottom: 10, left: 10 }}
+              link={{ stroke: '#a0aec0', strokeOpacity: 0.35 }}
+            >
+              <Tooltip formatter={(value) => formatCurrency(value, dollarBasis)} />
+            </Sankey>
+          </ResponsiveContainer>
+        )}
+      </div>
+      <p className="filter-summary">
+        Installations outside the {MAX_FLOW_INSTALLATIONS} costliest are combined; records without a positive cost are left
+        out of the flow.
+      </p>
+
+      <h3>Cost by Account ({dollarUnit(dollarBasis)})</h3>
+      <div className="filter-controls">
+        <div className="filter-group">
+          <label className="filter-label" htmlFor="budget-outer">Group by</label>
+          {dimensionSelect('budget-outer', outer, changeOuter)}
+        </div>
+        <div className="filter-group">
+          <label className="filter-label" htmlFor="budget-inner">Then by</label>
+          {dimensionSelect('budget-inner', inner, setInner, outer)}
+        </div>
+      </div>
+      <button className="link-button" onClick={downloadPivot}>Download CSV</button>
+      <table className="data-table budget-pivot">
+        <thead>
+          <tr>
+            {PIVOT_COLUMNS.map(column => (
+              <th key={column.key}>
+                <button className="link-button" onClick={() => sort(column.key)}>
+                  {column.key === 'name' ? `${BUDGET_DIMENSIONS[outer].label} / ${BUDGET_DIMENSIONS[inner].label}` : column.label}
+                  {sortBy === column.key ? (direction === 'desc' ? ' ▼' : ' ▲') : ''}
+                </button>
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {pivot.rows.map(row => (
+            <React.Fragment key={row.name}>
+              <tr className="subtotal-row">
+                <td>{row.name}</td>
+                <td>{formatCurrency(row.cost, dollarBasis)}</td>
+                <td>{row.count}</td>
+                <td>{formatShare(row.share)}</td>
+              </tr>
+              {row.children.map(child => (
+                <tr key={child.name}>
+                  <td className="pivot-child">{child.name}</td>
+                  <td>{formatCurrency(child.cost, dollarBasis)}</td>
+                  <td>{child.count}</td>
+                  <td>{formatShare(child.share)}</td>
+                </tr>
+              ))}
+            </React.Fragment>
+          ))}
+          <tr className="subtotal-row">
+            <td>Total</td>
+            <td>{formatCurrency(pivot.total.cost, dollarBasis)}</td>
+            <td>{pivot.total.count}</td>
+            <td>{formatShare(1)}</td>
+          </tr>
+        </tbody>
+      </table>
+
+      <h3>Account Cost by Year ({dollarUnit(dollarBasis)})</h3>
+      <div className="filter-group">
+        <label className="filter-label" htmlFor="budget-year-dimension">Account</label>
+        <select id="budget-year-dimension" className="filter-select" value={yearDimension} onChange={(e) => setYearDimension(e.target.value)}>
+          <option value="appropriation">{BUDGET_DIMENSIONS.appropriation.label}</option>
+          <option value="sag">{BUDGET_DIMENSIONS.sag.label}</option>
+        </select>
+      </div>
+      <ChartExportMenu chartRef={yearRef} filename={`budget-by-year-${yearDimension}`} rows={yearRows} columns={yearColumns} />
+      <div ref={yearRef} className="chart-container">
+        <ResponsiveContainer width="100%" height={400}>
+          <BarChart data={yearChart}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="year" tickFormatter={(year) => formatYear(year, yearBasis)} />
+            <YAxis tickFormatter={formatMillions} />
+            <Tooltip labelFormatter={(year) => formatYear(year, yearBasis)} formatter={(value) => formatCurrency(value, dollarBasis)} />
+            <Legend />
+            {byYear.rows.map((row, index) => (
+              <Bar key={row.name} dataKey={entry => entry[row.name]} name={row.name} stackId="accounts" fill={COLORS[index % COLORS.length]} />
+            ))}
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+      <table className="data-table">
+        <thead>
+          <tr>
+            <th>{BUDGET_DIMENSIONS[yearDimension].label}</th>
+            {byYear.years.map(year => <th key={year}>{formatYear(year, yearBasis)}</th>)}
+            <th>Total</th>
+            {latestYear !== undefined && (
+              <th>Change {formatYear(previousYear, yearBasis)} to {formatYear(latestYear, yearBasis)}</th>
+            )}
+          </tr>
+        </thead>
+        <tbody>
+          {[...byYear.rows, byYear.total].map(row => (
+            <tr key={row.name} className={row === byYear.total ? 'subtotal-row' : ''}>
+              <td>{row.name}</td>
+              {byYear.years.map(year => <td key={year}>{row.byYear[year] ? formatCurrency(row.byYear[year], dollarBasis) : '-'}</td>)}
+              <td>{formatCurrency(row.total, dollarBasis)}</td>
+              {latestYear !== undefined && <td>{formatPercentChange(row.change)}</td>}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default Budget;
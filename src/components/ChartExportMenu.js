@@ -0,0 +1,38 @@
+import React, { useState } from 'react';
+import { exportChartSvg, exportChartPng, exportCsv } from '../utils/chartExport';
+
+// Export menu for one chart: the chart as SVG or PNG (`chartRef` points at
+// the element holding it) and its underlying series as CSV.
+const ChartExportMenu = ({ chartRef, filename, rows, columns }) => {
+  const [error, setError] = useState(null);
+
+  const run = async (action) => {
+    try {
+      await action();
+      setError(null);
+    } catch (err) {
+      console.error('Export error:', err);
+      setError(err.message);
+    }
+  };
+
+  return (
+    <details className="export-menu">
+      <summary>Export</summary>
+      <div className="export-menu-items">
+        <button className="link-button" onClick={() => run(() => exportChartSvg(chartRef.current, filename))}>
+          Image (SVG)
+        </button>
+        <button className="link-button" onClick={() => run(() => exportChartPng(chartRef.current, filename))}>
+          Image (PNG)
+        </button>
+        <button className="link-button" onClick={() => run(() => exportCsv(rows, filename, columns))}>
+          Data (CSV)
+        </button>
+        {error && <p className="error-text">{error}</p>}
+      </div>
+    </details>
+  );
+};
+
+export default ChartExportMenu;
@@ -0,0 +1,145 @@
+import React, { useRef } from 'react';
+import {
+  BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, PieChart, Pie, Cell
+} from 'recharts';
+import _ from 'lodash';
+import {
+  COMPARISON_GROUPS, compareBy, comparisonSummary, formatDelta, formatPercentChange
+} from '../utils/comparison';
+import { HAZARD_COLORS } from '../utils/weatherTypes';
+import { formatYear } from '../utils/dates';
+import { dollarUnit } from '../utils/dollars';
+import { formatCurrency } from '../utils/format';
+import ChartExportMenu from './ChartExportMenu';
+
+const COLOR_A = '#0088FE';
+const COLOR_B = '#FF8042';
+const TOP_EVENTS = 10;
+
+const DELTA_COLUMNS = { name: 'Name', a: 'Selection A', b: 'Selection B', delta: 'Change', percentChange: 'Change (%)' };
+
+const formatMillions = (value) => `$${(value / 1000000).toFixed(1)}M`;
+
+const csvRows = (rows) => rows.map(row => ({
+  ...row,
+  percentChange: row.percentChange === null ? '' : Math.round(row.percentChange * 100)
+}));
+
+const DeltaTable = ({ rows, label, dollarBasis }) => (
+  <table className="data-table comparison-table">
+    <thead>
+      <tr>
+        <th>{label}</th>
+        <th>A</th>
+        <th>B</th>
+        <th>Change</th>
+        <th>Change (%)</th>
+      </tr>
+    </thead>
+    <tbody>
+      {rows.map(row => (
+        <tr key={row.name}>
+          <td>{row.name}</td>
+          <td>{formatCurrency(row.a, dollarBasis)}</td>
+          <td>{formatCurrency(row.b, dollarBasis)}</td>
+          <td className={row.delta > 0 ? 'delta-up' : row.delta < 0 ? 'delta-down' : ''}>{formatDelta(row.delta)}</td>
+          <td>{formatPercentChange(row.percentChange)}</td>
+        </tr>
+      ))}
+    </tbody>
+  </table>
+);
+
+// Two filter selections side by side: cost by hazard, top events and yearly
+// trend for A and B, each with its deltas, and a summary of the biggest movers
+const ComparisonView = ({ recordsA, recordsB, labelsA, labelsB, yearBasis, dollarBasis }) => {
+  const hazardChartRef = useRef(null);
+  const eventsChartRef = useRef(null);
+  const trendChartRef = useRef(null);
+
+  const byHazard = compareBy(recordsA, recordsB, COMPARISON_GROUPS.hazard);
+  const byEvent = compareBy(recordsA, recordsB, COMPARISON_GROUPS.event).slice(0, TOP_EVENTS);
+  const byYear = _.sortBy(compareBy(recordsA, recordsB, COMPARISON_GROUPS.year), 'name')
+    .map(row => ({ ...row, name: formatYear(row.name, yearBasis) }));
+  const summary = comparisonSummary(recordsA, recordsB, dollarBasis);
+  const unit = dollarUnit(dollarBasis);
+  const tooltipFormatter = (value) => formatCurrency(value, dollarBasis);
+
+  return (
+    <div>
+      <h2>Comparison: A vs. B</h2>
+
+      <div className="comparison-selections">
+        {[['A', labelsA, COLOR_A], ['B', labelsB, COLOR_B]].map(([name, lines, color]) => (
+          <div key={name} className="card" style={{ borderTop: `4px solid ${color}` }}>
+            <h3>Selection {name}</h3>
+            {lines.length === 0
+              ? <p>All records.</p>
+              : <ul className="list-disc">{lines.map(line => <li key={line}>{line}</li>)}</ul>}
+          </div>
+        ))}
+      </div>
+
+      <div className="info-box">
+        <h3>Comparison Summary</h3>
+        <ul className="list-disc">
+          {summary.map(line => <li key={line}>{line}</li>)}
+        </ul>
+      </div>
+
+      <h2>Cost by Weather Event Type ({unit})</h2>
+      <p>Inner ring: selection A. Outer ring: selection B.</p>
+      <ChartExportMenu chartRef={hazardChartRef} filename="comparison-by-hazard" rows={csvRows(byHazard)} columns={DELTA_COLUMNS} />
+      <div ref={hazardChartRef} style={{ height: '400px', width: '100%', minWidth: '300px' }}>
+        <ResponsiveContainer width="100%" height="100%">
+          <PieChart>
+            <Pie data={byHazard} dataKey="a" nameKey="name" cx="50%" cy="50%" outerRadius={90} name="A">
+              {byHazard.map(row => <Cell key={`a-${row.name}`} fill={HAZARD_COLORS[row.name] || HAZARD_COLORS.Other} />)}
+            </Pie>
+            <Pie data={byHazard} dataKey="b" nameKey="name" cx="50%" cy="50%" innerRadius={100} outerRadius={140} name="B">
+              {byHazard.map(row => <Cell key={`b-${row.name}`} fill={HAZARD_COLORS[row.name] || HAZARD_COLORS.Other} />)}
+            </Pie>
+            <Tooltip formatter={tooltipFormatter} />
+          </PieChart>
+        </ResponsiveContainer>
+      </div>
+      <DeltaTable rows={byHazard} label="Weather Type" dollarBasis={dollarBasis} />
+
+      <h2>Top Weather Events by Cost Impact ({unit})</h2>
+      <ChartExportMenu chartRef={eventsChartRef} filename="comparison-top-events" rows={csvRows(byEvent)} columns={DELTA_COLUMNS} />
+      <div ref={eventsChartRef} style={{ height: `${Math.max(300, byEvent.length * 45)}px`, width: '100%', minWidth: '300px' }}>
+        <ResponsiveContainer width="100%" height="100%">
+          <BarChart data={byEvent} layout="vertical" margin={{ top: 5, right: 30, left: 200, bottom: 5 }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis type="number" tickFormatter={formatMillions} />
+            <YAxis type="category" dataKey="name" width={180} interval={0} />
+            <Tooltip formatter={tooltipFormatter} />
+            <Legend />
+            <Bar dataKey="a" name="Selection A" fill={COLOR_A} />
+            <Bar dataKey="b" name="Selection B" fill={COLOR_B} />
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+      <DeltaTable rows={byEvent} label="Event" dollarBasis={dollarBasis} />
+
+      <h2>Yearly Trend ({unit})</h2>
+      <ChartExportMenu chartRef={trendChartRef} filename="comparison-yearly-trend" rows={csvRows(byYear)} columns={DELTA_COLUMNS} />
+      <div ref={trendChartRef} className="chart-container" style={{ height: '400px', width: '100%', minWidth: '300px' }}>
+        <ResponsiveContainer width="100%" height={400}>
+          <BarChart data={byYear}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="name" />
+            <YAxis tickFormatter={formatMillions} />
+            <Tooltip formatter={tooltipFormatter} />
+            <Legend />
+            <Bar dataKey="a" name="Selection A" fill={COLOR_A} />
+            <Bar dataKey="b" name="Selection B" fill={COLOR_B} />
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+      <DeltaTable rows={byYear} label="Year" dollarBasis={dollarBasis} />
+    </div>
+  );
+};
+
+export default ComparisonView;
@@ -0,0 +1,101 @@
+import React, { useMemo, useState } from 'react';
+import _ from 'lodash';
+import { FLAG_TYPES, flagRecords } from '../utils/dataQuality';
+import { toISODay } from '../utils/dates';
+import { formatCurrency } from '../utils/format';
+import { NOMINAL } from '../utils/dollars';
+
+// Review of records flagged by the data-quality checks. Ticking a row
+// excludes it from every other tab; excluded rows stay listed here (even if
+// they are no longer flagged) so they can be brought back.
+const DataQuality = ({ records, exclusions, onChange, dataSources }) => {
+  const [flagType, setFlagType] = useState('');
+
+  const flags = useMemo(() => flagRecords(records), [records]);
+  const excluded = new Set(exclusions);
+
+  const rows = records.filter(item => flags[item.id] || excluded.has(item.id));
+  const shown = flagType ? rows.filter(item => (flags[item.id] || []).some(flag => flag.type === flagType)) : rows;
+  const countByType = _.countBy(_.flatten(Object.values(flags)), 'type');
+  const excludedCount = records.filter(item => excluded.has(item.id)).length;
+  const typeSummary = Object.keys(FLAG_TYPES)
+    .filter(type => countByType[type])
+    .map(type => `${countByType[type]} ${FLAG_TYPES[type].toLowerCase()}`)
+    .join(', ');
+
+  const setExcluded = (ids, exclude) => {
+    const next = exclude ? _.union(exclusions, ids) : _.difference(exclusions, ids);
+    onChange(next);
+  };
+
+  return (
+    <div>
+      <h2>Data Quality</h2>
+      <div className="card">
+        <p>
+          {Object.keys(flags).length} of {records.length} records are flagged{typeSummary && ` (${typeSummary})`};
+          {' '}{excludedCount} excluded from the analysis. Outliers are judged on log cost within each hazard and
+          each installation with at least five records. Exclusions are saved in this browser.
+        </p>
+
+        <div className="filter-item">
+          <label htmlFor="quality-flag-type">Flag:</label>
+          <select id="quality-flag-type" value={flagType} onChange={(e) => setFlagType(e.target.value)}>
+            <option value="">All flagged and excluded records</option>
+            {Object.entries(FLAG_TYPES).map(([type, label]) => (
+              <option key={type} value={type}>{label} ({countByType[type] || 0})</option>
+            ))}
+          </select>
+        </div>
+        <button className="link-button" onClick={() => setExcluded(shown.map(item => item.id), true)}>
+          Exclude all shown
+        </button>{' '}
+        <button className="link-button" onClick={() => setExcluded(shown.map(item => item.id), false)}>
+          Include all shown
+        </button>
+
+        <table className="data-table">
+          <thead>
+            <tr>
+              <th>Exclude</th>
+              <th>Source</th>
+              <th>Installation</th>
+              <th>Event Date</th>
+              <th>Weather Event</th>
+              <th>Cost</th>
+              <th>Flags</th>
+            </tr>
+          </thead>
+          <tbody>
+            {shown.map(item => (
+              <tr key={item.id}>
+                <td>
+                  <input
+                    type="checkbox"
+                    aria-label={`Exclude ${item.id}`}
+                    checked={excluded.has(item.id)}
+                    onChange={(e) => setExcluded([item.id], e.target.checked)}
+                  />
+                </td>
+                <td>{dataSources.find(source => source.id === item.source)?.label || item.source}</td>
+                <td>{item.Installation}</td>
+                <td>{toISODay(item.date)}</td>
+                <td>{item['Weather Event']}</td>
+                <td>{formatCurrency(item.Cost, NOMINAL)}</td>
+                <td>
+                  {(flags[item.id] || []).map(flag => (
+                    <div key={`${flag.type}-${flag.message}`}><strong>{FLAG_TYPES[flag.type]}:</strong> {flag.message}</div>
+                  ))}
+                  {!flags[item.id] && 'No longer flagged'}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {shown.length === 0 && <p>No records to review.</p>}
+      </div>
+    </div>
+  );
+};
+
+export default DataQuality;
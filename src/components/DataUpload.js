@@ -0,0 +1,134 @@
+import React, { useState } from 'react';
+import Papa from 'papaparse';
+import { fileAdapter } from '../utils/dataAdapters';
+import { ISSUE_TYPES } from '../utils/validation';
+import { downloadFile } from '../utils/download';
+import { formatCurrency } from '../utils/format';
+import { NOMINAL } from '../utils/dollars';
+
+const MAX_REPORT_ROWS = 200;
+
+// Drop zone for new damage reports. The file is validated row by row; the
+// analyst reviews the report and either accepts the valid rows (passed to
+// `onAccept` as a new source plus its records) or discards the upload.
+const DataUpload = ({ onAccept }) => {
+  const [dragging, setDragging] = useState(false);
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState(null);
+
+  const handleFile = async (file) => {
+    if (!file) return;
+    try {
+      setReport({ fileName: file.name, ...(await fileAdapter(file).load()) });
+      setError(null);
+    } catch (err) {
+      console.error('Upload error:', err);
+      setError(`Could not read ${file.name}: ${err.message}`);
+      setReport(null);
+    }
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragging(false);
+    handleFile(e.dataTransfer.files[0]);
+  };
+
+  const downloadRejected = () => {
+    const rows = report.rejected.map(row => ({
+      Row: row.rowNumber,
+      Issues: row.issues.map(issue => issue.message).join('; '),
+      ...row.raw
+    }));
+    const baseName = report.fileName.replace(/\.[^.]+$/, '');
+    downloadFile(Papa.unparse(rows), `${baseName}-rejected.csv`, 'text/csv');
+  };
+
+  const accept = () => {
+    onAccept(report.source, report.records);
+    setReport(null);
+  };
+
+  return (
+    <div className="card data-upload">
+      <div
+        className={`drop-zone ${dragging ? 'dragging' : ''}`}
+        onDragOver={(e) => { e.preventDefault(); setDragging(true); }}
+        onDragLeave={() => setDragging(false)}
+        onDrop={handleDrop}
+      >
+        <p>Drop a CSV damage report here, or</p>
+        <label className="button button-secondary">
+          Choose File
+          <input
+            type="file"
+            accept=".csv,text/csv"
+            hidden
+            onChange={(e) => { handleFile(e.target.files[0]); e.target.value = ''; }}
+          />
+        </label>
+      </div>
+      {error && <p className="error-text">{error}</p>}
+
+      {report && (
+        <div className="validation-report">
+          <h3>Validation Report: {report.fileName}</h3>
+          {report.missingColumns.length > 0 && (
+            <p className="error-text">
+              Missing required columns: {report.missingColumns.join(', ')}
+            </p>
+          )}
+          <p>
+            {report.records.length} of {report.rowCount} rows are valid
+            ({formatCurrency(report.records.reduce((sum, record) => sum + record.Cost, 0), NOMINAL)}).
+            {report.rejected.length > 0 && ` ${report.rejected.length} rows were rejected.`}
+            {report.warnings.length > 0 && ` ${report.warnings.length} accepted rows have dates that could be read as either month/day or day/month; they were read as month/day.`}
+          </p>
+          {Object.keys(report.issueCounts).length > 0 && (
+            <ul className="list-disc">
+              {Object.entries(report.issueCounts).map(([type, count]) => (
+                <li key={type}>{ISSUE_TYPES[type]}: {count} rows</li>
+              ))}
+            </ul>
+          )}
+
+          {report.rejected.length > 0 && (
+            <table className="data-table">
+              <thead>
+                <tr>
+                  <th>Row</th>
+                  <th>Installation</th>
+                  <th>Issues</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.rejected.slice(0, MAX_REPORT_ROWS).map(row => (
+                  <tr key={row.rowNumber}>
+                    <td>{row.rowNumber}</td>
+                    <td>{row.raw[report.source.columns.Installation]}</td>
+                    <td>{row.issues.map(issue => issue.message).join('; ')}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          {report.rejected.length > MAX_REPORT_ROWS && (
+            <p>Showing the first {MAX_REPORT_ROWS} rejected rows; download the file for the full list.</p>
+          )}
+
+          <button className="button" onClick={accept} disabled={report.records.length === 0}>
+            Accept {report.records.length} Valid Rows
+          </button>{' '}
+          {report.rejected.length > 0 && (
+            <button className="button button-secondary" onClick={downloadRejected}>
+              Download Rejected Rows
+            </button>
+          )}{' '}
+          <button className="button button-secondary" onClick={() => setReport(null)}>Discard</button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DataUpload;
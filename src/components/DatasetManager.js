@@ -0,0 +1,104 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import _ from 'lodash';
+import { isCompatible } from '../utils/datasetCache';
+
+const TYPE_LABELS = { csv: 'CSV file', rest: 'API', upload: 'Upload' };
+
+// Datasets cached in the browser. Deleting a bundled file or API dataset only
+// means it is parsed again on the next load; deleting an upload also removes
+// its records from the dashboard (`onDeleteUpload`), since there is no file
+// to read it from again.
+const DatasetManager = ({ cache, onDeleteUpload }) => {
+  const [entries, setEntries] = useState([]);
+  const [error, setError] = useState(null);
+
+  const refresh = useCallback(async () => {
+    try {
+      setEntries(_.sortBy(await cache.list(), 'label'));
+      setError(null);
+    } catch (err) {
+      console.error('Could not list cached datasets:', err);
+      setError(`Could not read the dataset cache: ${err.message}`);
+    }
+  }, [cache]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const remove = async (entry) => {
+    try {
+      await cache.delete(entry.id);
+      if (entry.type === 'upload') onDeleteUpload(entry.id);
+    } catch (err) {
+      console.error(`Could not delete cached dataset ${entry.id}:`, err);
+      setError(`Could not delete ${entry.label}: ${err.message}`);
+    }
+    refresh();
+  };
+
+  const clearAll = async () => {
+    const uploads = entries.filter(entry => entry.type === 'upload');
+    if (uploads.length > 0 && !window.confirm(`This also removes ${uploads.length} uploaded datasets from the dashboard. Continue?`)) return;
+    try {
+      await cache.clear();
+      uploads.forEach(entry => onDeleteUpload(entry.id));
+    } catch (err) {
+      console.error('Could not clear the dataset cache:', err);
+      setError(`Could not clear the cache: ${err.message}`);
+    }
+    refresh();
+  };
+
+  return (
+    <div className="card dataset-manager">
+      <h3>Cached Datasets</h3>
+      <p>
+        Parsed datasets are kept in this browser so unchanged files aren't parsed again, uploads survive a reload and
+        the dashboard works offline with the last copy of each source.
+        {!cache.persistent && <strong> This browser doesn't support IndexedDB, so nothing is kept after a reload.</strong>}
+      </p>
+      {error && <p className="error-text">{error}</p>}
+      {entries.length === 0
+        ? <p>No datasets are cached yet.</p>
+        : (
+          <table className="data-table">
+            <thead>
+              <tr>
+                <th>Dataset</th>
+                <th>Type</th>
+                <th>Records</th>
+                <th>Cached</th>
+                <th>Content Hash</th>
+                <th>Status</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map(entry => (
+                <tr key={entry.id}>
+                  <td>{entry.label}</td>
+                  <td>{TYPE_LABELS[entry.type] || entry.type}</td>
+                  <td>{entry.recordCount}</td>
+                  <td>{new Date(entry.savedAt).toLocaleString()}</td>
+                  <td><code>{entry.hash}</code></td>
+                  <td>
+                    {isCompatible(entry)
+                      ? 'Current'
+                      : `Outdated${entry.type === 'upload' ? ': upload the file again' : ', parsed again on next load'}`}
+                  </td>
+                  <td>
+                    <button className="link-button" onClick={() => remove(entry)}>Delete</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      <button className="button button-secondary" onClick={refresh}>Refresh</button>{' '}
+      <button className="button button-secondary" onClick={clearAll} disabled={entries.length === 0}>Clear Cache</button>
+    </div>
+  );
+};
+
+export default DatasetManager;
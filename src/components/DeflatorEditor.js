@@ -0,0 +1,90 @@
+import React, { useState } from 'react';
+import _ from 'lodash';
+import { DEFAULT_DEFLATORS, deflatorYears } from '../utils/dollars';
+
+const toRows = (indexes) => deflatorYears(indexes).map(year => ({ year: year.toString(), index: indexes[year].toString() }));
+
+// Editable fiscal year → deflator index table used for constant dollars.
+// Changes apply when saved; `onChange` receives the new { year: index } table.
+const DeflatorEditor = ({ deflators, onChange }) => {
+  const [rows, setRows] = useState(() => toRows(deflators));
+  const [error, setError] = useState(null);
+
+  const updateRow = (position, key, value) => setRows(rows.map((row, index) => (
+    index === position ? { ...row, [key]: value } : row
+  )));
+
+  const addYear = () => {
+    const last = _.last(rows);
+    setRows([...rows, { year: last ? (parseInt(last.year, 10) + 1).toString() : '', index: last ? last.index : '100' }]);
+  };
+
+  const save = () => {
+    const invalid = rows.find(row => !/^\d{4}$/.test(row.year.trim()) || !(parseFloat(row.index) > 0));
+    if (invalid) {
+      setError(`Every row needs a four-digit fiscal year and a positive index (check FY "${invalid.year}")`);
+      return;
+    }
+    if (_.uniqBy(rows, row => row.year.trim()).length !== rows.length) {
+      setError('Each fiscal year can only appear once');
+      return;
+    }
+    setError(null);
+    onChange(_.fromPairs(rows.map(row => [row.year.trim(), parseFloat(row.index)])));
+  };
+
+  const reset = () => {
+    setRows(toRows(DEFAULT_DEFLATORS));
+    setError(null);
+    onChange(DEFAULT_DEFLATORS);
+  };
+
+  return (
+    <div className="card deflator-editor">
+      <h3>Deflator Index</h3>
+      <p>
+        Constant-dollar costs are scaled by the index of the base year over the index of the fiscal year the money
+        was spent. Years missing from the table use the nearest year listed.
+      </p>
+      <table className="data-table">
+        <thead>
+          <tr>
+            <th>Fiscal Year</th>
+            <th>Index</th>
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((row, index) => (
+            <tr key={index}>
+              <td>
+                <input className="filter-select" value={row.year} onChange={(e) => updateRow(index, 'year', e.target.value)} />
+              </td>
+              <td>
+                <input
+                  className="filter-select"
+                  type="number"
+                  step="0.1"
+                  min="0"
+                  value={row.index}
+                  onChange={(e) => updateRow(index, 'index', e.target.value)}
+                />
+              </td>
+              <td>
+                <button className="link-button" onClick={() => setRows(rows.filter((_row, position) => position !== index))}>
+                  Remove
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {error && <p className="error-text">{error}</p>}
+      <button className="button button-secondary" onClick={addYear}>Add Year</button>{' '}
+      <button className="button" onClick={save}>Save Deflators</button>{' '}
+      <button className="button button-secondary" onClick={reset}>Reset to Bundled Table</button>
+    </div>
+  );
+};
+
+export default DeflatorEditor;
@@ -0,0 +1,159 @@
+import React, { useRef } from 'react';
+import {
+  BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer,
+  ComposedChart, Line
+} from 'recharts';
+import _ from 'lodash';
+import { summarizeEvent } from '../utils/storms';
+import { toISODay } from '../utils/dates';
+import { formatCurrency } from '../utils/format';
+import { dollarUnit } from '../utils/dollars';
+import ChartExportMenu from './ChartExportMenu';
+
+const MAX_INSTALLATION_BARS = 15;
+
+const formatMillions = (value) => `$${(value / 1000000).toFixed(1)}M`;
+
+// After-action cost view for one event (usually a named storm): where the
+// money went by installation and appropriation, how costs accrued over time,
+// and every expense line behind the total.
+const EventDrillDown = ({ name, records, dollarBasis, onClose }) => {
+  const installationChartRef = useRef(null);
+  const timelineChartRef = useRef(null);
+  const summary = summarizeEvent(records);
+  const filename = _.kebabCase(name);
+  const installations = summary.byInstallation.slice(0, MAX_INSTALLATION_BARS);
+  const firstDay = _.first(summary.timeline)?.name;
+  const lastDay = _.last(summary.timeline)?.name;
+
+  return (
+    <div className="card event-drill-down">
+      <div className="drill-down-header">
+        <h2>{name}</h2>
+        <button className="button button-secondary" onClick={onClose}>Close</button>
+      </div>
+
+      <div className="metrics-container">
+        <div className="metric-card">
+          <h3>Total Cost</h3>
+          <p className="metric-value">{formatCurrency(summary.totalCost, dollarBasis)}</p>
+        </div>
+        <div className="metric-card">
+          <h3>Expense Lines</h3>
+          <p className="metric-value">{records.length}</p>
+        </div>
+        <div className="metric-card">
+          <h3>Installations</h3>
+          <p className="metric-value">{summary.byInstallation.length}</p>
+        </div>
+        <div className="metric-card">
+          <h3>Event Dates</h3>
+          <p className="metric-value">{firstDay === lastDay ? firstDay : `${firstDay} to ${lastDay}`}</p>
+        </div>
+      </div>
+
+      <div className="drill-down-charts">
+        <div>
+          <h3>Cost by Installation ({dollarUnit(dollarBasis)})</h3>
+          <ChartExportMenu
+            chartRef={installationChartRef}
+            filename={`${filename}-by-installation`}
+            rows={summary.byInstallation}
+            columns={{ name: 'Installation', state: 'State', value: 'Cost', count: 'Expense Lines' }}
+          />
+          <div ref={installationChartRef} style={{ height: `${Math.max(200, installations.length * 28)}px` }}>
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={installations} layout="vertical" margin={{ top: 5, right: 30, left: 150, bottom: 5 }}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis type="number" tickFormatter={formatMillions} />
+                <YAxis type="category" dataKey="name" width={140} interval={0} />
+                <Tooltip formatter={(value) => formatCurrency(value, dollarBasis)} />
+                <Bar dataKey="value" name="Cost" fill="#0088FE" />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+          {summary.byInstallation.length > MAX_INSTALLATION_BARS && (
+            <p>Showing the {MAX_INSTALLATION_BARS} costliest of {summary.byInstallation.length} installations.</p>
+          )}
+        </div>
+
+        <div>
+          <h3>Event Timeline ({dollarUnit(dollarBasis)})</h3>
+          <ChartExportMenu
+            chartRef={timelineChartRef}
+            filename={`${filename}-timeline`}
+            rows={summary.timeline}
+            columns={{ name: 'Date', value: 'Cost', cumulative: 'Cumulative Cost', count: 'Expense Lines' }}
+          />
+          <div ref={timelineChartRef} style={{ height: '300px' }}>
+            <ResponsiveContainer width="100%" height="100%">
+              <ComposedChart data={summary.timeline}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="name" />
+                <YAxis tickFormatter={formatMillions} />
+                <Tooltip formatter={(value) => formatCurrency(value, dollarBasis)} />
+                <Legend />
+                <Bar dataKey="value" name="Cost on date" fill="#00C49F" />
+                <Line type="stepAfter" dataKey="cumulative" name="Cumulative cost" stroke="#ff7300" strokeWidth={2} />
+              </ComposedChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+      </div>
+
+      <h3>Cost by Appropriation and SAG</h3>
+      <table className="data-table">
+        <thead>
+          <tr>
+            <th>Appropriation</th>
+            <th>Line Item/SAG</th>
+            <th>SAG Title</th>
+            <th>Lines</th>
+            <th>Cost</th>
+            <th>Share</th>
+          </tr>
+        </thead>
+        <tbody>
+          {summary.byAppropriation.map(row => (
+            <tr key={`${row.appropriation}|${row.sag}`}>
+              <td>{row.appropriation}</td>
+              <td>{row.sag}</td>
+              <td>{row.sagTitle}</td>
+              <td>{row.count}</td>
+              <td>{formatCurrency(row.value, dollarBasis)}</td>
+              <td>{summary.totalCost ? `${((row.value / summary.totalCost) * 100).toFixed(1)}%` : ''}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <h3>Itemized Expenses</h3>
+      <table className="data-table">
+        <thead>
+          <tr>
+            <th>Date</th>
+            <th>Installation</th>
+            <th>State</th>
+            <th>Appropriation</th>
+            <th>Details of Expense</th>
+            <th>Cost</th>
+          </tr>
+        </thead>
+        <tbody>
+          {summary.lines.map((item, index) => (
+            <tr key={index}>
+              <td>{toISODay(item.date)}</td>
+              <td>{item.Installation}</td>
+              <td>{item.State}</td>
+              <td>{item.Appropriation}</td>
+              <td>{item['Details of Expense']}</td>
+              <td>{formatCurrency(item.Cost, dollarBasis)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default EventDrillDown;
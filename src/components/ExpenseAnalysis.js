@@ -0,0 +1,136 @@
+import React, { useRef, useState } from 'react';
+import {
+  BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Cell
+} from 'recharts';
+import _ from 'lodash';
+import {
+  tagExpense, costByAsset, searchExpenses, highlightSegments, ASSET_COLORS
+} from '../utils/assetTags';
+import { toISODay } from '../utils/dates';
+import { formatCurrency } from '../utils/format';
+import { dollarUnit } from '../utils/dollars';
+import ChartExportMenu from './ChartExportMenu';
+
+const MAX_ROWS = 100;
+
+const Highlighted = ({ text, query }) => (
+  <>
+    {highlightSegments(text, query).map((segment, index) => (
+      segment.match ? <mark key={index}>{segment.text}</mark> : <span key={index}>{segment.text}</span>
+    ))}
+  </>
+);
+
+// Search over "Details of Expense" plus the cost of the matching lines by
+// damaged asset class. Clicking an asset bar narrows the list to that class.
+const ExpenseAnalysis = ({ data, dollarBasis }) => {
+  const [query, setQuery] = useState('');
+  const [selectedAsset, setSelectedAsset] = useState(null);
+  const chartRef = useRef(null);
+
+  const matches = searchExpenses(data, query);
+  const assetCosts = costByAsset(matches);
+  const lines = _.orderBy(
+    selectedAsset ? matches.filter(item => tagExpense(item['Details of Expense']).includes(selectedAsset)) : matches,
+    ['Cost'],
+    ['desc']
+  );
+
+  return (
+    <div>
+      <h2>Expense Details</h2>
+
+      <div className="info-box">
+        <h3>Damaged Asset Insights</h3>
+        <p>{assetCosts.length > 0
+          ? `${assetCosts[0].name} accounts for ${formatCurrency(assetCosts[0].value, dollarBasis)} of the ${
+            formatCurrency(_.sumBy(assetCosts, 'value'), dollarBasis)
+          } in ${query ? 'matching' : 'filtered'} expenses. Lines mentioning several asset classes are split evenly between them.`
+          : 'No expense lines match the search.'}</p>
+      </div>
+
+      <div className="filter-group">
+        <label className="filter-label" htmlFor="expense-search">
+          Search expense details (all words must match; use quotes for phrases)
+        </label>
+        <input
+          id="expense-search"
+          className="filter-select"
+          type="search"
+          placeholder='e.g. roof "water damage"'
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+        />
+      </div>
+
+      <h3>Cost by Damaged Asset Class ({dollarUnit(dollarBasis)})</h3>
+      <ChartExportMenu
+        chartRef={chartRef}
+        filename="cost-by-asset-class"
+        rows={assetCosts}
+        columns={{ name: 'Asset Class', value: 'Cost', count: 'Expense Lines' }}
+      />
+      <div ref={chartRef} style={{ height: `${Math.max(200, assetCosts.length * 40)}px` }}>
+        <ResponsiveContainer width="100%" height="100%">
+          <BarChart data={assetCosts} layout="vertical" margin={{ top: 5, right: 30, left: 100, bottom: 5 }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis type="number" tickFormatter={(value) => `$${(value / 1000000).toFixed(1)}M`} />
+            <YAxis type="category" dataKey="name" width={100} interval={0} />
+            <Tooltip formatter={(value) => formatCurrency(value, dollarBasis)} />
+            <Bar
+              dataKey="value"
+              name="Cost"
+              cursor="pointer"
+              onClick={(entry) => setSelectedAsset(entry.name === selectedAsset ? null : entry.name)}
+            >
+              {assetCosts.map(entry => (
+                <Cell
+                  key={entry.name}
+                  fill={ASSET_COLORS[entry.name]}
+                  fillOpacity={selectedAsset && selectedAsset !== entry.name ? 0.4 : 1}
+                />
+              ))}
+            </Bar>
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+
+      <p>
+        {lines.length} expense lines ({formatCurrency(_.sumBy(lines, 'Cost'), dollarBasis)})
+        {selectedAsset && <> tagged {selectedAsset}{' '}
+          <button className="link-button" onClick={() => setSelectedAsset(null)}>Show all classes</button></>}
+        {lines.length > MAX_ROWS && `; showing the ${MAX_ROWS} costliest`}.
+      </p>
+      <table className="data-table">
+        <thead>
+          <tr>
+            <th>Date</th>
+            <th>Installation</th>
+            <th>Weather Event</th>
+            <th>Details of Expense</th>
+            <th>Asset Classes</th>
+            <th>Cost</th>
+          </tr>
+        </thead>
+        <tbody>
+          {lines.slice(0, MAX_ROWS).map((item, index) => (
+            <tr key={index}>
+              <td>{toISODay(item.date)}</td>
+              <td>{item.Installation}</td>
+              <td>{item.weatherEventFull}</td>
+              <td><Highlighted text={item['Details of Expense']} query={query} /></td>
+              <td>
+                {tagExpense(item['Details of Expense']).map(tag => (
+                  <span key={tag} className="asset-tag" style={{ borderColor: ASSET_COLORS[tag] }}>{tag}</span>
+                ))}
+              </td>
+              <td>{formatCurrency(item.Cost, dollarBasis)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default ExpenseAnalysis;
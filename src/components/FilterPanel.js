@@ -0,0 +1,168 @@
+import React, { useMemo } from 'react';
+import _ from 'lodash';
+import { DEFAULT_FILTERS, filterOptions, countActiveFilters } from '../utils/filters';
+import { toISODay, formatYear } from '../utils/dates';
+import { formatCurrency } from '../utils/format';
+
+const SLIDER_STEPS = 1000;
+
+const LIST_FILTERS = [
+  { key: 'events', label: 'Events' },
+  { key: 'installations', label: 'Installations' },
+  { key: 'states', label: 'States' },
+  { key: 'branches', label: 'Branches' },
+  { key: 'appropriations', label: 'Appropriations' }
+];
+
+// Costs span several orders of magnitude, so the slider moves along a log
+// scale from 0 to the largest record; either end means "no bound".
+const sliderToCost = (position, maxCost) =>
+  Math.round(Math.expm1((position / SLIDER_STEPS) * Math.log1p(maxCost)));
+const costToSlider = (cost, maxCost) =>
+  (maxCost > 0 ? Math.round((Math.log1p(cost) / Math.log1p(maxCost)) * SLIDER_STEPS) : 0);
+
+// Every filter the dashboard supports. `data` is the unfiltered dataset the
+// option lists and bounds are drawn from; changes go to `onChange` as a
+// complete filter object. `children` are extra actions shown under the filters.
+// A second panel on the page (comparison mode) needs its own `idPrefix`.
+const FilterPanel = ({
+  filters, onChange, data, dataSources, years, yearBasis, dollarBasis, weatherTypes, title, idPrefix = '', children
+}) => {
+  const options = useMemo(() => filterOptions(data), [data]);
+  const maxCost = useMemo(() => _.max(data.map(item => item.Cost)) || 0, [data]);
+  const dates = useMemo(() => data.map(item => toISODay(item.date)).sort(), [data]);
+  const countBySource = useMemo(() => _.countBy(_.flatMap(data, item => item.sources)), [data]);
+  const activeCount = countActiveFilters(filters);
+
+  const update = (key, value) => onChange({ ...filters, [key]: value });
+
+  const minPosition = filters.minCost === null ? 0 : costToSlider(filters.minCost, maxCost);
+  const maxPosition = filters.maxCost === null ? SLIDER_STEPS : costToSlider(filters.maxCost, maxCost);
+
+  return (
+    <div className="filters-container filter-panel">
+      {title && <h3>{title}</h3>}
+      <div className="filter-controls">
+        <div className="filter-group">
+          <label className="filter-label" htmlFor={`${idPrefix}data-source`}>Data source</label>
+          <select
+            id={`${idPrefix}data-source`}
+            className="filter-select"
+            value={filters.source}
+            onChange={(e) => update('source', e.target.value)}
+          >
+            <option value="all">All sources (merged, {data.length} records)</option>
+            {dataSources.map(source => (
+              <option key={source.id} value={source.id}>
+                {source.label} ({countBySource[source.id] || 0} records)
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="filter-group">
+          <label className="filter-label" htmlFor={`${idPrefix}filter-year`}>Year</label>
+          <select
+            id={`${idPrefix}filter-year`}
+            className="filter-select"
+            value={filters.year}
+            onChange={(e) => update('year', e.target.value)}
+          >
+            <option value="all">All years</option>
+            {years.map(year => <option key={year} value={year}>{formatYear(year, yearBasis)}</option>)}
+          </select>
+        </div>
+        <div className="filter-group">
+          <label className="filter-label" htmlFor={`${idPrefix}filter-weather-type`}>Weather type</label>
+          <select
+            id={`${idPrefix}filter-weather-type`}
+            className="filter-select"
+            value={filters.weatherType}
+            onChange={(e) => update('weatherType', e.target.value)}
+          >
+            <option value="all">All weather types</option>
+            {weatherTypes.map(type => <option key={type} value={type}>{type}</option>)}
+          </select>
+        </div>
+        <div className="filter-group">
+          <label className="filter-label" htmlFor={`${idPrefix}filter-start-date`}>From</label>
+          <input
+            id={`${idPrefix}filter-start-date`}
+            className="filter-select"
+            type="date"
+            min={dates[0]}
+            max={filters.endDate || _.last(dates)}
+            value={filters.startDate}
+            onChange={(e) => update('startDate', e.target.value)}
+          />
+        </div>
+        <div className="filter-group">
+          <label className="filter-label" htmlFor={`${idPrefix}filter-end-date`}>To</label>
+          <input
+            id={`${idPrefix}filter-end-date`}
+            className="filter-select"
+            type="date"
+            min={filters.startDate || dates[0]}
+            max={_.last(dates)}
+            value={filters.endDate}
+            onChange={(e) => update('endDate', e.target.value)}
+          />
+        </div>
+        <div className="filter-group">
+          <span className="filter-label">
+            Cost per record: {formatCurrency(filters.minCost === null ? 0 : filters.minCost, dollarBasis)}
+            {' '}&ndash;{' '}
+            {formatCurrency(filters.maxCost === null ? maxCost : filters.maxCost, dollarBasis)}
+          </span>
+          <input
+            type="range"
+            aria-label="Minimum cost"
+            min="0"
+            max={SLIDER_STEPS}
+            value={minPosition}
+            onChange={(e) => {
+              const position = Math.min(parseInt(e.target.value, 10), maxPosition);
+              update('minCost', position === 0 ? null : sliderToCost(position, maxCost));
+            }}
+          />
+          <input
+            type="range"
+            aria-label="Maximum cost"
+            min="0"
+            max={SLIDER_STEPS}
+            value={maxPosition}
+            onChange={(e) => {
+              const position = Math.max(parseInt(e.target.value, 10), minPosition);
+              update('maxCost', position === SLIDER_STEPS ? null : sliderToCost(position, maxCost));
+            }}
+          />
+        </div>
+        {LIST_FILTERS.map(({ key, label }) => (
+          <div className="filter-group" key={key}>
+            <label className="filter-label" htmlFor={`${idPrefix}filter-${key}`}>
+              {label} ({filters[key].length ? `${filters[key].length} selected` : 'all'})
+            </label>
+            <select
+              id={`${idPrefix}filter-${key}`}
+              className="filter-select"
+              multiple
+              value={filters[key]}
+              onChange={(e) => update(key, Array.from(e.target.selectedOptions).map(option => option.value))}
+            >
+              {options[key].map(value => <option key={value} value={value}>{value}</option>)}
+            </select>
+          </div>
+        ))}
+      </div>
+      <p className="filter-summary">
+        {activeCount === 0 ? 'No filters applied.' : `${activeCount} filter${activeCount === 1 ? '' : 's'} applied.`}{' '}
+        The address bar links to this view.{' '}
+        {activeCount > 0 && (
+          <button className="link-button" onClick={() => onChange(DEFAULT_FILTERS)}>Clear filters</button>
+        )}
+      </p>
+      {children}
+    </div>
+  );
+};
+
+export default FilterPanel;
@@ -0,0 +1,166 @@
+import React, { useMemo, useState } from 'react';
+import { MapContainer, TileLayer, CircleMarker, Tooltip as MapTooltip } from 'react-leaflet';
+import 'leaflet/dist/leaflet.css';
+import _ from 'lodash';
+import { locateInstallation, spreadAround, cleanInstallationName } from '../utils/locations';
+import { normalizeWeatherType, HAZARD_COLORS } from '../utils/weatherTypes';
+import { formatCurrency } from '../utils/format';
+import { dollarUnit } from '../utils/dollars';
+
+const MIN_RADIUS = 5;
+const MAX_RADIUS = 30;
+
+// Group records by the installation they resolve to, so renamed forts and
+// alternate spellings end up on a single marker.
+const summarizeInstallations = (data) => {
+  const located = [];
+  const unlocated = [];
+
+  data.forEach(item => {
+    const location = locateInstallation(item.Installation, item.State);
+    if (location) {
+      located.push({ item, location });
+    } else {
+      unlocated.push(item);
+    }
+  });
+
+  const fallbackCounts = {};
+  const installations = _.chain(located)
+    .groupBy(({ location }) => `${location.name}|${location.state || ''}`)
+    .map((entries) => {
+      const { location } = entries[0];
+      const items = entries.map(entry => entry.item);
+      const costByHazard = _.chain(items)
+        .groupBy(item => normalizeWeatherType(item['Weather Event']))
+        .mapValues(group => _.sumBy(group, 'Cost'))
+        .value();
+
+      return {
+        name: location.name,
+        precision: location.precision,
+        state: location.state,
+        lat: location.lat,
+        lng: location.lng,
+        totalCost: _.sumBy(items, 'Cost'),
+        dominantHazard: _.maxBy(Object.keys(costByHazard), hazard => costByHazard[hazard]),
+        events: _.orderBy(items, ['date'], ['asc'])
+      };
+    })
+    .orderBy(['totalCost'], ['desc'])
+    .map(installation => {
+      if (installation.precision !== 'state') return installation;
+      // Fan out installations placed on the same state centroid
+      const index = fallbackCounts[installation.state] || 0;
+      fallbackCounts[installation.state] = index + 1;
+      return { ...installation, ...spreadAround(installation, index) };
+    })
+    .value();
+
+  return { installations, unlocated };
+};
+
+const GeographicAnalysis = ({ data, dollarBasis }) => {
+  const [selectedName, setSelectedName] = useState(null);
+
+  const { installations, unlocated } = useMemo(() => summarizeInstallations(data), [data]);
+  const maxCost = _.max(installations.map(i => i.totalCost)) || 1;
+  const hazards = _.uniq(installations.map(i => i.dominantHazard)).sort();
+  const approximateCount = installations.filter(i => i.precision === 'state').length;
+  const selected = installations.find(i => `${i.name}|${i.state || ''}` === selectedName);
+
+  const radiusFor = (cost) => MIN_RADIUS + (MAX_RADIUS - MIN_RADIUS) * Math.sqrt(cost / maxCost);
+
+  return (
+    <div>
+      <h2>Damage by Installation ({dollarUnit(dollarBasis)})</h2>
+
+      <div className="info-box">
+        <h3>Geographic Insights</h3>
+        <p>
+          {installations.length} installations reported weather damage in the current selection.
+          {installations[0] && ` ${installations[0].name} has the highest total cost at ${formatCurrency(installations[0].totalCost, dollarBasis)}.`}
+          {approximateCount > 0 && ` ${approximateCount} locations without known coordinates are shown at their state's center (dashed outline).`}
+          {unlocated.length > 0 && ` ${unlocated.length} records could not be placed on the map.`}
+        </p>
+      </div>
+
+      <div className="map-container">
+        <MapContainer center={[37.8, -96]} zoom={4} scrollWheelZoom={false} style={{ height: '100%', width: '100%' }}>
+          <TileLayer
+            attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+            url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+          />
+          {installations.map(installation => {
+            const key = `${installation.name}|${installation.state || ''}`;
+            const color = HAZARD_COLORS[installation.dominantHazard] || HAZARD_COLORS.Other;
+            return (
+              <CircleMarker
+                key={key}
+                center={[installation.lat, installation.lng]}
+                radius={radiusFor(installation.totalCost)}
+                pathOptions={{
+                  color,
+                  fillColor: color,
+                  fillOpacity: 0.6,
+                  weight: key === selectedName ? 3 : 1,
+                  dashArray: installation.precision === 'state' ? '4' : null
+                }}
+                eventHandlers={{ click: () => setSelectedName(key) }}
+              >
+                <MapTooltip>
+                  <strong>{installation.name}</strong><br />
+                  {formatCurrency(installation.totalCost, dollarBasis)} &middot; {installation.dominantHazard}
+                </MapTooltip>
+              </CircleMarker>
+            );
+          })}
+        </MapContainer>
+      </div>
+
+      <div className="map-legend">
+        {hazards.map(hazard => (
+          <span key={hazard} className="map-legend-item">
+            <span className="map-legend-swatch" style={{ backgroundColor: HAZARD_COLORS[hazard] || HAZARD_COLORS.Other }} />
+            {hazard}
+          </span>
+        ))}
+      </div>
+
+      {selected ? (
+        <div className="card">
+          <h3>{selected.name} &ndash; {formatCurrency(selected.totalCost, dollarBasis)}</h3>
+          {selected.precision === 'state' && (
+            <p>Location approximated from state ({selected.state}).</p>
+          )}
+          <table className="data-table">
+            <thead>
+              <tr>
+                <th>Date</th>
+                <th>Weather Event</th>
+                <th>Details of Expense</th>
+                <th>Reported Installation</th>
+                <th>Cost</th>
+              </tr>
+            </thead>
+            <tbody>
+              {selected.events.map((event, index) => (
+                <tr key={index}>
+                  <td>{event.date ? event.date.toLocaleDateString('en-US') : ''}</td>
+                  <td>{event.weatherEventFull}</td>
+                  <td>{event['Details of Expense']}</td>
+                  <td>{cleanInstallationName(event.Installation)}</td>
+                  <td>{formatCurrency(event.Cost, dollarBasis)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <p>Click an installation on the map to see its events.</p>
+      )}
+    </div>
+  );
+};
+
+export default GeographicAnalysis;
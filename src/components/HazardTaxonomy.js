@@ -0,0 +1,117 @@
+import React, { useMemo, useState } from 'react';
+import _ from 'lodash';
+import HAZARD_TAXONOMY from '../data/hazardTaxonomy.json';
+import { classifyWeatherEvent, HAZARD_COLORS } from '../utils/weatherTypes';
+import { formatCurrency } from '../utils/format';
+
+// Admin view of the hazard taxonomy: every raw "Weather Event" string in the
+// dataset next to the categories it maps to, with unmapped values listed
+// first so gaps in the rules are visible instead of disappearing into Other.
+const HazardTaxonomy = ({ data, dollarBasis }) => {
+  const [unmappedOnly, setUnmappedOnly] = useState(false);
+
+  const events = useMemo(() => _.chain(data)
+    .groupBy(item => (item['Weather Event'] || '').trim())
+    .map((items, raw) => {
+      const classification = classifyWeatherEvent(raw);
+      return {
+        raw,
+        count: items.length,
+        totalCost: _.sumBy(items, 'Cost'),
+        ...classification,
+        isUnmapped: raw === '' || classification.unmapped.length > 0
+      };
+    })
+    .orderBy(['isUnmapped', 'totalCost'], ['desc', 'desc'])
+    .value(), [data]);
+
+  const unmappedCount = events.filter(event => event.isUnmapped).length;
+  const shown = unmappedOnly ? events.filter(event => event.isUnmapped) : events;
+
+  const HazardLabel = ({ hazard }) => (
+    <span className="map-legend-item">
+      <span className="map-legend-swatch" style={{ backgroundColor: HAZARD_COLORS[hazard] || HAZARD_COLORS.Other }} />
+      {hazard}
+    </span>
+  );
+
+  return (
+    <div>
+      <h2>Hazard Taxonomy</h2>
+      <div className="card">
+        <p>
+          {events.length} distinct weather event values; {unmappedCount > 0
+            ? <strong>{unmappedCount} are not fully recognized by the taxonomy</strong>
+            : 'all are recognized by the taxonomy'}.
+          Rules are defined in <code>src/data/hazardTaxonomy.json</code>.
+        </p>
+        <label>
+          <input type="checkbox" checked={unmappedOnly} onChange={(e) => setUnmappedOnly(e.target.checked)} />
+          {' '}Show unmapped values only
+        </label>
+
+        <table className="data-table">
+          <thead>
+            <tr>
+              <th>Weather Event</th>
+              <th>Records</th>
+              <th>Total Cost</th>
+              <th>Primary Hazard</th>
+              <th>Secondary Hazards</th>
+              <th>Matched By</th>
+            </tr>
+          </thead>
+          <tbody>
+            {shown.map(event => (
+              <tr key={event.raw} className={event.isUnmapped ? 'unmapped-row' : ''}>
+                <td>{event.raw || <em>(empty)</em>}</td>
+                <td>{event.count}</td>
+                <td>{formatCurrency(event.totalCost, dollarBasis)}</td>
+                <td><HazardLabel hazard={event.primary} /></td>
+                <td>{event.secondary.map(hazard => <div key={hazard}><HazardLabel hazard={hazard} /></div>)}</td>
+                <td>
+                  {event.parts.map(part => (
+                    <div key={part.part}>
+                      "{part.part}": {part.matchedBy || <strong>unmapped</strong>}
+                    </div>
+                  ))}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="card">
+        <h3>Rules</h3>
+        <table className="data-table">
+          <thead>
+            <tr>
+              <th>Priority</th>
+              <th>Category</th>
+              <th>Pattern</th>
+            </tr>
+          </thead>
+          <tbody>
+            {_.orderBy(HAZARD_TAXONOMY.rules, ['priority'], ['desc']).map(rule => (
+              <tr key={rule.pattern}>
+                <td>{rule.priority}</td>
+                <td><HazardLabel hazard={rule.category} /></td>
+                <td><code>{rule.pattern}</code></td>
+              </tr>
+            ))}
+            {Object.entries(HAZARD_TAXONOMY.aliases).map(([alias, category]) => (
+              <tr key={alias}>
+                <td>alias</td>
+                <td><HazardLabel hazard={category} /></td>
+                <td><code>{alias}</code></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default HazardTaxonomy;
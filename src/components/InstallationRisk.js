@@ -0,0 +1,153 @@
+import React, { useMemo, useState } from 'react';
+import { LineChart, Line, YAxis } from 'recharts';
+import _ from 'lodash';
+import {
+  RISK_FACTORS, DEFAULT_RISK_WEIGHTS, installationRiskMetrics, scoreInstallations
+} from '../utils/riskScores';
+import { toISODay, formatYear } from '../utils/dates';
+import { exportCsv } from '../utils/chartExport';
+import { formatCurrency } from '../utils/format';
+import { dollarUnit } from '../utils/dollars';
+
+const PAGE_SIZE = 15;
+const MAX_WEIGHT = 5;
+
+const formatPercent = (value) => `${value >= 0 ? '+' : ''}${Math.round(value * 100)}%`;
+
+const COLUMNS = [
+  { key: 'name', label: 'Installation' },
+  { key: 'state', label: 'State' },
+  { key: 'score', label: 'Risk Score', format: value => value.toFixed(0) },
+  { key: 'events', label: 'Events' },
+  { key: 'frequency', label: 'Events / Year', format: value => value.toFixed(1) },
+  { key: 'totalCost', label: 'Total Cost', format: formatCurrency },
+  { key: 'meanCost', label: 'Mean Cost / Event', format: formatCurrency },
+  { key: 'volatility', label: 'Volatility', format: value => value.toFixed(2) },
+  { key: 'hazardDiversity', label: 'Hazard Types' },
+  { key: 'trend', label: 'Trend', format: formatPercent },
+  { key: 'lastEvent', label: 'Last Event', format: toISODay }
+];
+
+const Sparkline = ({ data }) => (
+  <LineChart width={100} height={28} data={data}>
+    <YAxis hide domain={[0, 'dataMax']} />
+    <Line type="monotone" dataKey="value" stroke="#3182ce" strokeWidth={1.5} dot={false} isAnimationActive={false} />
+  </LineChart>
+);
+
+// Ranking of installations by a composite risk score. The weights of the
+// individual factors can be adjusted to match what the analyst cares about.
+const InstallationRisk = ({ data, yearBasis, dollarBasis }) => {
+  const [weights, setWeights] = useState(DEFAULT_RISK_WEIGHTS);
+  const [sortKey, setSortKey] = useState('score');
+  const [sortOrder, setSortOrder] = useState('desc');
+  const [page, setPage] = useState(0);
+
+  const metrics = useMemo(() => installationRiskMetrics(data), [data]);
+  const scored = useMemo(() => scoreInstallations(metrics, weights), [metrics, weights]);
+  const rankByName = _.fromPairs(_.orderBy(scored, ['score'], ['desc']).map((item, index) => [item.name, index + 1]));
+  const sorted = _.orderBy(scored, [sortKey], [sortOrder]);
+
+  const pageCount = Math.max(1, Math.ceil(sorted.length / PAGE_SIZE));
+  const currentPage = Math.min(page, pageCount - 1);
+  const rows = sorted.slice(currentPage * PAGE_SIZE, (currentPage + 1) * PAGE_SIZE);
+
+  const sortBy = (key) => {
+    if (key === sortKey) {
+      setSortOrder(sortOrder === 'desc' ? 'asc' : 'desc');
+    } else {
+      setSortKey(key);
+      setSortOrder(key === 'name' || key === 'state' ? 'asc' : 'desc');
+    }
+    setPage(0);
+  };
+
+  const downloadRanking = () => exportCsv(
+    _.orderBy(scored, ['score'], ['desc']).map(item => ({ ...item, rank: rankByName[item.name], lastEvent: toISODay(item.lastEvent) })),
+    'installation-risk',
+    { rank: 'Rank', ..._.fromPairs(COLUMNS.map(column => [column.key, column.label])) }
+  );
+
+  const top = _.maxBy(scored, 'score');
+
+  return (
+    <div>
+      <h2>Installation Risk Ranking</h2>
+
+      <div className="info-box">
+        <h3>Risk Insights</h3>
+        <p>{top
+          ? `${top.name} ranks highest with a risk score of ${top.score.toFixed(0)}, from ${top.events} events costing ${
+            formatCurrency(top.totalCost, dollarBasis)
+          } in total. Scores rank each installation against the ${scored.length} in the current view, so they change with the filters.`
+          : 'No installations in the current view.'}</p>
+      </div>
+
+      <div className="card">
+        <h3>Factor Weights</h3>
+        <div className="filter-controls">
+          {RISK_FACTORS.map(factor => (
+            <div className="filter-group" key={factor.id}>
+              <label className="filter-label" htmlFor={`weight-${factor.id}`} title={factor.description}>
+                {factor.label}: {weights[factor.id]}
+              </label>
+              <input
+                id={`weight-${factor.id}`}
+                type="range"
+                min="0"
+                max={MAX_WEIGHT}
+                step="1"
+                value={weights[factor.id]}
+                onChange={(e) => setWeights({ ...weights, [factor.id]: parseInt(e.target.value, 10) })}
+              />
+              <small>{factor.description}</small>
+            </div>
+          ))}
+        </div>
+        <button className="link-button" onClick={() => setWeights(DEFAULT_RISK_WEIGHTS)}>Reset weights</button>
+      </div>
+
+      <table className="data-table risk-table">
+        <thead>
+          <tr>
+            <th>Rank</th>
+            {COLUMNS.map(column => (
+              <th key={column.key}>
+                <button className="link-button" onClick={() => sortBy(column.key)}>
+                  {column.label}{sortKey === column.key ? (sortOrder === 'desc' ? ' ▼' : ' ▲') : ''}
+                </button>
+              </th>
+            ))}
+            <th>Yearly Cost ({dollarUnit(dollarBasis)})</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(item => (
+            <tr key={item.name}>
+              <td>{rankByName[item.name]}</td>
+              {COLUMNS.map(column => (
+                <td key={column.key}>{column.format ? column.format(item[column.key], dollarBasis) : item[column.key]}</td>
+              ))}
+              <td title={item.yearly.map(point => `${formatYear(point.name, yearBasis)}: ${formatCurrency(point.value, dollarBasis)}`).join('\n')}>
+                <Sparkline data={item.yearly} />
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="pagination">
+        <button className="button button-secondary" disabled={currentPage === 0} onClick={() => setPage(currentPage - 1)}>
+          Previous
+        </button>
+        <span>Page {currentPage + 1} of {pageCount} ({sorted.length} installations)</span>
+        <button className="button button-secondary" disabled={currentPage >= pageCount - 1} onClick={() => setPage(currentPage + 1)}>
+          Next
+        </button>
+        <button className="button button-secondary" onClick={downloadRanking}>Download CSV</button>
+      </div>
+    </div>
+  );
+};
+
+export default InstallationRisk;
@@ -0,0 +1,204 @@
+import React, { useRef, useState } from 'react';
+import {
+  LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer
+} from 'recharts';
+import _ from 'lodash';
+import {
+  SEVERITY_MODELS, SIMULATION_YEARS, DEFAULT_SIMULATION_YEARS, DEFAULT_SEED, runLossSimulation
+} from '../utils/simulation';
+import { formatCurrency } from '../utils/format';
+import { dollarUnit } from '../utils/dollars';
+import { exportCsv } from '../utils/chartExport';
+import ChartExportMenu from './ChartExportMenu';
+
+const MAX_INSTALLATIONS = 20;
+
+const PERCENTILE_COLUMNS = { name: 'Name', mean: 'Mean', p50: 'P50', p90: 'P90', p99: 'P99', mitigatedP99: 'P99 with Mitigation' };
+const CURVE_COLUMNS = { returnPeriod: 'Return Period (years)', probability: 'Annual Exceedance Probability', loss: 'Annual Loss', mitigatedLoss: 'With Mitigation' };
+
+const formatMillions = (value) => `$${(value / 1000000).toFixed(0)}M`;
+
+const PercentileTable = ({ rows, label, mitigating, dollarBasis }) => (
+  <table className="data-table">
+    <thead>
+      <tr>
+        <th>{label}</th>
+        <th>Mean</th>
+        <th>P50</th>
+        <th>P90</th>
+        <th>P99</th>
+        {mitigating && <th>P99 with Mitigation</th>}
+      </tr>
+    </thead>
+    <tbody>
+      {rows.map(row => (
+        <tr key={row.name}>
+          <td>{row.name}</td>
+          <td>{formatCurrency(row.mean, dollarBasis)}</td>
+          <td>{formatCurrency(row.p50, dollarBasis)}</td>
+          <td>{formatCurrency(row.p90, dollarBasis)}</td>
+          <td>{formatCurrency(row.p99, dollarBasis)}</td>
+          {mitigating && <td>{formatCurrency(row.mitigatedP99, dollarBasis)}</td>}
+        </tr>
+      ))}
+    </tbody>
+  </table>
+);
+
+// Monte Carlo annual losses for reserve planning: exceedance curve and
+// P50/P90/P99 annual cost in total, per hazard and per installation. The
+// simulation runs on request, since large runs take a few seconds.
+const LossSimulation = ({ data, scenarios, selectedScenarios, dollarBasis }) => {
+  const [years, setYears] = useState(DEFAULT_SIMULATION_YEARS);
+  const [severity, setSeverity] = useState('lognormal');
+  const [seed, setSeed] = useState(DEFAULT_SEED);
+  const [applyMitigation, setApplyMitigation] = useState(false);
+  const [result, setResult] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [showAllInstallations, setShowAllInstallations] = useState(false);
+  const chartRef = useRef(null);
+
+  const measures = scenarios.filter(scenario => selectedScenarios.includes(scenario.id));
+  // Identifies the inputs of a run, to tell when the results are out of date
+  const settingsKey = JSON.stringify({
+    years,
+    severity,
+    seed,
+    measures: applyMitigation ? measures : [],
+    records: data.length,
+    cost: _.sumBy(data, 'Cost')
+  });
+
+  const run = () => {
+    setRunning(true);
+    // Let the button show progress before the simulation blocks the page
+    setTimeout(() => {
+      setResult({
+        settingsKey,
+        ...runLossSimulation({ records: data, years, seed, severity, scenarios: applyMitigation ? measures : [] })
+      });
+      setRunning(false);
+    }, 0);
+  };
+
+  const mitigating = Boolean(result && result.mitigated);
+  const installations = result && !showAllInstallations ? result.byInstallation.slice(0, MAX_INSTALLATIONS) : result?.byInstallation;
+
+  return (
+    <div>
+      <h2>Annual Loss Simulation</h2>
+      <div className="card">
+        <p>
+          Each hazard at each installation gets a Poisson event frequency (events per year over the years in view)
+          and an event cost distribution fitted to its history; thousands of years are then simulated to show how
+          large a bad year can get. Frequencies are historical averages, without the forecast's trend. Outlying or
+          mis-keyed costs widen the fitted tails, so review them in the Data Quality tab first.
+        </p>
+        <div className="filter-group">
+          <label className="filter-label" htmlFor="simulation-years">Simulated years</label>
+          <select id="simulation-years" className="filter-select" value={years} onChange={(e) => setYears(parseInt(e.target.value, 10))}>
+            {SIMULATION_YEARS.map(option => <option key={option} value={option}>{option.toLocaleString()}</option>)}
+          </select>
+        </div>
+        <div className="filter-group">
+          <label className="filter-label" htmlFor="simulation-severity">Event cost distribution</label>
+          <select id="simulation-severity" className="filter-select" value={severity} onChange={(e) => setSeverity(e.target.value)}>
+            {SEVERITY_MODELS.map(model => <option key={model.id} value={model.id}>{model.label}</option>)}
+          </select>
+        </div>
+        <div className="filter-group">
+          <label className="filter-label" htmlFor="simulation-seed">Random seed</label>
+          <input
+            id="simulation-seed"
+            className="filter-select"
+            type="number"
+            min="0"
+            step="1"
+            value={seed}
+            onChange={(e) => setSeed(parseInt(e.target.value, 10) || 0)}
+          />
+        </div>
+        <label>
+          <input type="checkbox" checked={applyMitigation} onChange={(e) => setApplyMitigation(e.target.checked)} />
+          {' '}Apply the mitigation measures selected in Scenario Modeling ({measures.length})
+        </label>
+        <div>
+          <button className="button" onClick={run} disabled={running || data.length === 0}>
+            {running ? 'Simulating...' : 'Run Simulation'}
+          </button>
+        </div>
+        {result && result.settingsKey !== settingsKey && (
+          <p className="filter-summary">The settings or the data in view have changed since this run.</p>
+        )}
+      </div>
+
+      {result === null && !running && <p>Choose the settings and run the simulation.</p>}
+      {result && !result.total && <p>No records with a cost to fit.</p>}
+
+      {result && result.total && (
+        <div>
+          <p className="filter-summary">
+            {result.years.toLocaleString()} years simulated with seed {result.seed}, fitted to {result.eventCount} events
+            over {result.observedYears} years ({dollarUnit(dollarBasis)}).
+          </p>
+          <div className="metrics-container">
+            {[['Mean Annual Loss', 'mean'], ['P50 (median year)', 'p50'], ['P90 (1 year in 10)', 'p90'], ['P99 (1 year in 100)', 'p99']].map(([label, key]) => (
+              <div key={key} className="metric-card">
+                <h3>{label}</h3>
+                <p className="metric-value">{formatCurrency(result.total[key], dollarBasis)}</p>
+                {mitigating && <p>With mitigation: {formatCurrency(result.mitigated[key], dollarBasis)}</p>}
+              </div>
+            ))}
+          </div>
+
+          <h3>Annual Loss Exceedance Curve ({dollarUnit(dollarBasis)})</h3>
+          <ChartExportMenu chartRef={chartRef} filename="loss-exceedance-curve" rows={result.curve} columns={CURVE_COLUMNS} />
+          <div ref={chartRef} className="chart-container">
+            <ResponsiveContainer width="100%" height={400}>
+              <LineChart data={result.curve}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis
+                  dataKey="returnPeriod"
+                  type="number"
+                  scale="log"
+                  domain={['dataMin', 'dataMax']}
+                  tickFormatter={(value) => `${Math.round(value)}`}
+                  label={{ value: 'Return period (years)', position: 'insideBottom', offset: -5 }}
+                />
+                <YAxis tickFormatter={formatMillions} label={{ value: 'Annual loss', angle: -90, position: 'insideLeft' }} />
+                <Tooltip
+                  labelFormatter={(value) => `1 year in ${Math.round(value)} (${(100 / value).toFixed(2)}% a year)`}
+                  formatter={(value) => formatCurrency(value, dollarBasis)}
+                />
+                <Legend verticalAlign="top" />
+                <Line type="monotone" dataKey="loss" stroke="#ff7300" strokeWidth={2} dot={false} name="Annual Loss" />
+                {mitigating && (
+                  <Line type="monotone" dataKey="mitigatedLoss" stroke="#0088FE" strokeWidth={2} dot={false} name="With Mitigation" />
+                )}
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+
+          <h3>Annual Loss by Hazard</h3>
+          <button className="link-button" onClick={() => exportCsv(result.byHazard, 'loss-simulation-by-hazard', PERCENTILE_COLUMNS)}>
+            Download CSV
+          </button>
+          <PercentileTable rows={result.byHazard} label="Hazard" mitigating={mitigating} dollarBasis={dollarBasis} />
+
+          <h3>Annual Loss by Installation</h3>
+          <button className="link-button" onClick={() => exportCsv(result.byInstallation, 'loss-simulation-by-installation', PERCENTILE_COLUMNS)}>
+            Download CSV
+          </button>
+          <PercentileTable rows={installations} label="Installation" mitigating={mitigating} dollarBasis={dollarBasis} />
+          {result.byInstallation.length > MAX_INSTALLATIONS && (
+            <button className="link-button" onClick={() => setShowAllInstallations(prev => !prev)}>
+              {showAllInstallations ? `Show the top ${MAX_INSTALLATIONS}` : `Show all ${result.byInstallation.length} installations`}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LossSimulation;
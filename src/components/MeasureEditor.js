@@ -0,0 +1,125 @@
+import React, { useState } from 'react';
+import _ from 'lodash';
+import { HAZARD_CATEGORIES } from '../utils/weatherTypes';
+import { createMeasureId } from '../utils/scenarioSets';
+import { NOMINAL, dollarUnit } from '../utils/dollars';
+
+const EMPTY_MEASURE = {
+  name: '',
+  hazard: HAZARD_CATEGORIES[0],
+  reduction: 0.1,
+  cost: 0,
+  annualCost: 0,
+  installations: []
+};
+
+// Form for adding a mitigation measure or editing an existing one.
+// `installationsByHazard` lists the installations offered for each hazard.
+const MeasureEditor = ({ measure, installationsByHazard, onSave, onCancel }) => {
+  const [draft, setDraft] = useState(measure || EMPTY_MEASURE);
+  // Field ids are unique per form, so labels never point at another editor's fields
+  const idPrefix = `measure-${measure ? measure.id : 'new'}`;
+
+  const update = (field, value) => setDraft(prev => ({ ...prev, [field]: value }));
+  // Keep already chosen installations selectable even if the current filters hide them
+  const installationOptions = _.uniq([...draft.installations, ...(installationsByHazard[draft.hazard] || [])]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSave({
+      ...draft,
+      id: draft.id || createMeasureId(),
+      name: draft.name.trim()
+    });
+  };
+
+  return (
+    <form className="card measure-editor" onSubmit={handleSubmit}>
+      <h3>{measure ? 'Edit Measure' : 'Add Measure'}</h3>
+      <div className="filter-controls">
+        <div className="filter-group">
+          <label className="filter-label" htmlFor={`${idPrefix}-name`}>Name</label>
+          <input
+            id={`${idPrefix}-name`}
+            className="filter-select"
+            required
+            value={draft.name}
+            onChange={(e) => update('name', e.target.value)}
+          />
+        </div>
+        <div className="filter-group">
+          <label className="filter-label" htmlFor={`${idPrefix}-hazard`}>Target hazard</label>
+          <select
+            id={`${idPrefix}-hazard`}
+            className="filter-select"
+            value={draft.hazard}
+            onChange={(e) => update('hazard', e.target.value)}
+          >
+            {HAZARD_CATEGORIES.map(hazard => (
+              <option key={hazard} value={hazard}>{hazard}</option>
+            ))}
+          </select>
+        </div>
+        <div className="filter-group">
+          <label className="filter-label" htmlFor={`${idPrefix}-reduction`}>Reduction (%)</label>
+          <input
+            id={`${idPrefix}-reduction`}
+            className="filter-select"
+            type="number"
+            min="0"
+            max="100"
+            step="1"
+            required
+            value={Math.round(draft.reduction * 100)}
+            onChange={(e) => update('reduction', (parseFloat(e.target.value) || 0) / 100)}
+          />
+        </div>
+        <div className="filter-group">
+          <label className="filter-label" htmlFor={`${idPrefix}-cost`}>Upfront cost ({dollarUnit(NOMINAL)})</label>
+          <input
+            id={`${idPrefix}-cost`}
+            className="filter-select"
+            type="number"
+            min="0"
+            step="10000"
+            required
+            value={draft.cost}
+            onChange={(e) => update('cost', parseFloat(e.target.value) || 0)}
+          />
+        </div>
+        <div className="filter-group">
+          <label className="filter-label" htmlFor={`${idPrefix}-annual-cost`}>Annual O&amp;M ({dollarUnit(NOMINAL)})</label>
+          <input
+            id={`${idPrefix}-annual-cost`}
+            className="filter-select"
+            type="number"
+            min="0"
+            step="10000"
+            value={draft.annualCost}
+            onChange={(e) => update('annualCost', parseFloat(e.target.value) || 0)}
+          />
+        </div>
+        <div className="filter-group">
+          <label className="filter-label" htmlFor={`${idPrefix}-installations`}>
+            Installations (none selected = all)
+          </label>
+          <select
+            id={`${idPrefix}-installations`}
+            className="filter-select"
+            multiple
+            value={draft.installations}
+            onChange={(e) => update('installations', Array.from(e.target.selectedOptions).map(option => option.value))}
+          >
+            {installationOptions.map(installation => (
+              <option key={installation} value={installation}>{installation}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+      <button type="submit" className="button">Save Measure</button>{' '}
+      <button type="button" className="button button-secondary" onClick={onCancel}>Cancel</button>
+    </form>
+  );
+};
+
+export default MeasureEditor;
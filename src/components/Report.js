@@ -0,0 +1,150 @@
+import React from 'react';
+import {
+  BarChart, Bar, XAxis, YAxis, CartesianGrid, Legend, PieChart, Pie, Cell,
+  ComposedChart, Line, Area
+} from 'recharts';
+import _ from 'lodash';
+import { formatCurrency } from '../utils/format';
+import { dollarBasisLabel, dollarUnit } from '../utils/dollars';
+import { YEAR_BASES, formatYear } from '../utils/dates';
+import { HAZARD_COLORS } from '../utils/weatherTypes';
+
+// Fits the printable width of a portrait Letter/A4 page
+const CHART_WIDTH = 680;
+const CHART_HEIGHT = 280;
+const TOP_EVENTS = 10;
+
+const formatMillions = (value) => `$${(value / 1000000).toFixed(1)}M`;
+
+// Print-ready briefing of the current view: filters, the main charts with
+// their insight text, and the costliest events. Charts are drawn at a fixed
+// size (no ResponsiveContainer) so they lay out the same on paper.
+const Report = ({
+  filterLines,
+  recordCount,
+  forecast,
+  forecastModelLabel,
+  costTrend,
+  costByWeatherType,
+  weatherEventsByCost,
+  insights,
+  yearBasis,
+  dollarBasis,
+  onClose
+}) => {
+  const unit = dollarUnit(dollarBasis);
+  const totalCost = _.sumBy(costByWeatherType, 'value');
+  const topEvents = weatherEventsByCost.slice(0, TOP_EVENTS);
+  const interval = `${Math.round(forecast.confidence * 100)}% interval`;
+
+  return (
+    <div className="report">
+      <div className="report-actions">
+        <button className="button" onClick={() => window.print()}>Print / Save as PDF</button>{' '}
+        <button className="button button-secondary" onClick={onClose}>Back to Dashboard</button>
+      </div>
+
+      <h1>Weather Damage Report</h1>
+      <p>Generated {new Date().toLocaleString()}</p>
+
+      <section className="report-section">
+        <h2>Scope</h2>
+        <p>{recordCount} damage records totaling {formatCurrency(totalCost, dollarBasis)}. {dollarBasisLabel(dollarBasis)}, {
+          YEAR_BASES.find(basis => basis.id === yearBasis).label.toLowerCase()
+        }.</p>
+        {filterLines.length === 0
+          ? <p>No filters applied (all records).</p>
+          : <ul className="list-disc">{filterLines.map(line => <li key={line}>{line}</li>)}</ul>}
+      </section>
+
+      <section className="report-section">
+        <h2>Projected Damage Costs ({forecastModelLabel}, {unit})</h2>
+        <ul className="list-disc">
+          {insights.forecast.map(insight => <li key={insight}>{insight}</li>)}
+        </ul>
+        <ComposedChart width={CHART_WIDTH} height={CHART_HEIGHT} data={forecast.points}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="name" tickFormatter={(year) => formatYear(year, yearBasis)} />
+          <YAxis tickFormatter={formatMillions} />
+          <Legend />
+          <Area dataKey="upperBound" fill="#8884d8" stroke="#8884d8" fillOpacity={0.3} name={`Upper Bound (${interval})`} isAnimationActive={false} />
+          <Line dataKey="lowerBound" stroke="#00C49F" strokeWidth={2} name={`Lower Bound (${interval})`} isAnimationActive={false} />
+          <Line dataKey="predictedDamage" stroke="#ff7300" strokeWidth={2} name="Projected Cost" isAnimationActive={false} />
+        </ComposedChart>
+      </section>
+
+      <section className="report-section">
+        <h2>Historical Yearly Trends ({unit})</h2>
+        <p>{insights.trend}</p>
+        <ComposedChart width={CHART_WIDTH} height={CHART_HEIGHT} data={costTrend}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="name" tickFormatter={(year) => formatYear(year, yearBasis)} />
+          <YAxis tickFormatter={formatMillions} />
+          <YAxis yAxisId={1} orientation="right" allowDecimals={false} />
+          <Legend />
+          <Bar dataKey="value" fill="#8884d8" name="Total Cost" isAnimationActive={false} />
+          <Line dataKey="count" stroke="#82ca9d" yAxisId={1} name="Event Count" isAnimationActive={false} />
+        </ComposedChart>
+      </section>
+
+      <section className="report-section">
+        <h2>Cost by Weather Event Type ({unit})</h2>
+        <p>{insights.eventTypes}</p>
+        <PieChart width={CHART_WIDTH} height={CHART_HEIGHT}>
+          <Pie
+            data={costByWeatherType}
+            dataKey="value"
+            nameKey="name"
+            cx="50%"
+            cy="50%"
+            outerRadius={100}
+            label={({ name, percent }) => (percent >= 0.02 ? `${name}: ${(percent * 100).toFixed(1)}%` : '')}
+            isAnimationActive={false}
+          >
+            {costByWeatherType.map(entry => (
+              <Cell key={entry.name} fill={HAZARD_COLORS[entry.name] || HAZARD_COLORS.Other} />
+            ))}
+          </Pie>
+        </PieChart>
+      </section>
+
+      <section className="report-section">
+        <h2>Top {topEvents.length} Weather Events by Cost ({unit})</h2>
+        <BarChart width={CHART_WIDTH} height={Math.max(CHART_HEIGHT, topEvents.length * 26)} data={topEvents} layout="vertical" margin={{ left: 10, right: 20 }}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis type="number" tickFormatter={formatMillions} />
+          <YAxis type="category" dataKey="name" width={170} interval={0} />
+          <Bar dataKey="value" name="Total Cost" isAnimationActive={false}>
+            {topEvents.map(entry => (
+              <Cell key={entry.name} fill={HAZARD_COLORS[entry.normalizedType] || HAZARD_COLORS.Other} />
+            ))}
+          </Bar>
+        </BarChart>
+        <table className="data-table">
+          <thead>
+            <tr>
+              <th>#</th>
+              <th>Event</th>
+              <th>Hazard</th>
+              <th>Total Cost</th>
+              <th>Share</th>
+            </tr>
+          </thead>
+          <tbody>
+            {topEvents.map((event, index) => (
+              <tr key={event.name}>
+                <td>{index + 1}</td>
+                <td>{event.name}</td>
+                <td>{event.normalizedType}</td>
+                <td>{formatCurrency(event.value, dollarBasis)}</td>
+                <td>{totalCost ? `${((event.value / totalCost) * 100).toFixed(1)}%` : ''}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </section>
+    </div>
+  );
+};
+
+export default Report;
@@ -0,0 +1,229 @@
+import React, { useMemo, useRef, useState } from 'react';
+import {
+  ComposedChart, Bar, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer
+} from 'recharts';
+import _ from 'lodash';
+import {
+  hazardInstallationShares, evaluateScenarios, optimizeScenarios, DEFAULT_DISCOUNT_RATE
+} from '../utils/scenarios';
+import { formatCurrency } from '../utils/format';
+import { NOMINAL, dollarUnit } from '../utils/dollars';
+import { formatYear } from '../utils/dates';
+import MeasureEditor from './MeasureEditor';
+import ScenarioSets from './ScenarioSets';
+import ChartExportMenu from './ChartExportMenu';
+
+const formatPayback = (years) => {
+  if (years === null) return 'n/a';
+  return `${years.toFixed(1)} years`;
+};
+
+const formatRatio = (ratio) => ratio === null ? 'n/a' : ratio.toFixed(2);
+
+const ScenarioModeling = ({ data, forecast, yearBasis, dollarBasis, scenarios, setScenarios, selectedScenarios, setSelectedScenarios }) => {
+  const [budget, setBudget] = useState('');
+  const [discountRate, setDiscountRate] = useState(DEFAULT_DISCOUNT_RATE);
+  // null when closed, 'new' when adding, otherwise the id of the measure being edited
+  const [editingId, setEditingId] = useState(null);
+  const chartRef = useRef(null);
+
+  const shares = useMemo(() => hazardInstallationShares(data), [data]);
+  const installationsByHazard = useMemo(() => _.chain(shares)
+    .groupBy('hazard')
+    .mapValues(cells => _.orderBy(cells, ['share'], ['desc']).map(cell => cell.installation))
+    .value(), [shares]);
+
+  const selected = scenarios.filter(scenario => selectedScenarios.includes(scenario.id));
+  const results = evaluateScenarios({ scenarios: selected, shares, forecast, discountRate });
+  const standalone = _.fromPairs(scenarios.map(scenario => [
+    scenario.id,
+    evaluateScenarios({ scenarios: [scenario], shares, forecast, discountRate })
+  ]));
+
+  const handleScenarioChange = (scenarioId) => {
+    setSelectedScenarios(prev => prev.includes(scenarioId)
+      ? prev.filter(id => id !== scenarioId)
+      : [...prev, scenarioId]);
+  };
+
+  const handleSaveMeasure = (measure) => {
+    setScenarios(prev => prev.some(scenario => scenario.id === measure.id)
+      ? prev.map(scenario => scenario.id === measure.id ? measure : scenario)
+      : [...prev, measure]);
+    setEditingId(null);
+  };
+
+  const handleDeleteMeasure = (scenarioId) => {
+    setScenarios(prev => prev.filter(scenario => scenario.id !== scenarioId));
+    setSelectedScenarios(prev => prev.filter(id => id !== scenarioId));
+  };
+
+  const handleLoadSet = (set) => {
+    setScenarios(set.measures);
+    setSelectedScenarios(set.selected);
+    setEditingId(null);
+  };
+
+  const evaluateSet = (set) => evaluateScenarios({
+    scenarios: set.measures.filter(measure => set.selected.includes(measure.id)),
+    shares,
+    forecast,
+    discountRate
+  });
+
+  const applyOptimalScenario = () => {
+    const budgetLimit = budget === '' ? Infinity : parseFloat(budget);
+    setSelectedScenarios(optimizeScenarios({ scenarios, shares, forecast, budget: budgetLimit, discountRate }));
+  };
+
+  return (
+    <div>
+      <h2>Mitigation Scenario Modeling</h2>
+
+      <div className="info-box">
+        <h3>Scenario Insights</h3>
+        <p>
+          Each measure reduces only the projected cost of its target hazard, at the installations it applies to.
+          Over the {forecast.points.length}-year forecast horizon, the selected measures would save {formatCurrency(results.totalSavings, dollarBasis)} ({Math.round(results.reduction * 100)}% of projected costs)
+          for an upfront investment of {formatCurrency(results.cost, NOMINAL)}.
+          {dollarBasis !== NOMINAL && ' Measure costs are entered and shown in nominal dollars; projected costs and savings are in constant dollars.'}
+        </p>
+      </div>
+
+      <div className="scenario-layout">
+        <div>
+          <h3>Mitigation Measures</h3>
+          {scenarios.map(scenario => {
+            const isSelected = selectedScenarios.includes(scenario.id);
+            const alone = standalone[scenario.id];
+            return (
+              <div key={scenario.id} className="checkbox-group">
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={isSelected}
+                    onChange={() => handleScenarioChange(scenario.id)}
+                  />
+                  {' '}{scenario.name}
+                </label>
+                <div className="scenario-details">
+                  {scenario.hazard} &middot; {Math.round(scenario.reduction * 100)}% reduction &middot; {formatCurrency(scenario.cost, NOMINAL)} upfront
+                  {scenario.annualCost > 0 && <> + {formatCurrency(scenario.annualCost, NOMINAL)}/yr O&amp;M</>}
+                  {' '}&middot; {scenario.installations.length > 0 ? scenario.installations.join(', ') : 'All installations'}
+                  {' '}&middot; BCR {formatRatio(alone.benefitCostRatio)}
+                  <div>
+                    <button className="link-button" onClick={() => setEditingId(scenario.id)}>Edit</button>{' '}
+                    <button className="link-button" onClick={() => handleDeleteMeasure(scenario.id)}>Delete</button>
+                  </div>
+                </div>
+                {editingId === scenario.id && (
+                  <MeasureEditor
+                    measure={scenario}
+                    installationsByHazard={installationsByHazard}
+                    onSave={handleSaveMeasure}
+                    onCancel={() => setEditingId(null)}
+                  />
+                )}
+              </div>
+            );
+          })}
+
+          {editingId === 'new' ? (
+            <MeasureEditor
+              installationsByHazard={installationsByHazard}
+              onSave={handleSaveMeasure}
+              onCancel={() => setEditingId(null)}
+            />
+          ) : (
+            <button className="button button-secondary" onClick={() => setEditingId('new')}>Add Measure</button>
+          )}
+
+          <div className="filter-group">
+            <label className="filter-label" htmlFor="scenario-budget">Budget ({dollarUnit(NOMINAL)}, blank = unlimited)</label>
+            <input
+              id="scenario-budget"
+              className="filter-select"
+              type="number"
+              min="0"
+              step="100000"
+              value={budget}
+              onChange={(e) => setBudget(e.target.value)}
+            />
+          </div>
+          <div className="filter-group">
+            <label className="filter-label" htmlFor="scenario-discount-rate">Discount rate (%)</label>
+            <input
+              id="scenario-discount-rate"
+              className="filter-select"
+              type="number"
+              min="0"
+              step="0.5"
+              value={discountRate * 100}
+              onChange={(e) => setDiscountRate((parseFloat(e.target.value) || 0) / 100)}
+            />
+          </div>
+          <button className="button" onClick={applyOptimalScenario}>Apply Optimal Scenario</button>
+        </div>
+
+        <div>
+          <div className="metrics-container">
+            <div className="metric-card">
+              <h3>Projected Annual Cost</h3>
+              <p className="metric-value">{formatCurrency(results.currentProjection, dollarBasis)}</p>
+            </div>
+            <div className="metric-card">
+              <h3>With Mitigation</h3>
+              <p className="metric-value">{formatCurrency(results.withMitigation, dollarBasis)}</p>
+            </div>
+            <div className="metric-card">
+              <h3>Net Present Value</h3>
+              <p className="metric-value">{formatCurrency(results.netPresentValue, dollarBasis)}</p>
+            </div>
+            <div className="metric-card">
+              <h3>Benefit-Cost Ratio</h3>
+              <p className="metric-value">{formatRatio(results.benefitCostRatio)}</p>
+            </div>
+            <div className="metric-card">
+              <h3>Payback Period</h3>
+              <p className="metric-value">{formatPayback(results.paybackYears)}</p>
+            </div>
+          </div>
+
+          <ChartExportMenu
+            chartRef={chartRef}
+            filename="mitigation-scenario"
+            rows={results.years}
+            columns={{ name: 'Year', baseline: 'Projected Cost', withMitigation: 'With Mitigation', savings: 'Savings' }}
+          />
+          <div ref={chartRef} className="chart-container">
+            <ResponsiveContainer width="100%" height={400}>
+              <ComposedChart data={results.years}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="name" tickFormatter={(year) => formatYear(year, yearBasis)} />
+                <YAxis
+                  tickFormatter={(value) => `$${(value / 1000000).toFixed(0)}M`}
+                  label={{ value: `Millions, ${dollarUnit(dollarBasis)}`, angle: -90, position: 'insideLeft' }}
+                />
+                <Tooltip formatter={(value) => formatCurrency(value, dollarBasis)} />
+                <Legend />
+                <Bar dataKey="savings" fill="#00C49F" name="Savings" />
+                <Line type="monotone" dataKey="baseline" stroke="#ff7300" strokeWidth={2} name="Projected Cost" />
+                <Line type="monotone" dataKey="withMitigation" stroke="#0088FE" strokeWidth={2} name="With Mitigation" />
+              </ComposedChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+      </div>
+
+      <ScenarioSets
+        scenarios={scenarios}
+        selectedScenarios={selectedScenarios}
+        dollarBasis={dollarBasis}
+        onLoad={handleLoadSet}
+        evaluate={evaluateSet}
+      />
+    </div>
+  );
+};
+
+export default ScenarioModeling;
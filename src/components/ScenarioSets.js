@@ -0,0 +1,174 @@
+import React, { useState } from 'react';
+import {
+  loadScenarioSets, saveScenarioSets, upsertScenarioSet, serializeScenarioSet, parseScenarioSet
+} from '../utils/scenarioSets';
+import { downloadFile } from '../utils/download';
+import { formatCurrency } from '../utils/format';
+import { NOMINAL } from '../utils/dollars';
+
+const fileNameFor = (name) => `scenario-set-${name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}.json`;
+
+const COMPARISON_ROWS = [
+  { label: 'Measures selected', value: (set) => `${set.selected.length} of ${set.measures.length}` },
+  { label: 'Upfront cost', value: (set, results) => formatCurrency(results.cost, NOMINAL) },
+  { label: 'Annual O&M', value: (set, results) => formatCurrency(results.annualCost, NOMINAL) },
+  { label: 'Annual savings', value: (set, results, dollarBasis) => formatCurrency(results.savings, dollarBasis) },
+  { label: 'Net present value', value: (set, results, dollarBasis) => formatCurrency(results.netPresentValue, dollarBasis) },
+  { label: 'Benefit-cost ratio', value: (set, results) => results.benefitCostRatio === null ? 'n/a' : results.benefitCostRatio.toFixed(2) },
+  { label: 'Payback period', value: (set, results) => results.paybackYears === null ? 'n/a' : `${results.paybackYears.toFixed(1)} years` }
+];
+
+// Save, load, import/export and compare named sets of mitigation measures.
+// `evaluate(set)` returns the scenario results for a set's selected measures.
+const ScenarioSets = ({ scenarios, selectedScenarios, dollarBasis, onLoad, evaluate }) => {
+  const [sets, setSets] = useState(loadScenarioSets);
+  const [setName, setSetName] = useState('');
+  const [compareNames, setCompareNames] = useState(['', '']);
+  const [importError, setImportError] = useState(null);
+
+  const updateSets = (nextSets) => {
+    setSets(nextSets);
+    saveScenarioSets(nextSets);
+  };
+
+  const currentSet = () => ({
+    name: setName.trim() || 'Untitled',
+    measures: scenarios,
+    selected: selectedScenarios
+  });
+
+  const handleSave = () => {
+    updateSets(upsertScenarioSet(sets, currentSet()));
+  };
+
+  const handleDelete = (name) => {
+    updateSets(sets.filter(set => set.name !== name));
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const set = parseScenarioSet(await file.text());
+      updateSets(upsertScenarioSet(sets, set));
+      setImportError(null);
+    } catch (err) {
+      setImportError(`${file.name}: ${err.message}`);
+    }
+  };
+
+  // The same set may be picked on both sides, so columns are keyed by side
+  const compared = compareNames
+    .map((name, index) => ({ side: index === 0 ? 'A' : 'B', set: sets.find(set => set.name === name) }))
+    .filter(column => column.set);
+
+  return (
+    <div className="card scenario-sets">
+      <h3>Scenario Sets</h3>
+      <div className="filter-controls">
+        <div className="filter-group">
+          <label className="filter-label" htmlFor="scenario-set-name">Set name</label>
+          <input
+            id="scenario-set-name"
+            className="filter-select"
+            placeholder="e.g. FY26 POM"
+            value={setName}
+            onChange={(e) => setSetName(e.target.value)}
+          />
+        </div>
+      </div>
+      <button className="button" onClick={handleSave}>Save Current Set</button>{' '}
+      <button
+        className="button button-secondary"
+        onClick={() => downloadFile(serializeScenarioSet(currentSet()), fileNameFor(currentSet().name), 'application/json')}
+      >
+        Export Current Set
+      </button>{' '}
+      <label className="button button-secondary">
+        Import JSON
+        <input type="file" accept=".json,application/json" onChange={handleImport} hidden />
+      </label>
+      {importError && <p className="error-text">{importError}</p>}
+
+      {sets.length > 0 && (
+        <table className="data-table">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Measures</th>
+              <th>Saved</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {sets.map(set => (
+              <tr key={set.name}>
+                <td>{set.name}</td>
+                <td>{set.selected.length} of {set.measures.length} selected</td>
+                <td>{set.savedAt ? new Date(set.savedAt).toLocaleString('en-US') : ''}</td>
+                <td>
+                  <button className="link-button" onClick={() => { onLoad(set); setSetName(set.name); }}>Load</button>{' '}
+                  <button
+                    className="link-button"
+                    onClick={() => downloadFile(serializeScenarioSet(set), fileNameFor(set.name), 'application/json')}
+                  >
+                    Export
+                  </button>{' '}
+                  <button className="link-button" onClick={() => handleDelete(set.name)}>Delete</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {sets.length > 1 && (
+        <>
+          <h3>Compare Sets</h3>
+          <div className="filter-controls">
+            {[0, 1].map(index => (
+              <div key={index} className="filter-group">
+                <label className="filter-label" htmlFor={`compare-set-${index}`}>Set {index === 0 ? 'A' : 'B'}</label>
+                <select
+                  id={`compare-set-${index}`}
+                  className="filter-select"
+                  value={compareNames[index]}
+                  onChange={(e) => {
+                    const value = e.target.value;
+                    setCompareNames(prev => prev.map((name, i) => i === index ? value : name));
+                  }}
+                >
+                  <option value="">Select a set</option>
+                  {sets.map(set => (
+                    <option key={set.name} value={set.name}>{set.name}</option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </div>
+          {compared.length > 0 && (
+            <table className="data-table">
+              <thead>
+                <tr>
+                  <th />
+                  {compared.map(({ side, set }) => <th key={side}>{side}: {set.name}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {COMPARISON_ROWS.map(row => (
+                  <tr key={row.label}>
+                    <td>{row.label}</td>
+                    {compared.map(({ side, set }) => <td key={side}>{row.value(set, evaluate(set), dollarBasis)}</td>)}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ScenarioSets;
@@ -0,0 +1,160 @@
+import React, { useMemo, useState } from 'react';
+import _ from 'lodash';
+import {
+  MONTH_LABELS, PEAK_SHARE, monthOrder, monthHazardMatrix, monthYearMatrix, peakRiskWindows, describeWindow, seasonalityInsight
+} from '../utils/seasonality';
+import { HAZARD_COLORS } from '../utils/weatherTypes';
+import { exportCsv } from '../utils/chartExport';
+import { formatCurrency } from '../utils/format';
+import { dollarUnit } from '../utils/dollars';
+import { formatYear } from '../utils/dates';
+
+const METRICS = {
+  cost: { label: 'Damage cost', format: formatCurrency },
+  count: { label: 'Event count', format: value => value.toString() }
+};
+
+// Background of a heatmap cell: transparent for zero, full color for the
+// largest cell of the table
+const cellStyle = (value, max, color) => (value > 0 && max > 0
+  ? { backgroundColor: `rgba(${color}, ${(0.15 + 0.85 * (value / max)).toFixed(2)})` }
+  : {});
+
+// `months` gives the order of the columns as month indexes
+const Heatmap = ({ title, rows, metric, months, dollarBasis, color, onDownload }) => {
+  const { format } = METRICS[metric];
+  const max = _.max(_.flatMap(rows, row => row.months.map(month => month[metric]))) || 0;
+
+  return (
+    <div className="card">
+      <h3>{title}{metric === 'cost' && ` (${dollarUnit(dollarBasis)})`}</h3>
+      <table className="data-table heatmap">
+        <thead>
+          <tr>
+            <th />
+            {months.map(month => <th key={month}>{MONTH_LABELS[month]}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(row => (
+            <tr key={row.name}>
+              <th>{row.name}</th>
+              {months.map(index => {
+                const month = row.months[index];
+                return (
+                  <td
+                    key={index}
+                    style={cellStyle(month[metric], max, color)}
+                    title={`${row.name}, ${MONTH_LABELS[index]}: ${formatCurrency(month.cost, dollarBasis)} in ${month.count} events`}
+                  >
+                    {month[metric] > 0 ? format(month[metric]) : ''}
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <button className="link-button" onClick={onDownload}>Download CSV</button>
+    </div>
+  );
+};
+
+// Rows of a heatmap flattened to one column per month for CSV export
+const heatmapCsv = (rows, metric, months, filename) => exportCsv(
+  rows.map(row => ({
+    name: row.name,
+    ..._.fromPairs(row.months.map((month, index) => [MONTH_LABELS[index], month[metric]]))
+  })),
+  `${filename}-${metric}`,
+  { name: 'Name', ..._.fromPairs(months.map(month => [MONTH_LABELS[month], MONTH_LABELS[month]])) }
+);
+
+// When in the year damage happens: monthly heatmaps by hazard and by year
+// and the months that account for most of the cost
+const Seasonality = ({ data, yearBasis, dollarBasis }) => {
+  const [metric, setMetric] = useState('cost');
+
+  const byHazard = useMemo(() => monthHazardMatrix(data), [data]);
+  const byYear = useMemo(
+    () => monthYearMatrix(data).map(row => ({ ...row, name: formatYear(row.name, yearBasis) })),
+    [data, yearBasis]
+  );
+  const windows = useMemo(() => peakRiskWindows(data), [data]);
+
+  return (
+    <div>
+      <h2>Seasonality</h2>
+
+      <div className="info-box">
+        <h3>Seasonal Insights</h3>
+        <p>{seasonalityInsight(data, dollarBasis)}</p>
+      </div>
+
+      <div className="filter-group">
+        <label className="filter-label" htmlFor="seasonality-metric">Show</label>
+        <select id="seasonality-metric" className="filter-select" value={metric} onChange={(e) => setMetric(e.target.value)}>
+          {_.map(METRICS, ({ label }, id) => <option key={id} value={id}>{label}</option>)}
+        </select>
+      </div>
+
+      <Heatmap
+        title="Month × Hazard Type"
+        rows={byHazard}
+        metric={metric}
+        months={monthOrder('calendar')}
+        dollarBasis={dollarBasis}
+        color="229, 62, 62"
+        onDownload={() => heatmapCsv(byHazard, metric, monthOrder('calendar'), 'seasonality-hazard')}
+      />
+
+      {/* Fiscal-year rows run October to September */}
+      <Heatmap
+        title="Month × Year"
+        rows={byYear}
+        metric={metric}
+        months={monthOrder(yearBasis)}
+        dollarBasis={dollarBasis}
+        color="49, 130, 206"
+        onDownload={() => heatmapCsv(byYear, metric, monthOrder(yearBasis), 'seasonality-year')}
+      />
+
+      <div className="card">
+        <h3>Peak Risk Windows</h3>
+        <p>Shortest run of consecutive months holding at least {Math.round(PEAK_SHARE * 100)}% of the damage cost.</p>
+        <table className="data-table">
+          <thead>
+            <tr>
+              <th>Hazard</th>
+              <th>Peak Window</th>
+              <th>Share of Cost</th>
+              <th>Cost in Window</th>
+            </tr>
+          </thead>
+          <tbody>
+            {windows.overall && (
+              <tr>
+                <td><strong>All hazards</strong></td>
+                <td>{describeWindow(windows.overall)}</td>
+                <td>{Math.round(windows.overall.share * 100)}%</td>
+                <td>{formatCurrency(windows.overall.value, dollarBasis)}</td>
+              </tr>
+            )}
+            {windows.byHazard.map(row => (
+              <tr key={row.hazard}>
+                <td>
+                  <span className="asset-tag" style={{ borderColor: HAZARD_COLORS[row.hazard] }}>{row.hazard}</span>
+                </td>
+                <td>{describeWindow(row.window)}</td>
+                <td>{Math.round(row.window.share * 100)}%</td>
+                <td>{formatCurrency(row.window.value, dollarBasis)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default Seasonality;
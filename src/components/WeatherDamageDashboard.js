@@ -1,186 +1,125 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import { 
   BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer,
-  PieChart, Pie, Cell, LineChart, Line, ComposedChart, Area
+  PieChart, Pie, Cell, Line, ComposedChart, Area
 } from 'recharts';
-import Papa from 'papaparse';
-import _ from 'lodash';
+import { forecastDamage, FORECAST_MODELS } from '../utils/forecast';
+import { formatCurrency } from '../utils/format';
+import { mergeSources, removeSource } from '../utils/ingestion';
+import { loadSources, pollableSources, pollSource } from '../utils/dataAdapters';
+import {
+  DEFAULT_FILTERS, describeFilters, filtersFromQuery, filtersToQuery, yearBasisFromQuery, yearBasisToQuery,
+  dollarBasisFromQuery, dollarBasisToQuery
+} from '../utils/filters';
+import { eventLabel } from '../utils/storms';
+import { OTHER, createDashboardSelectors, topN } from '../utils/aggregation';
+import { forecastInsights, trendInsight, eventTypeInsight } from '../utils/insights';
+import { seasonalityInsight } from '../utils/seasonality';
+import { YEAR_BASES, applyYearBasis, formatYear } from '../utils/dates';
+import {
+  NOMINAL, loadDeflators, saveDeflators, deflatorYears, toConstantDollars, dollarBasisLabel, dollarUnit
+} from '../utils/dollars';
+import { loadExclusions, saveExclusions } from '../utils/dataQuality';
+import { datasetStore, cachedUploads, saveUpload } from '../utils/datasetCache';
+import { DATA_SOURCES } from '../data/sources';
+import { DEFAULT_SCENARIOS, evaluateScenarios, hazardInstallationShares } from '../utils/scenarios';
+import GeographicAnalysis from './GeographicAnalysis';
+import ScenarioModeling from './ScenarioModeling';
+import HazardTaxonomy from './HazardTaxonomy';
+import ExpenseAnalysis from './ExpenseAnalysis';
+import InstallationRisk from './InstallationRisk';
+import Seasonality from './Seasonality';
+import LossSimulation from './LossSimulation';
+import Budget from './Budget';
+import DataUpload from './DataUpload';
+import DeflatorEditor from './DeflatorEditor';
+import YearMismatches from './YearMismatches';
+import DataQuality from './DataQuality';
+import DatasetManager from './DatasetManager';
+import ComparisonView from './ComparisonView';
+import FilterPanel from './FilterPanel';
+import EventDrillDown from './EventDrillDown';
+import ChartExportMenu from './ChartExportMenu';
+import Report from './Report';
 
 const COLORS = ['#0088FE', '#00C49F', '#FFBB28', '#FF8042', '#8884d8', '#82ca9d', '#ffc658', '#8dd1e1'];
 
-// Add installation coordinates (you'll need to replace these with actual coordinates)
-const INSTALLATION_COORDINATES = {
-  'Fort Bragg': { lat: 35.1419, lng: -79.0061 },
-  'Fort Hood': { lat: 31.1319, lng: -97.7851 },
-  'Fort Campbell': { lat: 36.6672, lng: -87.4755 },
-  'Fort Stewart': { lat: 31.8691, lng: -81.6089 },
-  'Fort Benning': { lat: 32.3538, lng: -84.9400 },
-  'Fort Riley': { lat: 39.0855, lng: -96.7645 },
-  'Fort Carson': { lat: 38.7469, lng: -104.7828 },
-  'Fort Drum': { lat: 44.0509, lng: -75.7177 },
-  'Fort Lewis': { lat: 47.0855, lng: -122.5821 },
-  'Fort Polk': { lat: 31.0445, lng: -93.2035 }
-};
+// CSV columns for each exported chart series
+const FORECAST_COLUMNS = { name: 'Year', predictedDamage: 'Projected Cost', lowerBound: 'Lower Bound', upperBound: 'Upper Bound' };
+const TREND_COLUMNS = { name: 'Year', value: 'Total Cost', count: 'Event Count' };
+// Query string prefix of the second filter set in comparison mode
+const COMPARISON_PREFIX = 'b.';
 
-// Helper function to normalize weather event types
-const normalizeWeatherType = (type) => {
-  if (!type) return 'Other';
-  
-  // Convert to lowercase for consistent matching
-  const lowerType = type.toLowerCase().trim();
-  
-  // Hurricane/Tropical Storm category
-  if (lowerType.includes('hurricane') || 
-      lowerType.includes('tropical') ||
-      lowerType.includes('cyclone') ||
-      lowerType.includes('mawar')) {
-    return 'Hurricane/Tropical Storm';
-  }
-  
-  // Winter Weather category
-  if (lowerType.includes('winter') || 
-      lowerType.includes('snow') || 
-      lowerType.includes('arctic') ||
-      lowerType.includes('ice')) {
-    return 'Winter Storm';
-  }
-  
-  // Severe Storm category
-  if (lowerType.includes('storm') || 
-      lowerType.includes('wind') ||
-      lowerType.includes('nor\'easter') ||
-      lowerType.includes('atmospheric river')) {
-    return 'Severe Storm';
-  }
-  
-  // Flooding category
-  if (lowerType.includes('flood') ||
-      lowerType.includes('water') ||
-      lowerType.includes('rain')) {
-    return 'Flooding';
-  }
-  
-  // Tornado category
-  if (lowerType.includes('tornado') ||
-      lowerType.includes('torando')) {  // Handle common misspelling
-    return 'Tornado';
-  }
-  
-  // Hail category
-  if (lowerType.includes('hail')) {
-    return 'Hail';
-  }
-  
-  // Fire category
-  if (lowerType.includes('fire')) {
-    return 'Fire';
-  }
-  
-  // Earthquake category
-  if (lowerType.includes('earthquake')) {
-    return 'Earthquake';
-  }
-  
-  // Wave category
-  if (lowerType.includes('wave')) {
-    return 'Wave';
-  }
-  
-  return 'Other';
-};
+const WEATHER_TYPE_COLUMNS = { name: 'Weather Type', value: 'Total Cost', percentage: 'Share (%)' };
+const EVENT_COLUMNS = { name: 'Event', normalizedType: 'Hazard', value: 'Total Cost' };
+// Events charted individually; the rest share an "Other" bar
+const TOP_EVENTS_SHOWN = 15;
 
 const WeatherDamageDashboard = () => {
-  console.log('WeatherDamageDashboard rendering');
-  
   const [weatherData, setWeatherData] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
-  const [selectedYear, setSelectedYear] = useState('all');
-  const [selectedWeatherType, setSelectedWeatherType] = useState('all');
-  const [activeTab, setActiveTab] = useState('damage-forecast');
+  const [dataIssues, setDataIssues] = useState([]);
+  const [lastPoll, setLastPoll] = useState(null);
+  const [showDataIssues, setShowDataIssues] = useState(false);
+  const [filters, setFilters] = useState(() => filtersFromQuery(window.location.search));
+  const [comparing, setComparing] = useState(() => new URLSearchParams(window.location.search).has('compare'));
+  const [filtersB, setFiltersB] = useState(() => filtersFromQuery(window.location.search, COMPARISON_PREFIX));
+  const [uploadedSources, setUploadedSources] = useState([]);
+  const [showUpload, setShowUpload] = useState(false);
+  const [showDatasets, setShowDatasets] = useState(false);
+  // Sources read from their cached copy because they couldn't be reached, and
+  // cached uploads too old to restore
+  const [offlineSources, setOfflineSources] = useState([]);
+  // Sources that couldn't be loaded at all, neither live nor from the cache
+  const [unavailableSources, setUnavailableSources] = useState([]);
+  const [outdatedUploads, setOutdatedUploads] = useState(0);
+  const [yearBasis, setYearBasis] = useState(() => yearBasisFromQuery(window.location.search));
+  const [deflators, setDeflators] = useState(loadDeflators);
+  const [dollarBasis, setDollarBasis] = useState(() => dollarBasisFromQuery(window.location.search, deflators));
+  const [showDeflators, setShowDeflators] = useState(false);
+  const [exclusions, setExclusions] = useState(loadExclusions);
+  const [activeTab, setActiveTab] = useState(comparing ? 'comparison' : 'damage-forecast');
+  const [scenarios, setScenarios] = useState(DEFAULT_SCENARIOS);
   const [selectedScenarios, setSelectedScenarios] = useState([]);
-  const [costByWeatherType, setCostByWeatherType] = useState([]);
-  const [weatherEventsByCost, setWeatherEventsByCost] = useState([]);
-  const [costTrend, setCostTrend] = useState([]);
-  const [scenarioResults, setScenarioResults] = useState({
-    currentProjection: 24500000,
-    withMitigation: 24500000,
-    savings: 0
-  });
+  const [selectedEvent, setSelectedEvent] = useState(null);
+  const [showReport, setShowReport] = useState(false);
+  const [forecastModel, setForecastModel] = useState('linear');
+  const forecastChartRef = useRef(null);
+  const trendChartRef = useRef(null);
+  const typeChartRef = useRef(null);
+  const eventsChartRef = useRef(null);
+  // How far each pollable source has been read
+  const sourceCursors = useRef({});
   
   // Load data
   useEffect(() => {
     const fetchData = async () => {
       try {
-        console.log('=== Starting Data Fetch ===');
-        const response = await fetch('/ag3_data_v3.csv');
-        console.log('Response status:', response.status);
-        
-        if (!response.ok) {
-          throw new Error(`HTTP error! status: ${response.status}`);
+        const { records, issues, cursors, statuses } = await loadSources(DATA_SOURCES, datasetStore);
+
+        if (records.length === 0) {
+          const dateErrors = issues.filter(issue => issue.severity === 'error');
+          throw new Error(`No valid data after cleaning${
+            dateErrors.length ? ` (${dateErrors.length} rows had invalid dates, e.g. ${dateErrors[0].message})` : ''
+          }`);
         }
-        
-        const csvText = await response.text();
-        console.log('CSV text loaded, first 200 chars:', csvText.substring(0, 200));
-        
-        Papa.parse(csvText, {
-          header: true,
-          complete: (results) => {
-            console.log('=== CSV Parse Complete ===');
-            console.log('Number of rows:', results.data.length);
-            console.log('First row:', results.data[0]);
-            
-            // Clean and transform the data
-            const cleanedData = results.data
-              .filter(item => {
-                const hasCost = item.Cost && !isNaN(parseFloat(item.Cost));
-                const hasDate = item['Date of Weather Event'];
-                return hasCost && hasDate;
-              })
-              .map(item => {
-                try {
-                  // Parse date from MM/DD/YY format
-                  const dateParts = item['Date of Weather Event'].split('/');
-                  const date = new Date(
-                    2000 + parseInt(dateParts[2]), // Year
-                    parseInt(dateParts[0]) - 1,    // Month (0-based)
-                    parseInt(dateParts[1])         // Day
-                  );
-                  
-                  return {
-                    ...item,
-                    Cost: parseFloat(item.Cost),
-                    Year: date.getFullYear(),
-                    date: date,
-                    weatherEventFull: item['Named Storm'] 
-                      ? `${item['Weather Event']} (${item['Named Storm']})`
-                      : item['Weather Event']
-                  };
-                } catch (err) {
-                  console.error('Error processing row:', item, err);
-                  return null;
-                }
-              })
-              .filter(item => item !== null);
-            
-            console.log('=== Data Processing Complete ===');
-            console.log('Number of valid rows:', cleanedData.length);
-            console.log('Sample processed row:', cleanedData[0]);
-            
-            if (cleanedData.length === 0) {
-              throw new Error('No valid data after cleaning');
-            }
-            
-            setWeatherData(cleanedData);
-            setLoading(false);
-            console.log('=== State Updated ===');
-          },
-          error: (error) => {
-            console.error('CSV parsing error:', error);
-            setError('Error parsing CSV data: ' + error.message);
-            setLoading(false);
-          }
-        });
+
+        // Uploads from earlier sessions come back from the dataset cache
+        const { uploads, outdated } = await cachedUploads(datasetStore);
+
+        setWeatherData(mergeSources([records, ...uploads.map(entry => entry.records)]));
+        setUploadedSources(uploads.map(entry => ({ id: entry.id, label: entry.label })));
+        setOfflineSources(DATA_SOURCES
+          .filter(source => statuses[source.id].status === 'offline')
+          .map(source => ({ label: source.label, savedAt: statuses[source.id].savedAt })));
+        setUnavailableSources(DATA_SOURCES
+          .filter(source => statuses[source.id].status === 'unavailable')
+          .map(source => ({ id: source.id, label: source.label, error: statuses[source.id].error })));
+        setOutdatedUploads(outdated.length);
+        setDataIssues(issues);
+        sourceCursors.current = cursors;
+        setLoading(false);
       } catch (err) {
         console.error('Fetch error:', err);
         setError('Error fetching data: ' + err.message);
@@ -191,135 +130,139 @@ const WeatherDamageDashboard = () => {
     fetchData();
   }, []);
 
-  // Filter data based on selections
-  const filteredData = weatherData.filter(item => {
-    if (selectedYear !== 'all' && item.Year !== parseFloat(selectedYear)) return false;
-    if (selectedWeatherType !== 'all' && normalizeWeatherType(item['Weather Event']) !== selectedWeatherType) return false;
-    return true;
-  });
-
-  console.log('Filtered data:', filteredData);
-
-  // Get available years and weather event types for filters
-  const years = _.uniq(weatherData.map(item => item.Year)).sort();
-  const weatherTypes = _.uniq(weatherData.map(item => normalizeWeatherType(item['Weather Event']))).sort();
-
-  console.log('Years:', years);
-  console.log('Weather types:', weatherTypes);
-
+  // Poll live sources for records added since the last read and merge them
+  // in; the charts update with the data
   useEffect(() => {
-    console.log('Processing weather data:', weatherData);
-    if (weatherData && weatherData.length > 0) {
-      // Weather events by cost impact for bar chart
-      const eventsByCost = _.chain(filteredData)
-        .groupBy(item => item.weatherEventFull)
-        .map((items, key) => ({
-          name: key,
-          value: _.sumBy(items, 'Cost'),
-          normalizedType: normalizeWeatherType(items[0]['Weather Event'])
-        }))
-        .orderBy(['value'], ['desc'])
-        .value();
-
-      setWeatherEventsByCost(eventsByCost);
-      console.log('Weather events by cost:', eventsByCost);
-
-      // Prepare data for charts
-      const typeData = _.chain(filteredData)
-        .groupBy(item => normalizeWeatherType(item['Weather Event']))
-        .map((items, key) => ({ 
-          name: key, 
-          value: _.sumBy(items, 'Cost'),
-          percentage: Math.round((_.sumBy(items, 'Cost') / _.sumBy(filteredData, 'Cost')) * 100)
-        }))
-        .orderBy(['value'], ['desc'])
-        .value();
-
-      setCostByWeatherType(typeData);
-      console.log('Cost by weather type:', typeData);
-
-      const trendData = _.chain(filteredData)
-        .groupBy(item => item.Year)
-        .map((items, year) => ({
-          name: year.toString(),
-          value: _.sumBy(items, 'Cost'),
-          count: items.length
-        }))
-        .sortBy('name')
-        .value();
-
-      setCostTrend(trendData);
-      console.log('Cost trend:', trendData);
-    }
-  }, [weatherData, selectedYear, selectedWeatherType]);
-
-  // Generate forecast data based on historical trends
-  const forecastData = [
-    { name: "2025", predictedDamage: 18000000, lowerBound: 16000000, upperBound: 19500000 },
-    { name: "2026", predictedDamage: 21000000, lowerBound: 18500000, upperBound: 24000000 },
-    { name: "2027", predictedDamage: 24500000, lowerBound: 21500000, upperBound: 28000000 },
-    { name: "2028", predictedDamage: 28000000, lowerBound: 24000000, upperBound: 32000000 },
-    { name: "2029", predictedDamage: 32500000, lowerBound: 27500000, upperBound: 37000000 }
-  ];
-
-  const scenarios = [
-    { id: 'scenario1', name: 'Enhanced stormwater infrastructure', reduction: 0.25, cost: 2000000, type: 'flood' },
-    { id: 'scenario2', name: 'Wind-resistant building upgrades', reduction: 0.40, cost: 3500000, type: 'hurricane' },
-    { id: 'scenario3', name: 'Wildfire prevention measures', reduction: 0.30, cost: 1500000, type: 'fire' },
-    { id: 'scenario4', name: 'Winter weather preparedness', reduction: 0.20, cost: 1000000, type: 'winter' }
-  ];
-
-  const calculateScenarioImpact = (selectedScenarios) => {
-    const baseProjection = 24500000;
-    let totalReduction = 0;
-    let totalCost = 0;
-
-    selectedScenarios.forEach(scenarioId => {
-      const scenario = scenarios.find(s => s.id === scenarioId);
-      if (scenario) {
-        totalReduction += scenario.reduction;
-        totalCost += scenario.cost;
+    if (loading || error) return undefined;
+    const timers = pollableSources(DATA_SOURCES).map(source => setInterval(async () => {
+      try {
+        const { records, issues, cursor } = await pollSource(source, sourceCursors.current[source.id]);
+        sourceCursors.current[source.id] = cursor;
+        // A source that was unavailable at load is read in full by its first
+        // successful poll
+        setUnavailableSources(prev => prev.filter(item => item.id !== source.id));
+        if (records.length > 0) setWeatherData(prev => mergeSources([prev, records]));
+        if (issues.length > 0) setDataIssues(prev => [...prev, ...issues]);
+        setLastPoll({ source: source.label, time: new Date(), added: records.length });
+      } catch (err) {
+        console.error(`Polling ${source.id} failed:`, err);
+        setLastPoll({ source: source.label, time: new Date(), error: err.message });
       }
-    });
-
-    const reducedCost = baseProjection * (1 - (totalReduction / selectedScenarios.length));
-    const savings = baseProjection - reducedCost;
+    }, source.pollInterval));
+    return () => timers.forEach(clearInterval);
+  }, [loading, error]);
+
+  const dataSources = [...DATA_SOURCES, ...uploadedSources];
+
+  // Add the accepted rows of an uploaded file as a new source
+  const handleAcceptUpload = (source, records) => {
+    setUploadedSources(prev => [...prev, { id: source.id, label: source.label }]);
+    setWeatherData(prev => mergeSources([prev, records]));
+    setShowUpload(false);
+    saveUpload(datasetStore, source, records).catch(err => console.error('Could not cache upload:', err));
+  };
 
-    return {
-      currentProjection: baseProjection,
-      withMitigation: reducedCost,
-      savings: savings,
-      cost: totalCost
-    };
+  // Drop an upload deleted from the dataset cache
+  const handleDeleteUpload = (sourceId) => {
+    setUploadedSources(prev => prev.filter(source => source.id !== sourceId));
+    setWeatherData(prev => removeSource(prev, sourceId));
   };
 
-  const handleScenarioChange = (scenarioId) => {
-    setSelectedScenarios(prev => {
-      const newSelection = prev.includes(scenarioId)
-        ? prev.filter(id => id !== scenarioId)
-        : [...prev, scenarioId];
-      setScenarioResults(calculateScenarioImpact(newSelection));
-      return newSelection;
-    });
+  // Keep the filters in the query string so the current view can be bookmarked
+  useEffect(() => {
+    const query = [
+      yearBasisToQuery(yearBasis),
+      dollarBasisToQuery(dollarBasis),
+      filtersToQuery(filters),
+      comparing && 'compare=1',
+      comparing && filtersToQuery(filtersB, COMPARISON_PREFIX)
+    ].filter(Boolean).join('&');
+    window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+  }, [yearBasis, dollarBasis, filters, comparing, filtersB]);
+
+  // Comparison mode starts with B equal to A, ready to be changed
+  const toggleComparison = () => {
+    if (comparing) {
+      setComparing(false);
+      setFiltersB(DEFAULT_FILTERS);
+      if (activeTab === 'comparison') setActiveTab('damage-forecast');
+    } else {
+      setComparing(true);
+      setFiltersB(filters);
+      setActiveTab('comparison');
+    }
   };
 
-  const runScenario = () => {
-    setScenarioResults(calculateScenarioImpact(selectedScenarios));
+  const handleDeflatorsChange = (indexes) => {
+    saveDeflators(indexes);
+    setDeflators(indexes);
+    if (dollarBasis !== NOMINAL && !indexes[dollarBasis]) setDollarBasis(NOMINAL);
   };
 
-  const applyOptimalScenario = () => {
-    // For demo purposes, select all scenarios
-    setSelectedScenarios(scenarios.map(s => s.id));
-    setScenarioResults(calculateScenarioImpact(scenarios.map(s => s.id)));
+  const handleExclusionsChange = (ids) => {
+    saveExclusions(ids);
+    setExclusions(ids);
   };
 
-  const formatCurrency = (value) => {
-    return new Intl.NumberFormat('en-US', {
-      style: 'currency',
-      currency: 'USD',
-      minimumFractionDigits: 0,
-      maximumFractionDigits: 0
-    }).format(value);
+  // Records the analyst excluded in the Data Quality tab are left out of
+  // every other view
+  const includedData = useMemo(() => {
+    const excluded = new Set(exclusions);
+    return weatherData.filter(item => !excluded.has(item.id));
+  }, [weatherData, exclusions]);
+  const excludedCount = weatherData.length - includedData.length;
+
+  // Records bucketed by calendar or fiscal year and costed in the selected
+  // dollar basis; everything downstream, including the year and cost filters
+  // and the forecast, works on these
+  const pricedData = useMemo(
+    () => toConstantDollars(applyYearBasis(includedData, yearBasis), dollarBasis, deflators),
+    [includedData, yearBasis, dollarBasis, deflators]
+  );
+
+  // Filtered records and the chart series come from memoized selectors, so
+  // they are recomputed only when the data or the filters change
+  const selectors = useMemo(createDashboardSelectors, []);
+  const selectorsB = useMemo(createDashboardSelectors, []);
+  const filteredData = selectors.filteredData(pricedData, filters);
+  const filteredDataB = comparing ? selectorsB.filteredData(pricedData, filtersB) : [];
+  const years = selectors.years(pricedData);
+  const weatherTypes = selectors.weatherTypes(pricedData);
+  const costByWeatherType = selectors.costByWeatherType(pricedData, filters);
+  const weatherEventsByCost = selectors.weatherEventsByCost(pricedData, filters);
+  const costTrend = selectors.costTrend(pricedData, filters);
+  const topEvents = topN(weatherEventsByCost, TOP_EVENTS_SHOWN);
+
+  // Project future damage costs from the filtered history
+  const forecast = useMemo(
+    () => forecastDamage({ trend: costTrend, records: filteredData, model: forecastModel }),
+    [costTrend, filteredData, forecastModel]
+  );
+
+  const selectedEventRecords = selectedEvent ? filteredData.filter(item => eventLabel(item) === selectedEvent) : [];
+
+  const forecastData = forecast.points;
+  const forecastModelLabel = FORECAST_MODELS.find(m => m.id === forecast.model)?.label;
+
+  const shares = useMemo(() => hazardInstallationShares(filteredData), [filteredData]);
+  // Reduction achievable if every mitigation measure were implemented
+  const fullMitigation = useMemo(
+    () => evaluateScenarios({ scenarios, shares, forecast }),
+    [scenarios, shares, forecast]
+  );
+  const seasonality = useMemo(() => seasonalityInsight(filteredData, dollarBasis), [filteredData, dollarBasis]);
+
+  const insights = {
+    forecast: forecastInsights({
+      forecast,
+      modelLabel: forecastModelLabel,
+      scenarioCount: scenarios.length,
+      fullMitigation,
+      seasonality,
+      dollarBasis
+    }),
+    trend: trendInsight({ costTrend, yearBasis }),
+    eventTypes: eventTypeInsight(costByWeatherType)
   };
 
   const InsightBox = ({ title, insights }) => (
@@ -332,16 +275,177 @@ const WeatherDamageDashboard = () => {
   if (loading) return <div>Loading...</div>;
   if (error) return <div>Error: {error}</div>;
 
-  console.log('Rendering with data:', {
-    costByWeatherType,
-    weatherEventsByCost,
-    costTrend
-  });
+  if (showReport) {
+    return (
+      <Report
+        filterLines={describeFilters(filters, dataSources, yearBasis, dollarBasis)}
+        recordCount={filteredData.length}
+        forecast={forecast}
+        forecastModelLabel={forecastModelLabel}
+        costTrend={costTrend}
+        costByWeatherType={costByWeatherType}
+        weatherEventsByCost={weatherEventsByCost}
+        insights={insights}
+        yearBasis={yearBasis}
+        dollarBasis={dollarBasis}
+        onClose={() => setShowReport(false)}
+      />
+    );
+  }
 
   return (
     <div className="dashboard-container">
+      <FilterPanel
+        filters={filters}
+        onChange={setFilters}
+        data={pricedData}
+        dataSources={dataSources}
+        years={years}
+        yearBasis={yearBasis}
+        dollarBasis={dollarBasis}
+        weatherTypes={weatherTypes}
+        title={comparing ? 'Selection A' : null}
+      >
+        <button className="button button-secondary" onClick={toggleComparison}>
+          {comparing ? 'Exit Comparison' : 'Compare A/B'}
+        </button>{' '}
+        <button className="button button-secondary" onClick={() => setShowUpload(prev => !prev)}>
+          {showUpload ? 'Hide Upload' : 'Upload Data'}
+        </button>{' '}
+        <button className="button button-secondary" onClick={() => setShowDatasets(prev => !prev)}>
+          {showDatasets ? 'Hide Datasets' : 'Datasets'}
+        </button>{' '}
+        <button className="button button-secondary" onClick={() => setShowReport(true)}>
+          Generate Report
+        </button>{' '}
+        <label className="filter-label" htmlFor="year-basis">Years</label>{' '}
+        <select id="year-basis" className="filter-select" value={yearBasis} onChange={(e) => setYearBasis(e.target.value)}>
+          {YEAR_BASES.map(basis => <option key={basis.id} value={basis.id}>{basis.label}</option>)}
+        </select>{' '}
+        <label className="filter-label" htmlFor="dollar-basis">Dollars</label>{' '}
+        <select
+          id="dollar-basis"
+          className="filter-select"
+          value={dollarBasis}
+          onChange={(e) => setDollarBasis(e.target.value === NOMINAL ? NOMINAL : parseInt(e.target.value, 10))}
+        >
+          <option value={NOMINAL}>{dollarBasisLabel(NOMINAL)}</option>
+          {deflatorYears(deflators).map(year => (
+            <option key={year} value={year}>{dollarBasisLabel(year)}</option>
+          ))}
+        </select>{' '}
+        <button className="link-button" onClick={() => setShowDeflators(prev => !prev)}>
+          {showDeflators ? 'Hide deflators' : 'Edit deflators'}
+        </button>
+      </FilterPanel>
+
+      {comparing && (
+        <FilterPanel
+          filters={filtersB}
+          onChange={setFiltersB}
+          data={pricedData}
+          dataSources={dataSources}
+          years={years}
+          yearBasis={yearBasis}
+          dollarBasis={dollarBasis}
+          weatherTypes={weatherTypes}
+          title="Selection B"
+          idPrefix="b-"
+        />
+      )}
+
+      {showUpload && <DataUpload onAccept={handleAcceptUpload} />}
+
+      {showDatasets && <DatasetManager cache={datasetStore} onDeleteUpload={handleDeleteUpload} />}
+
+      {showDeflators && <DeflatorEditor deflators={deflators} onChange={handleDeflatorsChange} />}
+
+      {lastPoll && (
+        <p className="filter-summary">
+          {lastPoll.source} checked at {lastPoll.time.toLocaleTimeString()}:{' '}
+          {lastPoll.error ? `update failed (${lastPoll.error})` : `${lastPoll.added} new records`}
+        </p>
+      )}
+
+      {offlineSources.length > 0 && (
+        <div className="warning-box">
+          <p>
+            Working offline: {offlineSources.map(source => (
+              `${source.label} (cached ${new Date(source.savedAt).toLocaleString()})`
+            )).join(', ')} could not be reached, so the cached copies are shown.
+          </p>
+        </div>
+      )}
+
+      {unavailableSources.length > 0 && (
+        <div className="warning-box">
+          <p>
+            Unavailable: {unavailableSources.map(source => `${source.label} (${source.error})`).join(', ')} could not be
+            loaded and has no cached copy, so its records are missing from every view.
+          </p>
+        </div>
+      )}
+
+      {outdatedUploads > 0 && (
+        <p className="filter-summary">
+          {outdatedUploads} cached uploads were saved by an older version of the dashboard and have to be uploaded again.{' '}
+          <button className="link-button" onClick={() => setShowDatasets(true)}>Manage datasets</button>
+        </p>
+      )}
+
+      {excludedCount > 0 && (
+        <p className="filter-summary">
+          {excludedCount} flagged records are excluded from the analysis.{' '}
+          <button className="link-button" onClick={() => setActiveTab('data-quality')}>Review in Data Quality</button>
+        </p>
+      )}
+
+      <YearMismatches records={weatherData} basis={yearBasis} dataSources={dataSources} />
+
+      {dataIssues.length > 0 && (
+        <div className="warning-box">
+          <p>
+            {dataIssues.filter(issue => issue.severity === 'error').length} rows were skipped because of invalid dates
+            and {dataIssues.filter(issue => issue.severity === 'warning').length} rows have ambiguous dates.{' '}
+            <button className="link-button" onClick={() => setShowDataIssues(prev => !prev)}>
+              {showDataIssues ? 'Hide details' : 'Show details'}
+            </button>
+          </p>
+          {showDataIssues && (
+            <table className="data-table">
+              <thead>
+                <tr>
+                  <th>Source</th>
+                  <th>Row</th>
+                  <th>Value</th>
+                  <th>Issue</th>
+                </tr>
+              </thead>
+              <tbody>
+                {dataIssues.map(issue => (
+                  <tr key={`${issue.source}-${issue.rowNumber}`}>
+                    <td>{dataSources.find(source => source.id === issue.source)?.label || issue.source}</td>
+                    <td>{issue.rowNumber}</td>
+                    <td>{issue.value}</td>
+                    <td>{issue.message}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+
       {/* Tab Navigation */}
       <div className="tab-navigation">
+        {comparing && (
+          <button
+            className={`tab-button ${activeTab === 'comparison' ? 'active' : ''}`}
+            onClick={() => setActiveTab('comparison')}
+          >
+            Comparison
+          </button>
+        )}
         <button
           className={`tab-button ${activeTab === 'damage-forecast' ? 'active' : ''}`}
           onClick={() => setActiveTab('damage-forecast')}
@@ -354,10 +458,75 @@ const WeatherDamageDashboard = () => {
         >
           Event Analysis
         </button>
+        <button
+          className={`tab-button ${activeTab === 'geographic-analysis' ? 'active' : ''}`}
+          onClick={() => setActiveTab('geographic-analysis')}
+        >
+          Geographic Analysis
+        </button>
+        <button
+          className={`tab-button ${activeTab === 'installation-risk' ? 'active' : ''}`}
+          onClick={() => setActiveTab('installation-risk')}
+        >
+          Risk Ranking
+        </button>
+        <button
+          className={`tab-button ${activeTab === 'seasonality' ? 'active' : ''}`}
+          onClick={() => setActiveTab('seasonality')}
+        >
+          Seasonality
+        </button>
+        <button
+          className={`tab-button ${activeTab === 'scenario-modeling' ? 'active' : ''}`}
+          onClick={() => setActiveTab('scenario-modeling')}
+        >
+          Scenario Modeling
+        </button>
+        <button
+          className={`tab-button ${activeTab === 'loss-simulation' ? 'active' : ''}`}
+          onClick={() => setActiveTab('loss-simulation')}
+        >
+          Loss Simulation
+        </button>
+        <button
+          className={`tab-button ${activeTab === 'budget' ? 'active' : ''}`}
+          onClick={() => setActiveTab('budget')}
+        >
+          Budget
+        </button>
+        <button
+          className={`tab-button ${activeTab === 'expense-details' ? 'active' : ''}`}
+          onClick={() => setActiveTab('expense-details')}
+        >
+          Expense Details
+        </button>
+        <button
+          className={`tab-button ${activeTab === 'hazard-taxonomy' ? 'active' : ''}`}
+          onClick={() => setActiveTab('hazard-taxonomy')}
+        >
+          Hazard Taxonomy
+        </button>
+        <button
+          className={`tab-button ${activeTab === 'data-quality' ? 'active' : ''}`}
+          onClick={() => setActiveTab('data-quality')}
+        >
+          Data Quality
+        </button>
       </div>
 
       {/* Tab Content */}
       <div className="tab-content">
+        {activeTab === 'comparison' && comparing && (
+          <ComparisonView
+            recordsA={filteredData}
+            recordsB={filteredDataB}
+            labelsA={describeFilters(filters, dataSources, yearBasis, dollarBasis)}
+            labelsB={describeFilters(filtersB, dataSources, yearBasis, dollarBasis)}
+            yearBasis={yearBasis}
+            dollarBasis={dollarBasis}
+          />
+        )}
+
         {activeTab === 'damage-forecast' && (
           <div>
             <h2>Projected Damage Costs (5-Year Forecast)</h2>
@@ -365,39 +534,59 @@ const WeatherDamageDashboard = () => {
             <div className="info-box">
               <h3>Forecast Insights</h3>
               <ul className="list-disc">
-                <li>Based on historical patterns, damage costs are projected to increase by approximately 15% annually</li>
-                <li>Implementing preventative measures could reduce projected costs by 25-40%</li>
-                <li>Highest risk period for all installations is during hurricane season (June-November)</li>
-                <li>Cost-benefit analysis suggests prioritizing infrastructure hardening at high-risk installations</li>
+                {insights.forecast.map(insight => <li key={insight}>{insight}</li>)}
               </ul>
             </div>
 
-            <div className="chart-container" style={{height: '400px', width: '100%', minWidth: '300px'}}>
+            <div className="filter-group">
+              <label className="filter-label" htmlFor="forecast-model">Forecast model</label>
+              <select
+                id="forecast-model"
+                className="filter-select"
+                value={forecastModel}
+                onChange={(e) => setForecastModel(e.target.value)}
+              >
+                {FORECAST_MODELS.map(model => (
+                  <option key={model.id} value={model.id}>{model.label}</option>
+                ))}
+              </select>
+            </div>
+
+            <ChartExportMenu
+              chartRef={forecastChartRef}
+              filename="damage-forecast"
+              rows={forecastData}
+              columns={FORECAST_COLUMNS}
+            />
+            <div ref={forecastChartRef} className="chart-container" style={{height: '400px', width: '100%', minWidth: '300px'}}>
               <ResponsiveContainer width="100%" height={400}>
                 <ComposedChart data={forecastData}>
                   <CartesianGrid strokeDasharray="3 3" />
-                  <XAxis dataKey="name" />
+                  <XAxis dataKey="name" tickFormatter={(year) => formatYear(year, yearBasis)} />
                   <YAxis
                     tickFormatter={(value) => `$${value / 1000000}M`}
-                    label={{ value: 'Projected Cost (Millions USD)', angle: -90, position: 'insideLeft' }}
+                    label={{ value: `Projected Cost (Millions, ${dollarUnit(dollarBasis)})`, angle: -90, position: 'insideLeft' }}
+                  />
+                  <Tooltip
+                    formatter={(value) => formatCurrency(value, dollarBasis)}
+                    labelFormatter={(year) => formatYear(year, yearBasis)}
                   />
-                  <Tooltip formatter={(value) => formatCurrency(value)} />
                   <Legend />
                   <Area
                     type="monotone"
-                    dataKey="upper"
+                    dataKey="upperBound"
                     fill="#8884d8"
                     stroke="#8884d8"
                     fillOpacity={0.3}
-                    name="Upper Bound"
+                    name={`Upper Bound (${Math.round(forecast.confidence * 100)}% interval)`}
                   />
                   <Line
                     type="monotone"
-                    dataKey="lower"
+                    dataKey="lowerBound"
                     stroke="#00C49F"
                     strokeWidth={2}
                     dot={{ r: 4 }}
-                    name="Lower Bound"
+                    name={`Lower Bound (${Math.round(forecast.confidence * 100)}% interval)`}
                   />
                   <Line
                     type="monotone"
@@ -414,23 +603,29 @@ const WeatherDamageDashboard = () => {
             <h2>Historical Yearly Trends</h2>
             <div className="info-box">
               <h3>Historical Trend Insights</h3>
-              <p>Analysis of yearly damage costs from {Math.min(...years)} to {Math.max(...years)} shows a {
-                costTrend[costTrend.length - 1]?.value > costTrend[0]?.value ? 'rising' : 'varying'
-              } trend in weather-related damages. The data indicates {
-                costTrend.reduce((max, current) => current.count > max.count ? current : max, costTrend[0])?.name
-              } had the highest number of weather events.</p>
+              <p>{insights.trend}</p>
             </div>
 
-            <div className="chart-container" style={{height: '400px', width: '100%', minWidth: '300px'}}>
+            <ChartExportMenu
+              chartRef={trendChartRef}
+              filename="yearly-trend"
+              rows={costTrend}
+              columns={TREND_COLUMNS}
+            />
+            <div ref={trendChartRef} className="chart-container" style={{height: '400px', width: '100%', minWidth: '300px'}}>
               <ResponsiveContainer width="100%" height={400}>
                 <ComposedChart data={costTrend}>
                   <CartesianGrid strokeDasharray="3 3" />
-                  <XAxis dataKey="name" />
+                  <XAxis dataKey="name" tickFormatter={(year) => formatYear(year, yearBasis)} />
                   <YAxis
                     tickFormatter={(value) => `$${value / 1000000}M`}
-                    label={{ value: 'Total Cost (Millions USD)', angle: -90, position: 'insideLeft' }}
+                    label={{ value: `Total Cost (Millions, ${dollarUnit(dollarBasis)})`, angle: -90, position: 'insideLeft' }}
+                  />
+                  <YAxis yAxisId={1} orientation="right" allowDecimals={false} />
+                  <Tooltip
+                    formatter={(value, name) => (name === 'Event Count' ? value : formatCurrency(value, dollarBasis))}
+                    labelFormatter={(year) => formatYear(year, yearBasis)}
                   />
-                  <Tooltip formatter={(value) => formatCurrency(value)} />
                   <Legend />
                   <Bar dataKey="value" fill="#8884d8" name="Total Cost" />
                   <Line type="monotone" dataKey="count" stroke="#82ca9d" yAxisId={1} name="Event Count" />
@@ -444,15 +639,19 @@ const WeatherDamageDashboard = () => {
           <div>
             <InsightBox
               title="Event Type Distribution Insights"
-              insights={`${costByWeatherType[0]?.name || 'Weather events'} account for ${costByWeatherType[0]?.percentage || 0}% of total damage costs. ${
-                costByWeatherType[1]?.name ? `${costByWeatherType[1].name} follows with ${costByWeatherType[1].percentage}% of costs.` : ''
-              } This analysis highlights the need for targeted infrastructure improvements and mitigation strategies for these high-impact events.`}
+              insights={insights.eventTypes}
             />
 
             <div style={{ display: 'grid', gridTemplateColumns: '0.8fr 1.2fr', gap: '2rem', marginBottom: '2rem' }}>
               <div>
-                <h2>Cost by Weather Event Type</h2>
-                <div style={{height: '400px', width: '100%', position: 'relative', minWidth: '300px'}}>
+                <h2>Cost by Weather Event Type ({dollarUnit(dollarBasis)})</h2>
+                <ChartExportMenu
+                  chartRef={typeChartRef}
+                  filename="cost-by-weather-type"
+                  rows={costByWeatherType}
+                  columns={WEATHER_TYPE_COLUMNS}
+                />
+                <div ref={typeChartRef} style={{height: '400px', width: '100%', position: 'relative', minWidth: '300px'}}>
                   <ResponsiveContainer width="100%" height="100%">
                     <PieChart margin={{ top: 20, right: 20, bottom: 20, left: 20 }}>
                       <Pie
@@ -474,7 +673,7 @@ const WeatherDamageDashboard = () => {
                         ))}
                       </Pie>
                       <Tooltip 
-                        formatter={(value) => formatCurrency(value)}
+                        formatter={(value) => formatCurrency(value, dollarBasis)}
                         contentStyle={{ backgroundColor: 'white', border: '1px solid #ccc' }}
                       />
                     </PieChart>
@@ -483,11 +682,17 @@ const WeatherDamageDashboard = () => {
               </div>
               
               <div>
-                <h2>Top Weather Events by Cost Impact</h2>
-                <div style={{height: '400px', width: '100%', position: 'relative', minWidth: '300px'}}>
+                <h2>Top Weather Events by Cost Impact ({dollarUnit(dollarBasis)})</h2>
+                <ChartExportMenu
+                  chartRef={eventsChartRef}
+                  filename="top-weather-events"
+                  rows={weatherEventsByCost}
+                  columns={EVENT_COLUMNS}
+                />
+                <div ref={eventsChartRef} style={{height: '400px', width: '100%', position: 'relative', minWidth: '300px'}}>
                   <ResponsiveContainer width="100%" height="100%">
                     <BarChart
-                      data={weatherEventsByCost}
+                      data={topEvents}
                       layout="vertical"
                       margin={{ top: 5, right: 30, left: 200, bottom: 5 }}
                     >
@@ -503,21 +708,98 @@ const WeatherDamageDashboard = () => {
                         interval={0}
                       />
                       <Tooltip 
-                        formatter={(value) => formatCurrency(value)}
+                        formatter={(value) => formatCurrency(value, dollarBasis)}
                         contentStyle={{ backgroundColor: 'white', border: '1px solid #ccc' }}
                       />
-                      <Bar dataKey="value" fill="#8884d8">
-                        {weatherEventsByCost.map((entry, index) => (
-                          <Cell key={`cell-${index}`} fill={COLORS[index % COLORS.length]} />
+                      <Bar
+                        dataKey="value"
+                        fill="#8884d8"
+                        cursor="pointer"
+                        onClick={(entry) => entry.name !== OTHER && setSelectedEvent(entry.name)}
+                      >
+                        {topEvents.map((entry, index) => (
+                          <Cell
+                            key={`cell-${index}`}
+                            fill={entry.name === OTHER ? '#a0aec0' : COLORS[index % COLORS.length]}
+                            fillOpacity={selectedEvent && selectedEvent !== entry.name ? 0.4 : 1}
+                          />
                         ))}
                       </Bar>
                     </BarChart>
                   </ResponsiveContainer>
                 </div>
+                <p>
+                  Click a bar to open the event&apos;s cost breakdown.
+                  {weatherEventsByCost.length > TOP_EVENTS_SHOWN && ` The ${weatherEventsByCost.length - TOP_EVENTS_SHOWN} smaller events are combined under Other; the CSV export lists them all.`}
+                </p>
               </div>
             </div>
+
+            {selectedEventRecords.length > 0 && (
+              <EventDrillDown
+                name={selectedEvent}
+                records={selectedEventRecords}
+                dollarBasis={dollarBasis}
+                onClose={() => setSelectedEvent(null)}
+              />
+            )}
           </div>
         )}
+
+        {activeTab === 'geographic-analysis' && (
+          <GeographicAnalysis data={filteredData} dollarBasis={dollarBasis} />
+        )}
+
+        {activeTab === 'installation-risk' && (
+          <InstallationRisk data={filteredData} yearBasis={yearBasis} dollarBasis={dollarBasis} />
+        )}
+
+        {activeTab === 'seasonality' && (
+          <Seasonality data={filteredData} yearBasis={yearBasis} dollarBasis={dollarBasis} />
+        )}
+
+        {activeTab === 'scenario-modeling' && (
+          <ScenarioModeling
+            data={filteredData}
+            forecast={forecast}
+            yearBasis={yearBasis}
+            dollarBasis={dollarBasis}
+            scenarios={scenarios}
+            setScenarios={setScenarios}
+            selectedScenarios={selectedScenarios}
+            setSelectedScenarios={setSelectedScenarios}
+          />
+        )}
+
+        {activeTab === 'loss-simulation' && (
+          <LossSimulation
+            data={filteredData}
+            scenarios={scenarios}
+            selectedScenarios={selectedScenarios}
+            dollarBasis={dollarBasis}
+          />
+        )}
+
+        {activeTab === 'budget' && (
+          <Budget data={filteredData} yearBasis={yearBasis} dollarBasis={dollarBasis} />
+        )}
+
+        {activeTab === 'expense-details' && (
+          <ExpenseAnalysis data={filteredData} dollarBasis={dollarBasis} />
+        )}
+
+        {activeTab === 'hazard-taxonomy' && (
+          <HazardTaxonomy data={pricedData} dollarBasis={dollarBasis} />
+        )}
+
+        {activeTab === 'data-quality' && (
+          <DataQuality
+            records={weatherData}
+            exclusions={exclusions}
+            onChange={handleExclusionsChange}
+            dataSources={dataSources}
+          />
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,63 @@
+import React, { useState } from 'react';
+import { YEAR_BASES, formatYear, yearMismatches, toISODay } from '../utils/dates';
+import { formatCurrency } from '../utils/format';
+import { NOMINAL } from '../utils/dollars';
+
+const MAX_ROWS = 100;
+
+// Records whose file gives a Year other than the year their date falls in
+// under the current basis. They stay in the `basis` year bucket; this only
+// makes the disagreement visible. Costs are as spent, whatever the dollar
+// basis.
+const YearMismatches = ({ records, basis, dataSources }) => {
+  const [showDetails, setShowDetails] = useState(false);
+  const mismatches = yearMismatches(records, basis);
+  if (mismatches.length === 0) return null;
+
+  const otherBasis = YEAR_BASES.find(option => option.id !== basis);
+  const matchOther = mismatches.length - yearMismatches(mismatches, otherBasis.id).length;
+
+  return (
+    <div className="warning-box">
+      <p>
+        {mismatches.length} records give a Year that differs from the {YEAR_BASES.find(option => option.id === basis).name} of their event date
+        {matchOther > 0 && ` (${matchOther} of them match the ${otherBasis.name})`}.
+        They are counted in the year of their date.{' '}
+        <button className="link-button" onClick={() => setShowDetails(prev => !prev)}>
+          {showDetails ? 'Hide details' : 'Show details'}
+        </button>
+      </p>
+      {showDetails && (
+        <table className="data-table">
+          <thead>
+            <tr>
+              <th>Source</th>
+              <th>Installation</th>
+              <th>Event Date</th>
+              <th>Declared Year</th>
+              <th>Calendar Year</th>
+              <th>Fiscal Year</th>
+              <th>Cost</th>
+            </tr>
+          </thead>
+          <tbody>
+            {mismatches.slice(0, MAX_ROWS).map((item, index) => (
+              <tr key={index}>
+                <td>{dataSources.find(source => source.id === item.source)?.label || item.source}</td>
+                <td>{item.Installation}</td>
+                <td>{toISODay(item.date)}</td>
+                <td><strong>{item.declaredYear}</strong></td>
+                <td>{item.calendarYear}</td>
+                <td>{formatYear(item.fiscalYear, 'fiscal')}</td>
+                <td>{formatCurrency(item.Cost, NOMINAL)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      {showDetails && mismatches.length > MAX_ROWS && <p>Showing the first {MAX_ROWS} of {mismatches.length}.</p>}
+    </div>
+  );
+};
+
+export default YearMismatches;
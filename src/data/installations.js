@@ -0,0 +1,75 @@
+// Known installation locations, keyed by the installation's current name.
+// To add an installation, add its coordinates here; if the reports spell it
+// differently (or use a pre-rename name), add the spelling to
+// INSTALLATION_ALIASES rather than duplicating the entry.
+export const INSTALLATION_COORDINATES = {
+  'Fort Liberty': { lat: 35.1390, lng: -79.0060 },
+  'Fort Cavazos': { lat: 31.1350, lng: -97.7760 },
+  'Fort Moore': { lat: 32.3590, lng: -84.9490 },
+  'Fort Campbell': { lat: 36.6672, lng: -87.4755 },
+  'Fort Stewart': { lat: 31.8691, lng: -81.6089 },
+  'Hunter Army Airfield': { lat: 32.0100, lng: -81.1460 },
+  'Fort Riley': { lat: 39.0855, lng: -96.7645 },
+  'Fort Carson': { lat: 38.7375, lng: -104.7889 },
+  'Fort Drum': { lat: 44.0509, lng: -75.7177 },
+  'Joint Base Lewis-McChord': { lat: 47.0855, lng: -122.5821 },
+  'Fort Johnson': { lat: 31.0445, lng: -93.2035 },
+  'Fort Bliss': { lat: 31.8120, lng: -106.4220 },
+  'Fort Eisenhower': { lat: 33.4200, lng: -82.1410 },
+  'Fort Gregg-Adams': { lat: 37.2450, lng: -77.3340 },
+  'Fort Hamilton': { lat: 40.6090, lng: -74.0320 },
+  'Fort Jackson': { lat: 34.0230, lng: -80.9130 },
+  'Fort Knox': { lat: 37.8910, lng: -85.9630 },
+  'Fort Leavenworth': { lat: 39.3450, lng: -94.9220 },
+  'Fort Leonard Wood': { lat: 37.7430, lng: -92.1410 },
+  'Fort Novosel': { lat: 31.3430, lng: -85.7150 },
+  'Fort Sill': { lat: 34.6500, lng: -98.4020 },
+  'Fort Thomas': { lat: 39.0750, lng: -84.4480 },
+  'Kwajalein': { lat: 8.7200, lng: 167.7310 },
+  'Presidio of Monterey': { lat: 36.6020, lng: -121.9000 },
+  'Military Ocean Terminal Sunny Point': { lat: 33.9890, lng: -77.9570 },
+  'Military Ocean Terminal Concord': { lat: 38.0390, lng: -122.0180 },
+  'Shades of Green': { lat: 28.4080, lng: -81.5870 },
+  'Camp Blanding Joint Training Center': { lat: 29.9530, lng: -81.9800 },
+  'Camp Smith': { lat: 41.3080, lng: -73.9240 },
+  'Camp Walker': { lat: 35.8450, lng: 128.5860 },
+  'West Point': { lat: 41.3910, lng: -73.9560 },
+  'Carlisle Barracks': { lat: 40.2070, lng: -77.1730 },
+  'Redstone Arsenal': { lat: 34.6840, lng: -86.6470 },
+  'Anniston Army Depot': { lat: 33.6250, lng: -85.9690 },
+  'Hawthorne Army Depot': { lat: 38.5340, lng: -118.6250 },
+  'Radford Army Ammunition Plant': { lat: 37.1820, lng: -80.5400 },
+  'Joint Base Myer-Henderson Hall': { lat: 38.8810, lng: -77.0760 },
+  'Joint Base McGuire-Dix-Lakehurst': { lat: 40.0150, lng: -74.5920 },
+  'MacDill AFB': { lat: 27.8490, lng: -82.5210 },
+  'Ellington Field': { lat: 29.6070, lng: -95.1590 },
+  'Cecil Field': { lat: 30.2180, lng: -81.8770 }
+};
+
+// Alternate spellings, abbreviations and pre-rename names, mapped to the
+// current name used in INSTALLATION_COORDINATES. Keys are lowercase.
+export const INSTALLATION_ALIASES = {
+  'fort bragg': 'Fort Liberty',
+  'fort hood': 'Fort Cavazos',
+  'fort benning': 'Fort Moore',
+  'fort gordon': 'Fort Eisenhower',
+  'fort lee': 'Fort Gregg-Adams',
+  'fort polk': 'Fort Johnson',
+  'fort rucker': 'Fort Novosel',
+  'fort lewis': 'Joint Base Lewis-McChord',
+  'jblm': 'Joint Base Lewis-McChord',
+  'leavenworth': 'Fort Leavenworth',
+  'fort leonardwood': 'Fort Leonard Wood',
+  'fort leonard-wood': 'Fort Leonard Wood',
+  'hunter aaf': 'Hunter Army Airfield',
+  'motsu': 'Military Ocean Terminal Sunny Point',
+  'mot sunny point': 'Military Ocean Terminal Sunny Point',
+  'motco': 'Military Ocean Terminal Concord',
+  'cbjtc': 'Camp Blanding Joint Training Center',
+  'camp blanding': 'Camp Blanding Joint Training Center',
+  'ga training center on fort stewart': 'Fort Stewart',
+  'jbmhh': 'Joint Base Myer-Henderson Hall',
+  'ellington field / angleton': 'Ellington Field',
+  'jax-cecil': 'Cecil Field',
+  'jacksonville cecil field army aviation support facility 1': 'Cecil Field'
+};
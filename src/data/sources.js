@@ -0,0 +1,71 @@
+// Data sources the dashboard loads. `type` picks the adapter that reads it
+// (see utils/dataAdapters): 'csv' for a static file, 'rest' for the JSON
+// damage reports API. `columns` maps each field of the normalized record to
+// the header used for it in that source; fields a source doesn't have are
+// left out. `dateOrder` is the day/month order of numeric event dates in that
+// source (see parseDate in utils/dates).
+
+// Same names in the source as in the normalized record
+const SAME_COLUMNS = {
+  'Branch': 'Branch',
+  'Weather Event': 'Weather Event',
+  'Named Storm': 'Named Storm',
+  'Date of Weather Event': 'Date of Weather Event',
+  'Year': 'Year',
+  'Appropriation': 'Appropriation',
+  'Line Item/SAG': 'Line Item/SAG',
+  'Line Item/SAG title': 'Line Item/SAG title',
+  'Details of Expense': 'Details of Expense',
+  'Installation': 'Installation',
+  'State': 'State',
+  'Cost': 'Cost'
+};
+
+// The damage reports API is only read when its address is configured, e.g.
+// REACT_APP_DAMAGE_API_URL=http://localhost:4000/api/records for the local
+// mock server (npm run mock-api). It is polled for new reports every
+// `pollInterval` milliseconds.
+const API_SOURCES = process.env.REACT_APP_DAMAGE_API_URL
+  ? [{
+    id: 'api',
+    type: 'rest',
+    label: 'Damage reports API',
+    url: process.env.REACT_APP_DAMAGE_API_URL,
+    pageSize: 100,
+    pollInterval: 15000,
+    dateOrder: 'MDY',
+    columns: SAME_COLUMNS
+  }]
+  : [];
+
+export const DATA_SOURCES = [
+  {
+    id: 'ag3',
+    type: 'csv',
+    label: 'AG3 data (ag3_data_v3.csv)',
+    url: '/ag3_data_v3.csv',
+    dateOrder: 'MDY',
+    columns: SAME_COLUMNS
+  },
+  {
+    id: 'army-wx',
+    type: 'csv',
+    label: 'Army weather data (army_wx_data.csv)',
+    url: '/army_wx_data.csv',
+    dateOrder: 'MDY',
+    columns: {
+      'Branch': 'Branch',
+      'Weather Event': 'Weather Event',
+      'Date of Weather Event': 'Date of Weather Event',
+      'Year': 'Year',
+      'Appropriation': 'Appropriation',
+      'Line Item/SAG': 'Line Item/\nSAG',
+      'Line Item/SAG title': 'Line Item/\nSAG title',
+      'Details of Expense': 'Details of Expense',
+      'Installation': 'Installation',
+      'State': 'State',
+      'Cost': 'Cost'
+    }
+  },
+  ...API_SOURCES
+];
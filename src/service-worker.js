@@ -0,0 +1,66 @@
+/* eslint-disable no-restricted-globals */
+
+// Service worker for offline use, built by react-scripts (Workbox
+// InjectManifest) in production builds only and registered from index.js.
+// The app shell is precached; the bundled data files and the map tiles that
+// have been viewed are cached as they are fetched. Parsed records are kept
+// separately in IndexedDB (see utils/datasetCache).
+
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { CacheableResponsePlugin } from 'workbox-cacheable-response';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { CacheFirst, NetworkFirst } from 'workbox-strategies';
+import { DATA_SOURCES } from './data/sources';
+
+const DATA_CACHE = 'data-files';
+const TILE_CACHE = 'map-tiles';
+const DATA_FILES = DATA_SOURCES
+  .filter(source => (source.type || 'csv') === 'csv')
+  .map(source => `${process.env.PUBLIC_URL}${source.url}`);
+
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Navigations get index.html, except for URLs of files and /_ paths
+const fileExtensionRegexp = new RegExp('/[^/?]+\\.[^/]+$');
+registerRoute(
+  ({ request, url }) => request.mode === 'navigate' &&
+    !url.pathname.startsWith('/_') &&
+    !url.pathname.match(fileExtensionRegexp),
+  createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`)
+);
+
+// Data files are fetched from the network whenever possible so updates show
+// up, and from the cache when disconnected. They are cached at install, since
+// the first page load fetches them before the worker is in control.
+registerRoute(
+  ({ url }) => url.origin === self.location.origin && url.pathname.endsWith('.csv'),
+  new NetworkFirst({ cacheName: DATA_CACHE })
+);
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(DATA_CACHE).then(cache => cache.addAll(DATA_FILES)));
+});
+
+// Map tiles rarely change; keep the ones viewed for a month. Tile images are
+// cross-origin, so their cached responses are opaque (status 0).
+registerRoute(
+  ({ url }) => url.hostname.endsWith('tile.openstreetmap.org'),
+  new CacheFirst({
+    cacheName: TILE_CACHE,
+    plugins: [
+      new CacheableResponsePlugin({ statuses: [0, 200] }),
+      new ExpirationPlugin({ maxEntries: 2000, maxAgeSeconds: 30 * 24 * 60 * 60 })
+    ]
+  })
+);
+
+// Lets the page activate a new version without waiting for every tab to close
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
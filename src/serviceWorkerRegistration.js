@@ -0,0 +1,39 @@
+// Registers the service worker in src/service-worker.js, so the dashboard
+// keeps working without a network connection once it has been opened. Only
+// production builds have a service worker; in development it would serve
+// stale code.
+
+export const register = () => {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+
+  // Service workers only work from the app's own origin
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  if (publicUrl.origin !== window.location.origin) return;
+
+  window.addEventListener('load', async () => {
+    try {
+      const registration = await navigator.serviceWorker.register(`${process.env.PUBLIC_URL}/service-worker.js`);
+      registration.onupdatefound = () => {
+        const installing = registration.installing;
+        if (!installing) return;
+        installing.onstatechange = () => {
+          if (installing.state === 'installed' && navigator.serviceWorker.controller) {
+            console.log('A new version of the dashboard is available and will be used once all its tabs are closed.');
+          }
+        };
+      };
+    } catch (err) {
+      console.error('Service worker registration failed:', err);
+    }
+  });
+};
+
+export const unregister = async () => {
+  if (!('serviceWorker' in navigator)) return;
+  try {
+    const registration = await navigator.serviceWorker.ready;
+    await registration.unregister();
+  } catch (err) {
+    console.error('Service worker unregistration failed:', err);
+  }
+};
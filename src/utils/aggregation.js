@@ -0,0 +1,124 @@
+import _ from 'lodash';
+import { normalizeWeatherType } from './weatherTypes';
+import { canonicalInstallation } from './locations';
+import { eventLabel } from './storms';
+import { applyFilters } from './filters';
+import { appropriationOf, sagOf } from './budget';
+import { toISODay } from './dates';
+
+// Aggregation engine behind the dashboard's charts: cost and record count
+// grouped by a dimension or a time bucket, top-N with an "Other" rollup, and
+// memoized selectors that recompute only when their inputs change. It has no
+// React dependency, so it can be tested directly. Everything runs on the main
+// thread: each aggregation is one pass over the records, and a render that
+// changes nothing reuses the previous results.
+
+// Value each record is grouped by, per dimension
+export const DIMENSIONS = {
+  hazard: item => normalizeWeatherType(item['Weather Event']),
+  event: eventLabel,
+  installation: item => canonicalInstallation(item.Installation),
+  state: item => item.State,
+  appropriation: appropriationOf,
+  sag: sagOf,
+  year: item => item.Year
+};
+
+// Time buckets, with labels that sort chronologically as strings. Years
+// follow the year basis already applied to the records; quarters and months
+// are calendar ones.
+export const TIME_BUCKETS = {
+  year: item => `${item.Year}`,
+  quarter: item => `${item.date.getFullYear()}-Q${Math.floor(item.date.getMonth() / 3) + 1}`,
+  month: item => toISODay(item.date).slice(0, 7)
+};
+
+export const OTHER = 'Other';
+
+const keyFunction = (by, functions) => (typeof by === 'function' ? by : functions[by]);
+
+// Sum cost and count records per group in one pass. `by` is a DIMENSIONS
+// name or a function of a record; `describe` adds fields to a group's row
+// from its first record. Returns [{ name, value, count }] by cost, highest
+// first.
+export const aggregateBy = (records, by, { describe } = {}) => {
+  const keyOf = keyFunction(by, DIMENSIONS);
+  const groups = new Map();
+  records.forEach(item => {
+    const key = keyOf(item);
+    const group = groups.get(key);
+    if (group) {
+      group.value += item.Cost;
+      group.count += 1;
+    } else {
+      groups.set(key, { name: key, value: item.Cost, count: 1, first: item });
+    }
+  });
+  return _.orderBy(
+    Array.from(groups.values(), ({ first, ...row }) => (describe ? { ...row, ...describe(first) } : row)),
+    ['value'],
+    ['desc']
+  );
+};
+
+// Cost and count per time bucket ('year', 'quarter' or 'month'), in
+// chronological order. Buckets without records are left out.
+export const aggregateByTime = (records, bucket = 'year') => _.sortBy(aggregateBy(records, keyFunction(bucket, TIME_BUCKETS)), 'name');
+
+// The first `count` rows, with the rest summed into one "Other" row
+export const topN = (rows, count, otherLabel = OTHER) => {
+  if (rows.length <= count) return rows;
+  const rest = rows.slice(count);
+  return [
+    ...rows.slice(0, count),
+    { name: otherLabel, value: _.sumBy(rest, 'value'), count: _.sumBy(rest, 'count'), groups: rest.length }
+  ];
+};
+
+// Rows with their rounded percentage of the total cost
+export const withShares = (rows) => {
+  const total = _.sumBy(rows, 'value');
+  return rows.map(row => ({ ...row, percentage: total ? Math.round((row.value / total) * 100) : 0 }));
+};
+
+// Distinct values of a dimension, sorted
+export const distinctValues = (records, by) => {
+  const keyOf = keyFunction(by, DIMENSIONS);
+  return Array.from(new Set(records.map(keyOf))).sort();
+};
+
+// Memoize a computation on the values of its `inputs`: each input is a
+// function of the selector's arguments, and the computation reruns only when
+// one of them returns something new (compared by reference). Only the latest
+// result is kept.
+export const createSelector = (inputs, compute) => {
+  let lastValues = null;
+  let lastResult;
+  return (...args) => {
+    const values = inputs.map(input => input(...args));
+    if (lastValues && values.every((value, index) => value === lastValues[index])) return lastResult;
+    lastValues = values;
+    lastResult = compute(...values);
+    return lastResult;
+  };
+};
+
+// Selectors for the dashboard's aggregates, each called with the records and
+// the active filters. Each dashboard (or filter set) needs its own, since
+// a selector only remembers its latest inputs.
+export const createDashboardSelectors = () => {
+  const records = (data) => data;
+  const filters = (data, activeFilters) => activeFilters;
+
+  const filteredData = createSelector([records, filters], applyFilters);
+  return {
+    filteredData,
+    years: createSelector([records], data => distinctValues(data, 'year')),
+    weatherTypes: createSelector([records], data => distinctValues(data, 'hazard')),
+    costByWeatherType: createSelector([filteredData], data => withShares(aggregateBy(data, 'hazard'))),
+    weatherEventsByCost: createSelector([filteredData], data => aggregateBy(data, 'event', {
+      describe: item => ({ normalizedType: DIMENSIONS.hazard(item) })
+    })),
+    costTrend: createSelector([filteredData], data => aggregateByTime(data, 'year'))
+  };
+};
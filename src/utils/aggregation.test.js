@@ -0,0 +1,130 @@
+import fs from 'fs';
+import path from 'path';
+import _ from 'lodash';
+import { DATA_SOURCES } from '../data/sources';
+import { parseSource, mergeSources } from './ingestion';
+import { DEFAULT_FILTERS } from './filters';
+import {
+  DIMENSIONS, aggregateBy, aggregateByTime, topN, withShares, distinctValues, createSelector, createDashboardSelectors
+} from './aggregation';
+
+// The CSV files bundled with the dashboard, loaded the way the app loads them
+const loadBundledRecords = () => mergeSources(DATA_SOURCES
+  .filter(source => source.type === 'csv')
+  .map(source => parseSource(fs.readFileSync(path.join(__dirname, '../../public', source.url), 'utf8'), source).records));
+
+const RECORDS = loadBundledRecords();
+const TOTAL_COST = _.sumBy(RECORDS, 'Cost');
+
+describe('aggregateBy on the bundled data', () => {
+  test('loads the bundled files', () => {
+    expect(RECORDS.length).toBeGreaterThan(100);
+    expect(TOTAL_COST).toBeGreaterThan(0);
+  });
+
+  test.each(Object.keys(DIMENSIONS))('groups by %s like a plain groupBy', dimension => {
+    const rows = aggregateBy(RECORDS, dimension);
+    const expected = _.mapValues(_.groupBy(RECORDS, DIMENSIONS[dimension]), items => ({ value: _.sumBy(items, 'Cost'), count: items.length }));
+
+    expect(rows).toHaveLength(Object.keys(expected).length);
+    rows.forEach(row => {
+      expect(row.value).toBeCloseTo(expected[row.name].value, 2);
+      expect(row.count).toBe(expected[row.name].count);
+    });
+    expect(_.sumBy(rows, 'count')).toBe(RECORDS.length);
+    expect(rows.map(row => row.value)).toEqual(_.orderBy(rows.map(row => row.value), [], ['desc']));
+  });
+
+  test('adds fields from the first record of each group', () => {
+    const rows = aggregateBy(RECORDS, 'event', { describe: item => ({ normalizedType: DIMENSIONS.hazard(item) }) });
+    rows.forEach(row => expect(typeof row.normalizedType).toBe('string'));
+    expect(aggregateBy(RECORDS, item => item.Cost > 1000000 ? 'large' : 'small').map(row => row.name).sort()).toEqual(['large', 'small']);
+  });
+});
+
+describe('aggregateByTime', () => {
+  test.each(['year', 'quarter', 'month'])('puts every record in one %s bucket, in order', bucket => {
+    const rows = aggregateByTime(RECORDS, bucket);
+    expect(rows.map(row => row.name)).toEqual([...rows.map(row => row.name)].sort());
+    expect(_.sumBy(rows, 'count')).toBe(RECORDS.length);
+    expect(_.sumBy(rows, 'value')).toBeCloseTo(TOTAL_COST, 2);
+  });
+
+  test('labels years, quarters and months', () => {
+    const record = { Year: 2024, date: new Date('2024-08-15T00:00:00'), Cost: 5 };
+    expect(aggregateByTime([record], 'year')[0].name).toBe('2024');
+    expect(aggregateByTime([record], 'quarter')[0].name).toBe('2024-Q3');
+    expect(aggregateByTime([record], 'month')[0]).toEqual({ name: '2024-08', value: 5, count: 1 });
+  });
+});
+
+describe('topN and shares', () => {
+  test('rolls the rest into Other without losing cost', () => {
+    const rows = aggregateBy(RECORDS, 'installation');
+    const top = topN(rows, 5);
+    expect(top).toHaveLength(6);
+    expect(top.slice(0, 5)).toEqual(rows.slice(0, 5));
+    expect(_.last(top)).toMatchObject({ name: 'Other', groups: rows.length - 5 });
+    expect(_.sumBy(top, 'value')).toBeCloseTo(TOTAL_COST, 2);
+    expect(_.sumBy(top, 'count')).toBe(RECORDS.length);
+    expect(topN(rows, rows.length)).toBe(rows);
+    expect(_.last(topN(rows, 1, 'All others')).name).toBe('All others');
+  });
+
+  test('gives rounded percentages of the total', () => {
+    expect(withShares([{ name: 'a', value: 3 }, { name: 'b', value: 1 }]).map(row => row.percentage)).toEqual([75, 25]);
+    expect(withShares([{ name: 'a', value: 0 }])[0].percentage).toBe(0);
+    expect(_.sumBy(withShares(aggregateBy(RECORDS, 'hazard')), 'percentage')).toBeGreaterThanOrEqual(95);
+  });
+
+  test('lists distinct values in order', () => {
+    expect(distinctValues(RECORDS, 'year')).toEqual(_.uniq(RECORDS.map(item => item.Year)).sort());
+  });
+});
+
+describe('selectors', () => {
+  test('recompute only when an input changes', () => {
+    const compute = jest.fn((a, b) => a + b);
+    const select = createSelector([args => args.a, args => args.b], compute);
+    expect(select({ a: 1, b: 2 })).toBe(3);
+    expect(select({ a: 1, b: 2, c: 'ignored' })).toBe(3);
+    expect(compute).toHaveBeenCalledTimes(1);
+    expect(select({ a: 2, b: 2 })).toBe(4);
+    expect(compute).toHaveBeenCalledTimes(2);
+  });
+
+  test('give the dashboard series for the filters, reusing unchanged results', () => {
+    const selectors = createDashboardSelectors();
+    const filters = { ...DEFAULT_FILTERS, weatherType: 'Hail' };
+    const filtered = selectors.filteredData(RECORDS, filters);
+    expect(filtered.length).toBeGreaterThan(0);
+    filtered.forEach(item => expect(DIMENSIONS.hazard(item)).toBe('Hail'));
+
+    const trend = selectors.costTrend(RECORDS, filters);
+    expect(_.sumBy(trend, 'value')).toBeCloseTo(_.sumBy(filtered, 'Cost'), 2);
+    expect(selectors.costByWeatherType(RECORDS, filters)).toEqual([
+      { name: 'Hail', value: _.sumBy(filtered, 'Cost'), count: filtered.length, percentage: 100 }
+    ]);
+
+    // Same inputs give the same objects, so charts don't re-render
+    expect(selectors.filteredData(RECORDS, filters)).toBe(filtered);
+    expect(selectors.costTrend(RECORDS, filters)).toBe(trend);
+    expect(selectors.costTrend(RECORDS, DEFAULT_FILTERS)).not.toBe(trend);
+    expect(selectors.weatherTypes(RECORDS)).toContain('Hail');
+  });
+});
+
+describe('scale', () => {
+  test('aggregates 100k records', () => {
+    const records = _.flatten(_.times(Math.ceil(100000 / RECORDS.length), () => RECORDS)).slice(0, 100000);
+    const selectors = createDashboardSelectors();
+    const trend = selectors.costTrend(records, DEFAULT_FILTERS);
+    const byHazard = selectors.costByWeatherType(records, DEFAULT_FILTERS);
+
+    expect(_.sumBy(trend, 'count')).toBe(100000);
+    expect(_.sumBy(byHazard, 'count')).toBe(100000);
+    // Re-rendering with the same data and filters doesn't aggregate again
+    expect(selectors.costTrend(records, DEFAULT_FILTERS)).toBe(trend);
+    expect(selectors.costByWeatherType(records, DEFAULT_FILTERS)).toBe(byHazard);
+  });
+});
@@ -0,0 +1,74 @@
+import _ from 'lodash';
+import ASSET_CATEGORIES from '../data/assetCategories.json';
+
+// Tagging of "Details of Expense" text with the asset categories in
+// data/assetCategories.json, and free-text search over the same text.
+
+const CATEGORIES = ASSET_CATEGORIES.categories.map(category => ({
+  ...category,
+  regex: new RegExp(category.pattern, 'i')
+}));
+
+export const UNCLASSIFIED = ASSET_CATEGORIES.fallback;
+
+export const ASSET_COLORS = {
+  ..._.fromPairs(CATEGORIES.map(category => [category.name, category.color])),
+  [UNCLASSIFIED]: '#999999'
+};
+
+const cache = new Map();
+
+// Asset categories an expense description mentions, in the order of the
+// category list; [UNCLASSIFIED] when it mentions none
+export const tagExpense = (details) => {
+  const text = (details || '').trim();
+  if (!cache.has(text)) {
+    const tags = CATEGORIES.filter(category => category.regex.test(text)).map(category => category.name);
+    cache.set(text, tags.length ? tags : [UNCLASSIFIED]);
+  }
+  return cache.get(text);
+};
+
+// Cost by asset category. A line tagged with several categories has its
+// cost split evenly between them, so the bars add up to the total.
+export const costByAsset = (records) => {
+  const totals = {};
+  records.forEach(item => {
+    const tags = tagExpense(item['Details of Expense']);
+    tags.forEach(tag => {
+      totals[tag] = totals[tag] || { name: tag, value: 0, count: 0 };
+      totals[tag].value += item.Cost / tags.length;
+      totals[tag].count += 1;
+    });
+  });
+  return _.orderBy(Object.values(totals), ['value'], ['desc']);
+};
+
+// Search terms in a query: words, or phrases in double quotes
+export const parseQuery = (query) =>
+  ((query || '').match(/"[^"]+"|\S+/g) || [])
+    .map(term => term.replace(/"/g, '').trim().toLowerCase())
+    .filter(Boolean);
+
+// Records whose expense details contain every term of the query
+export const searchExpenses = (records, query) => {
+  const terms = parseQuery(query);
+  if (terms.length === 0) return records;
+  return records.filter(item => {
+    const text = (item['Details of Expense'] || '').toLowerCase();
+    return terms.every(term => text.includes(term));
+  });
+};
+
+// Split text into [{ text, match }] segments around the query's terms, for
+// rendering the matches highlighted
+export const highlightSegments = (text, query) => {
+  const value = text || '';
+  const terms = parseQuery(query);
+  if (terms.length === 0 || value === '') return [{ text: value, match: false }];
+
+  const pattern = new RegExp(`(${terms.map(_.escapeRegExp).join('|')})`, 'gi');
+  return value.split(pattern)
+    .filter(segment => segment !== '')
+    .map(segment => ({ text: segment, match: terms.includes(segment.toLowerCase()) }));
+};
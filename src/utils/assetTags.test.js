@@ -0,0 +1,55 @@
+import { tagExpense, costByAsset, searchExpenses, highlightSegments, UNCLASSIFIED } from './assetTags';
+
+describe('tagExpense', () => {
+  test.each([
+    ['Roof Damage and Uprooted Trees', ['Roofing', 'Trees/Grounds']],
+    ['Exchange and Theater building damage; Electrical Pole Replacement', ['Electrical', 'Structures']],
+    ['Facility Damage Readiness Center', ['Structures']],
+    ['Replace Exterior HVAC Equipment', ['HVAC']],
+    // Burst pipes are plumbing, not HVAC
+    ['Pipes burst causing flooding and damages to the building interiors', ['Plumbing/Utilities', 'Structures']],
+    ['Repair water main and fire hydrant', ['Plumbing/Utilities']],
+    ['Sunshine Road #4 Depression in Asphalt', ['Roads']],
+    ['Labor,Travel, OT', [UNCLASSIFIED]],
+    ['', [UNCLASSIFIED]]
+  ])('tags %p', (details, tags) => {
+    expect(tagExpense(details)).toEqual(tags);
+  });
+});
+
+test('costByAsset splits multi-class lines evenly', () => {
+  const records = [
+    { 'Details of Expense': 'Roof Damage and Uprooted Trees', Cost: 1000 },
+    { 'Details of Expense': 'Repair Roof', Cost: 500 }
+  ];
+  expect(costByAsset(records)).toEqual([
+    { name: 'Roofing', value: 1000, count: 2 },
+    { name: 'Trees/Grounds', value: 500, count: 1 }
+  ]);
+});
+
+describe('search', () => {
+  const records = [
+    { 'Details of Expense': 'Repair Roof Leaks and Interior Water Damage' },
+    { 'Details of Expense': 'Roof Leaks' },
+    { 'Details of Expense': 'Express bus stop area water leak' }
+  ];
+
+  test('requires every word and quoted phrase', () => {
+    expect(searchExpenses(records, 'roof leaks')).toHaveLength(2);
+    expect(searchExpenses(records, 'roof "water damage"')).toHaveLength(1);
+    expect(searchExpenses(records, '  ')).toHaveLength(3);
+  });
+
+  test('splits text around matches for highlighting', () => {
+    expect(highlightSegments('Roof Leaks', 'leak')).toEqual([
+      { text: 'Roof ', match: false },
+      { text: 'Leak', match: true },
+      { text: 's', match: false }
+    ]);
+    expect(highlightSegments('a+b (c)', '(c)')).toEqual([
+      { text: 'a+b ', match: false },
+      { text: '(c)', match: true }
+    ]);
+  });
+});
@@ -0,0 +1,141 @@
+import _ from 'lodash';
+import { normalizeWeatherType } from './weatherTypes';
+import { canonicalInstallation } from './locations';
+import { percentChange } from './comparison';
+
+// Budget views: which appropriations and SAGs (sub-activity groups, the
+// "Line Item/SAG" column) absorb weather damage. Files write 'Unk' for
+// unknown accounts; those and blanks are shown as Unspecified.
+
+const UNKNOWN = /^(unk(nown)?|n\/?a)?$/i;
+const UNSPECIFIED = 'Unspecified';
+
+const clean = (value) => {
+  const text = (value === undefined || value === null ? '' : String(value)).trim();
+  return UNKNOWN.test(text) ? '' : text;
+};
+
+export const appropriationOf = (item) => clean(item.Appropriation) || UNSPECIFIED;
+
+// A SAG is only meaningful within its appropriation (SAG 132 is funded
+// separately in OMA and OMAR), so its label includes the appropriation
+export const sagOf = (item) => {
+  const label = [clean(item['Line Item/SAG']), clean(item['Line Item/SAG title'])].filter(Boolean).join(' ');
+  return `${appropriationOf(item)} ${label || UNSPECIFIED}`;
+};
+
+// Dimensions the budget views group by, in flow order
+export const BUDGET_DIMENSIONS = {
+  hazard: { label: 'Hazard', of: item => normalizeWeatherType(item['Weather Event']) },
+  appropriation: { label: 'Appropriation', of: appropriationOf },
+  sag: { label: 'Line Item/SAG', of: sagOf },
+  installation: { label: 'Installation', of: item => canonicalInstallation(item.Installation) }
+};
+
+const FLOW_LEVELS = ['hazard', 'appropriation', 'sag', 'installation'];
+export const MAX_FLOW_INSTALLATIONS = 12;
+const OTHER_INSTALLATIONS = 'Other installations';
+
+// Sankey data for hazard → appropriation → SAG → installation. Installations
+// beyond the `maxInstallations` costliest are combined, and records without a
+// positive cost are left out, since a flow can't carry a negative amount.
+// Returns { nodes: [{ name, level }], links: [{ source, target, value }] }
+// with links pointing at node indexes.
+export const budgetFlow = (records, { maxInstallations = MAX_FLOW_INSTALLATIONS } = {}) => {
+  const costed = records.filter(item => item.Cost > 0);
+  const topInstallations = new Set(_.chain(costed)
+    .groupBy(BUDGET_DIMENSIONS.installation.of)
+    .map((items, name) => ({ name, cost: _.sumBy(items, 'Cost') }))
+    .orderBy(['cost'], ['desc'])
+    .take(maxInstallations)
+    .map('name')
+    .value());
+  const nodeName = (level, item) => {
+    const name = BUDGET_DIMENSIONS[level].of(item);
+    return level === 'installation' && !topInstallations.has(name) ? OTHER_INSTALLATIONS : name;
+  };
+
+  const nodes = [];
+  const nodeIndex = {};
+  const indexOf = (level, name) => {
+    const key = `${level}|${name}`;
+    if (nodeIndex[key] === undefined) {
+      nodeIndex[key] = nodes.length;
+      nodes.push({ name, level });
+    }
+    return nodeIndex[key];
+  };
+
+  // Nodes are added level by level, costliest first, so the diagram reads
+  // top to bottom in order of cost
+  FLOW_LEVELS.forEach(level => _.chain(costed)
+    .groupBy(item => nodeName(level, item))
+    .map((items, name) => ({ name, cost: _.sumBy(items, 'Cost') }))
+    .orderBy(['cost'], ['desc'])
+    .forEach(({ name }) => indexOf(level, name))
+    .value());
+
+  const links = _.flatMap(_.zip(FLOW_LEVELS.slice(0, -1), FLOW_LEVELS.slice(1)), ([from, to]) => _.chain(costed)
+    .groupBy(item => `${nodeName(from, item)}\u0000${nodeName(to, item)}`)
+    .map(items => ({
+      source: indexOf(from, nodeName(from, items[0])),
+      target: indexOf(to, nodeName(to, items[0])),
+      value: _.sumBy(items, 'Cost')
+    }))
+    .value());
+
+  return { nodes, links };
+};
+
+// Compare two pivot rows by the sort column, ties broken by name
+const compareRows = (sortBy, direction) => (a, b) => {
+  const order = direction === 'asc' ? 1 : -1;
+  const diff = sortBy === 'name' ? a.name.localeCompare(b.name) : a[sortBy] - b[sortBy];
+  return (diff || a.name.localeCompare(b.name)) * order;
+};
+
+// Pivot of cost by one dimension, then another within it, e.g. appropriation
+// and the SAGs under each. Returns { rows, total }: each row has name, cost,
+// count and share of the total, with the inner rows in `children`; both
+// levels are sorted by `sortBy` ('name', 'cost' or 'count').
+export const budgetPivot = (records, { outer = 'appropriation', inner = 'sag', sortBy = 'cost', direction = 'desc' } = {}) => {
+  const total = _.sumBy(records, 'Cost');
+  const summarize = (items, name) => ({
+    name,
+    cost: _.sumBy(items, 'Cost'),
+    count: items.length,
+    share: total ? _.sumBy(items, 'Cost') / total : 0
+  });
+  const compare = compareRows(sortBy, direction);
+
+  const rows = _.map(_.groupBy(records, BUDGET_DIMENSIONS[outer].of), (items, name) => ({
+    ...summarize(items, name),
+    children: _.map(_.groupBy(items, BUDGET_DIMENSIONS[inner].of), summarize).sort(compare)
+  })).sort(compare);
+
+  return { rows, total: summarize(records, 'Total') };
+};
+
+// Cost of each account per year, e.g. per appropriation. Returns { years,
+// rows, total }: each row, and the `total` row, has `byYear` ({ 2024: cost }),
+// its `total` cost, and the `change` from the second-to-last year to the last
+// (null when the account had nothing the year before, or with one year).
+// Rows are sorted by total cost.
+export const yearOverYear = (records, dimension = 'appropriation') => {
+  const years = _.uniq(records.map(item => item.Year)).sort();
+  const [previous, latest] = years.slice(-2);
+  const summarize = (items, name) => {
+    const byYear = _.mapValues(_.groupBy(items, 'Year'), group => _.sumBy(group, 'Cost'));
+    const before = byYear[previous] || 0;
+    const after = byYear[latest] || 0;
+    return {
+      name,
+      byYear,
+      total: _.sumBy(items, 'Cost'),
+      change: latest === undefined ? null : (before === 0 && after === 0 ? 0 : percentChange(before, after))
+    };
+  };
+
+  const rows = _.orderBy(_.map(_.groupBy(records, BUDGET_DIMENSIONS[dimension].of), summarize), ['total'], ['desc']);
+  return { years, rows, total: summarize(records, 'Total') };
+};
@@ -0,0 +1,73 @@
+import { appropriationOf, sagOf, budgetFlow, budgetPivot, yearOverYear } from './budget';
+
+const record = (event, installation, appropriation, sag, title, year, cost) => ({
+  'Weather Event': event,
+  Installation: installation,
+  Appropriation: appropriation,
+  'Line Item/SAG': sag,
+  'Line Item/SAG title': title,
+  Year: year,
+  Cost: cost
+});
+
+const RECORDS = [
+  record('Flooding', 'Fort Stewart', 'OMA', '132', 'FSRM', 2023, 400),
+  record('Flooding', 'Fort Stewart', 'OMAR', '132', 'FSRM', 2024, 300),
+  record('Hail', 'Fort Bliss', 'OMA', '132', 'FSRM', 2024, 200),
+  record('Hail', 'Fort Bliss', 'NAF', 'NAF', 'Unk', 2024, 100),
+  record('Hail', 'Fort Hood', 'Unk', 'Unk', '', 2023, 0)
+];
+
+describe('accounts', () => {
+  test('treat Unk and blanks as unspecified and keep SAGs within their appropriation', () => {
+    expect(appropriationOf(RECORDS[4])).toBe('Unspecified');
+    expect(sagOf(RECORDS[4])).toBe('Unspecified Unspecified');
+    expect(sagOf(RECORDS[0])).toBe('OMA 132 FSRM');
+    expect(sagOf(RECORDS[1])).toBe('OMAR 132 FSRM');
+    expect(sagOf(RECORDS[3])).toBe('NAF NAF');
+  });
+});
+
+describe('budgetFlow', () => {
+  test('links each level to the next with the cost flowing between them', () => {
+    const { nodes, links } = budgetFlow(RECORDS);
+    const named = links.map(link => [nodes[link.source].name, nodes[link.target].name, link.value]);
+    expect(nodes[0]).toEqual({ name: 'Flooding', level: 'hazard' });
+    expect(named).toContainEqual(['Hail', 'OMA', 200]);
+    expect(named).toContainEqual(['OMA', 'OMA 132 FSRM', 600]);
+    expect(named).toContainEqual(['OMA 132 FSRM', 'Fort Stewart', 400]);
+    // Zero-cost records have no flow
+    expect(nodes.map(node => node.name)).not.toContain('Fort Cavazos');
+  });
+
+  test('combines installations beyond the costliest', () => {
+    const { nodes } = budgetFlow(RECORDS, { maxInstallations: 1 });
+    expect(nodes.filter(node => node.level === 'installation').map(node => node.name)).toEqual(['Fort Stewart', 'Other installations']);
+  });
+});
+
+describe('budgetPivot', () => {
+  test('subtotals each group and sorts both levels', () => {
+    const { rows, total } = budgetPivot(RECORDS);
+    expect(total).toMatchObject({ cost: 1000, count: 5, share: 1 });
+    expect(rows.map(row => [row.name, row.cost])).toEqual([['OMA', 600], ['OMAR', 300], ['NAF', 100], ['Unspecified', 0]]);
+    expect(rows[0].share).toBeCloseTo(0.6);
+    expect(rows[0].children).toEqual([{ name: 'OMA 132 FSRM', cost: 600, count: 2, share: 0.6 }]);
+
+    const byName = budgetPivot(RECORDS, { outer: 'hazard', inner: 'installation', sortBy: 'name', direction: 'asc' });
+    expect(byName.rows.map(row => row.name)).toEqual(['Flooding', 'Hail']);
+    expect(byName.rows[1].children.map(row => row.name)).toEqual(['Fort Bliss', 'Fort Cavazos']);
+  });
+});
+
+describe('yearOverYear', () => {
+  test('gives each account by year with the latest change', () => {
+    const { years, rows, total } = yearOverYear(RECORDS);
+    expect(years).toEqual([2023, 2024]);
+    expect(rows[0]).toEqual({ name: 'OMA', byYear: { 2023: 400, 2024: 200 }, total: 600, change: -0.5 });
+    // OMAR had nothing the year before
+    expect(rows.find(row => row.name === 'OMAR').change).toBeNull();
+    expect(rows.find(row => row.name === 'Unspecified').change).toBe(0);
+    expect(total).toMatchObject({ byYear: { 2023: 400, 2024: 600 }, change: 0.5 });
+  });
+});
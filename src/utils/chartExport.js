@@ -0,0 +1,122 @@
+import Papa from 'papaparse';
+import { downloadFile } from './download';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const LEGEND_ROW_HEIGHT = 20;
+
+// Recharts draws the chart itself as an SVG but the legend as HTML next to
+// it, so the legend is redrawn inside the exported image.
+const appendLegend = (svg, container, width, height) => {
+  const items = Array.from(container.querySelectorAll('.recharts-legend-item'));
+  if (items.length === 0) return height;
+
+  const legend = document.createElementNS(SVG_NS, 'g');
+  let x = 10;
+  let y = height + LEGEND_ROW_HEIGHT / 2;
+  items.forEach(item => {
+    const text = item.querySelector('.recharts-legend-item-text');
+    const label = text ? text.textContent : item.textContent;
+    const color = (text && text.style.color) || item.querySelector('[fill]')?.getAttribute('fill') || '#333';
+    const itemWidth = 24 + label.length * 7;
+    if (x + itemWidth > width && x > 10) {
+      x = 10;
+      y += LEGEND_ROW_HEIGHT;
+    }
+
+    const swatch = document.createElementNS(SVG_NS, 'rect');
+    swatch.setAttribute('x', x);
+    swatch.setAttribute('y', y - 5);
+    swatch.setAttribute('width', 10);
+    swatch.setAttribute('height', 10);
+    swatch.setAttribute('fill', color);
+    legend.appendChild(swatch);
+
+    const caption = document.createElementNS(SVG_NS, 'text');
+    caption.setAttribute('x', x + 14);
+    caption.setAttribute('y', y + 4);
+    caption.setAttribute('fill', color);
+    caption.textContent = label;
+    legend.appendChild(caption);
+
+    x += itemWidth;
+  });
+
+  svg.appendChild(legend);
+  return y + LEGEND_ROW_HEIGHT / 2;
+};
+
+// Standalone SVG markup for the recharts chart inside `container`, on a
+// white background and with its legend. Returns { markup, width, height },
+// or null when the container holds no chart.
+export const chartToSvg = (container) => {
+  const chart = container && container.querySelector('svg.recharts-surface');
+  if (!chart) return null;
+
+  const width = parseFloat(chart.getAttribute('width')) || chart.clientWidth;
+  const chartHeight = parseFloat(chart.getAttribute('height')) || chart.clientHeight;
+  const svg = chart.cloneNode(true);
+  svg.style.fontFamily = 'sans-serif';
+  svg.style.fontSize = '12px';
+
+  const background = document.createElementNS(SVG_NS, 'rect');
+  background.setAttribute('width', '100%');
+  background.setAttribute('height', '100%');
+  background.setAttribute('fill', 'white');
+  svg.insertBefore(background, svg.firstChild);
+
+  const height = appendLegend(svg, container, width, chartHeight);
+  svg.setAttribute('width', width);
+  svg.setAttribute('height', height);
+  svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+  svg.style.width = `${width}px`;
+  svg.style.height = `${height}px`;
+
+  return { markup: new XMLSerializer().serializeToString(svg), width, height };
+};
+
+export const exportChartSvg = (container, filename) => {
+  const svg = chartToSvg(container);
+  if (!svg) throw new Error('There is no chart to export');
+  downloadFile(svg.markup, `${filename}.svg`, 'image/svg+xml');
+};
+
+// Rasterize the chart at `scale` times its on-screen size
+export const exportChartPng = (container, filename, scale = 2) => new Promise((resolve, reject) => {
+  const svg = chartToSvg(container);
+  if (!svg) {
+    reject(new Error('There is no chart to export'));
+    return;
+  }
+
+  const image = new Image();
+  image.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = svg.width * scale;
+    canvas.height = svg.height * scale;
+    const context = canvas.getContext('2d');
+    context.scale(scale, scale);
+    context.drawImage(image, 0, 0);
+    canvas.toBlob(blob => {
+      // The browser hands back no blob when it cannot encode the canvas,
+      // e.g. when the chart is too large
+      if (!blob) {
+        reject(new Error('Could not export the chart image'));
+        return;
+      }
+      downloadFile(blob, `${filename}.png`);
+      resolve();
+    }, 'image/png');
+  };
+  image.onerror = () => reject(new Error('Could not render the chart image'));
+  image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg.markup)}`;
+});
+
+// CSV of a chart's series. `columns` maps each row key to its column header;
+// without it every key of the rows is exported as is.
+export const toCsv = (rows, columns) => Papa.unparse(columns
+  ? rows.map(row => Object.fromEntries(Object.entries(columns).map(([key, header]) => [header, row[key]])))
+  : rows);
+
+export const exportCsv = (rows, filename, columns) => {
+  downloadFile(toCsv(rows, columns), `${filename}.csv`, 'text/csv');
+};
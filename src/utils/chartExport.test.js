@@ -0,0 +1,86 @@
+import { toCsv, exportCsv, exportChartPng } from './chartExport';
+import { downloadFile } from './download';
+
+jest.mock('./download', () => ({ downloadFile: jest.fn() }));
+
+const ROWS = [
+  { name: 'Fort Stewart, GA', value: 1250, count: 2 },
+  { name: 'The "Rock" Annex', value: 300.5, count: 1 }
+];
+
+describe('toCsv', () => {
+  test('quotes values holding commas or quotes', () => {
+    expect(toCsv(ROWS)).toBe([
+      'name,value,count',
+      '"Fort Stewart, GA",1250,2',
+      '"The ""Rock"" Annex",300.5,1'
+    ].join('\r\n'));
+  });
+
+  test('renames and orders columns, leaving out the rest', () => {
+    expect(toCsv(ROWS, { value: 'Cost, $', name: 'Installation' })).toBe([
+      '"Cost, $",Installation',
+      '1250,"Fort Stewart, GA"',
+      '300.5,"The ""Rock"" Annex"'
+    ].join('\r\n'));
+  });
+
+  test('keeps line breaks inside one quoted field', () => {
+    expect(toCsv([{ details: 'Roof\nwindows' }])).toBe('details\r\n"Roof\nwindows"');
+  });
+});
+
+describe('exportCsv', () => {
+  test('downloads the CSV under the chart name', () => {
+    exportCsv(ROWS, 'cost-by-installation', { name: 'Installation' });
+    expect(downloadFile).toHaveBeenCalledWith(
+      'Installation\r\n"Fort Stewart, GA"\r\n"The ""Rock"" Annex"',
+      'cost-by-installation.csv',
+      'text/csv'
+    );
+  });
+});
+
+describe('exportChartPng', () => {
+  const chartContainer = () => {
+    const container = document.createElement('div');
+    container.innerHTML = '<svg class="recharts-surface" width="400" height="300"></svg>';
+    return container;
+  };
+
+  // Images load as soon as they get a source, and canvases encode to `blob`
+  const mockRendering = (blob) => {
+    const OriginalImage = global.Image;
+    global.Image = class {
+      set src(value) {
+        this.onload();
+      }
+    };
+    const createElement = document.createElement.bind(document);
+    const spy = jest.spyOn(document, 'createElement').mockImplementation(tag => (tag === 'canvas'
+      ? { getContext: () => ({ scale: jest.fn(), drawImage: jest.fn() }), toBlob: callback => callback(blob) }
+      : createElement(tag)));
+    return () => {
+      global.Image = OriginalImage;
+      spy.mockRestore();
+    };
+  };
+
+  let restore;
+  beforeEach(() => downloadFile.mockClear());
+  afterEach(() => restore());
+
+  test('downloads the encoded image', async () => {
+    const container = chartContainer();
+    restore = mockRendering('png-data');
+    await exportChartPng(container, 'cost-trend');
+    expect(downloadFile).toHaveBeenCalledWith('png-data', 'cost-trend.png');
+  });
+
+  test('fails when the canvas cannot be encoded', async () => {
+    const container = chartContainer();
+    restore = mockRendering(null);
+    await expect(exportChartPng(container, 'cost-trend')).rejects.toThrow('Could not export the chart image');
+    expect(downloadFile).not.toHaveBeenCalled();
+  });
+});
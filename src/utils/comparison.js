@@ -0,0 +1,70 @@
+import _ from 'lodash';
+import { normalizeWeatherType } from './weatherTypes';
+import { canonicalInstallation } from './locations';
+import { eventLabel } from './storms';
+import { formatCurrency } from './format';
+
+// Comparison mode puts two filtered selections side by side. Selection A is
+// the baseline: deltas are B minus A and percent changes are relative to A.
+
+export const COMPARISON_GROUPS = {
+  hazard: item => normalizeWeatherType(item['Weather Event']),
+  event: eventLabel,
+  year: item => item.Year,
+  installation: item => canonicalInstallation(item.Installation)
+};
+
+// Percent change from `a` to `b`, or null when A had nothing to compare to
+export const percentChange = (a, b) => (a === 0 ? null : (b - a) / a);
+
+// Cost of A and B per group, with the absolute and percent delta, largest
+// groups first
+export const compareBy = (recordsA, recordsB, groupBy) => {
+  const costA = _.mapValues(_.groupBy(recordsA, groupBy), items => _.sumBy(items, 'Cost'));
+  const costB = _.mapValues(_.groupBy(recordsB, groupBy), items => _.sumBy(items, 'Cost'));
+
+  return _.chain([...Object.keys(costA), ...Object.keys(costB)])
+    .uniq()
+    .map(name => {
+      const a = costA[name] || 0;
+      const b = costB[name] || 0;
+      return { name, a, b, delta: b - a, percentChange: percentChange(a, b) };
+    })
+    .orderBy([row => Math.max(row.a, row.b)], ['desc'])
+    .value();
+};
+
+// Groups whose cost changed the most, largest increases and decreases
+export const biggestMovers = (rows, count = 3) => ({
+  increases: _.orderBy(rows.filter(row => row.delta > 0), ['delta'], ['desc']).slice(0, count),
+  decreases: _.orderBy(rows.filter(row => row.delta < 0), ['delta'], ['asc']).slice(0, count)
+});
+
+export const formatDelta = (delta) => `${delta >= 0 ? '+' : '-'}${formatCurrency(Math.abs(delta))}`;
+
+export const formatPercentChange = (change) => (change === null
+  ? 'new'
+  : `${change >= 0 ? '+' : ''}${Math.round(change * 100)}%`);
+
+const describeMover = (row) => `${row.name} (${formatDelta(row.delta)}, ${formatPercentChange(row.percentChange)})`;
+
+const describeMovers = (rows, label) => {
+  const { increases, decreases } = biggestMovers(rows);
+  const parts = [];
+  if (increases.length) parts.push(`largest increases ${increases.map(describeMover).join(', ')}`);
+  if (decreases.length) parts.push(`largest decreases ${decreases.map(describeMover).join(', ')}`);
+  return parts.length ? `By ${label}: ${parts.join('; ')}.` : `No change by ${label}.`;
+};
+
+// Generated summary of how B differs from A; totals carry the dollar basis
+export const comparisonSummary = (recordsA, recordsB, dollarBasis) => {
+  const totalA = _.sumBy(recordsA, 'Cost');
+  const totalB = _.sumBy(recordsB, 'Cost');
+  return [
+    `Selection B totals ${formatCurrency(totalB, dollarBasis)} against ${formatCurrency(totalA, dollarBasis)} for selection A (${
+      formatDelta(totalB - totalA)
+    }, ${formatPercentChange(percentChange(totalA, totalB))}), from ${recordsB.length} records against ${recordsA.length}.`,
+    describeMovers(compareBy(recordsA, recordsB, COMPARISON_GROUPS.installation), 'installation'),
+    describeMovers(compareBy(recordsA, recordsB, COMPARISON_GROUPS.hazard), 'hazard')
+  ];
+};
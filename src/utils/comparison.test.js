@@ -0,0 +1,52 @@
+import { compareBy, biggestMovers, percentChange, formatPercentChange, comparisonSummary, COMPARISON_GROUPS } from './comparison';
+
+const record = (installation, event, cost) => ({
+  Installation: installation,
+  'Weather Event': event,
+  weatherEventFull: event,
+  storm: '',
+  Cost: cost
+});
+
+const recordsA = [
+  record('Fort Stewart', 'Hurricane', 100),
+  record('Camp Blanding Joint Training Center', 'Flooding', 50)
+];
+const recordsB = [
+  record('Fort Stewart', 'Hurricane', 40),
+  record('Camp Blanding Joint Training Center', 'Flooding', 80),
+  record('Tyndall AFB', 'Hail', 30)
+];
+
+describe('compareBy', () => {
+  test('lines up both selections with absolute and percent deltas', () => {
+    const rows = compareBy(recordsA, recordsB, COMPARISON_GROUPS.hazard);
+    expect(rows.map(row => row.name)).toEqual(['Hurricane/Tropical Storm', 'Flooding', 'Hail']);
+    expect(rows[0]).toMatchObject({ a: 100, b: 40, delta: -60, percentChange: -0.6 });
+    expect(rows[2]).toMatchObject({ a: 0, b: 30, delta: 30, percentChange: null });
+  });
+});
+
+describe('biggestMovers', () => {
+  test('splits increases and decreases, largest first', () => {
+    const { increases, decreases } = biggestMovers(compareBy(recordsA, recordsB, COMPARISON_GROUPS.installation));
+    expect(increases.map(row => row.name)).toEqual(['Camp Blanding Joint Training Center', 'Tyndall AFB']);
+    expect(decreases.map(row => row.name)).toEqual(['Fort Stewart']);
+  });
+});
+
+describe('summary', () => {
+  test('formats percent changes', () => {
+    expect(percentChange(0, 10)).toBeNull();
+    expect(formatPercentChange(percentChange(100, 150))).toBe('+50%');
+    expect(formatPercentChange(null)).toBe('new');
+  });
+
+  test('describes totals and movers', () => {
+    const [total, installations, hazards] = comparisonSummary(recordsA, recordsB);
+    expect(total).toBe('Selection B totals $150 against $150 for selection A (+$0, +0%), from 3 records against 2.');
+    expect(installations).toMatch(/^By installation: largest increases Camp Blanding Joint Training Center \(\+\$30, \+60%\)/);
+    expect(hazards).toMatch(/largest decreases Hurricane\/Tropical Storm \(-\$60, -60%\)/);
+    expect(comparisonSummary(recordsA, recordsB, 2025)[0]).toMatch(/^Selection B totals \$150 \(FY2025 \$\) against \$150 \(FY2025 \$\)/);
+  });
+});
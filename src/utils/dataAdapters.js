@@ -0,0 +1,192 @@
+import _ from 'lodash';
+import { DATA_SOURCES } from '../data/sources';
+import { parseSource, normalizeRows, mergeSources, readUploadedFile, detectColumns } from './ingestion';
+import { validateRows } from './validation';
+import { inferDayMonthOrder } from './dates';
+import { datasetHash, isCompatible, isFresh, toCacheEntry } from './datasetCache';
+
+// Every data source is read through an adapter chosen by its `type`:
+//   load()         - resolves to { records, issues, cursor } with everything the
+//                    source holds; `cursor` marks how far it has been read
+//   read()         - resolves to the source's raw content (see load)
+//   parse(content) - what load() resolves to, from content read earlier
+//   poll(cursor)   - only for sources that can report what changed: resolves to
+//                    { records, issues, cursor } with the records added since
+// Adapters reject when the source can't be reached.
+
+const DEFAULT_PAGE_SIZE = 500;
+
+const fetchOk = async (url) => {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`HTTP error loading ${url}! status: ${response.status}`);
+  }
+  return response;
+};
+
+// Static CSV file served with the app
+export const csvAdapter = (source) => {
+  const read = async () => (await fetchOk(source.url)).text();
+  const parse = (text) => ({ ...parseSource(text, source), cursor: null });
+  return {
+    source,
+    read,
+    parse,
+    load: async () => parse(await read())
+  };
+};
+
+// CSV file picked by the analyst. Rows are validated against the
+// record schema; besides the accepted records, load() resolves to the
+// validation report (rejected rows, warnings, missing columns) and the
+// source the file was read as.
+export const fileAdapter = (file) => ({
+  load: async () => {
+    const { rows, headers } = await readUploadedFile(file);
+    const columns = detectColumns(headers);
+    const source = {
+      id: `upload-${Date.now()}`,
+      type: 'upload',
+      label: `Upload: ${file.name}`,
+      dateOrder: inferDayMonthOrder(rows.map(row => row[columns['Date of Weather Event']])),
+      columns
+    };
+    const report = validateRows(rows, source);
+    return {
+      ...report,
+      source,
+      rowCount: rows.length,
+      issues: report.rejected.map(row => ({
+        severity: 'error',
+        source: source.id,
+        rowNumber: row.rowNumber,
+        value: '',
+        message: row.issues.map(issue => issue.message).join('; ')
+      })),
+      cursor: null
+    };
+  }
+});
+
+// JSON endpoint answering GET url?page=1&pageSize=500[&since=cursor] with
+// { records: [rows keyed like the CSV columns], nextPage, cursor }. Pages are
+// followed until `nextPage` is null; `cursor` is handed back as `since` to
+// get only the records added after it.
+export const restAdapter = (source) => {
+  const fetchRows = async (since) => {
+    const rows = [];
+    let cursor = since;
+    let page = 1;
+    while (page) {
+      const params = new URLSearchParams({ page, pageSize: source.pageSize || DEFAULT_PAGE_SIZE });
+      if (since) params.set('since', since);
+      const body = await (await fetchOk(`${source.url}?${params}`)).json();
+      rows.push(...body.records);
+      cursor = body.cursor || cursor;
+      page = body.nextPage;
+    }
+    return { rows, cursor };
+  };
+
+  const parse = ({ rows, cursor }) => ({
+    ...normalizeRows(rows, source, (raw, index) => (raw.id === undefined ? index + 1 : raw.id)),
+    cursor
+  });
+
+  return {
+    source,
+    read: () => fetchRows(null),
+    parse,
+    load: async () => parse(await fetchRows(null)),
+    poll: async (cursor) => parse(await fetchRows(cursor))
+  };
+};
+
+const ADAPTERS = {
+  csv: csvAdapter,
+  rest: restAdapter
+};
+
+export const createAdapter = (source) => {
+  const adapter = ADAPTERS[source.type || 'csv'];
+  if (!adapter) throw new Error(`Unknown data source type "${source.type}" for ${source.id}`);
+  return adapter(source);
+};
+
+// Sources whose adapter can be polled for new records
+export const pollableSources = (sources) => sources.filter(source => source.pollInterval && createAdapter(source).poll);
+
+// The cache should never stop the data loading, so its failures (quota,
+// private browsing) are only logged
+const readCache = async (cache, id) => {
+  try {
+    return await cache.get(id);
+  } catch (err) {
+    console.error(`Could not read cached dataset ${id}:`, err);
+    return undefined;
+  }
+};
+
+const writeCache = async (cache, entry) => {
+  try {
+    await cache.put(entry);
+  } catch (err) {
+    console.error(`Could not cache dataset ${entry.id}:`, err);
+  }
+};
+
+// Load a source through the dataset cache (see utils/datasetCache). Content
+// that hasn't changed since it was cached isn't parsed again, and a source
+// that can't be reached falls back to its cached copy. The result carries
+// `status`: 'parsed', 'cached', or 'offline' with the cached copy's `savedAt`.
+export const loadThroughCache = async (source, cache) => {
+  const adapter = createAdapter(source);
+  let content;
+  try {
+    content = await adapter.read();
+  } catch (err) {
+    const cached = await readCache(cache, source.id);
+    if (!isCompatible(cached)) throw err;
+    console.error(`Could not reach ${source.id}, using the copy cached at ${cached.savedAt}:`, err);
+    return { ...cached, status: 'offline' };
+  }
+
+  const hash = datasetHash(source, content);
+  const cached = await readCache(cache, source.id);
+  if (isFresh(cached, hash)) return { ...cached, status: 'cached' };
+
+  const result = adapter.parse(content);
+  await writeCache(cache, toCacheEntry(source, hash, result));
+  return { ...result, status: 'parsed' };
+};
+
+// Load and merge the given sources, through `cache` when one is given.
+// Resolves to { records, issues, cursors, statuses } with the cursor and load
+// status of each source by id. A source that can't be read (and, with a
+// cache, has no usable cached copy) is left out with the status
+// 'unavailable' and its `error` message, so one unreachable source doesn't
+// hide the others; only when every source fails does this reject.
+export const loadSources = async (sources = DATA_SOURCES, cache = null) => {
+  const settled = await Promise.allSettled(sources.map(source => (cache
+    ? loadThroughCache(source, cache)
+    : createAdapter(source).load().then(result => ({ ...result, status: 'parsed' })))));
+  if (sources.length > 0 && settled.every(result => result.status === 'rejected')) {
+    throw new Error(`No data source could be loaded (${settled.map((result, index) => `${sources[index].id}: ${result.reason.message}`).join('; ')})`);
+  }
+
+  const loaded = settled.map((result, index) => {
+    if (result.status === 'fulfilled') return result.value;
+    console.error(`Could not load ${sources[index].id}:`, result.reason);
+    return { records: [], issues: [], cursor: null, status: 'unavailable', error: result.reason.message };
+  });
+  const bySource = (pick) => _.fromPairs(sources.map((source, index) => [source.id, pick(loaded[index])]));
+  return {
+    records: mergeSources(loaded.map(result => result.records)),
+    issues: _.flatMap(loaded, 'issues'),
+    cursors: bySource(result => result.cursor),
+    statuses: bySource(result => _.pick(result, ['status', 'savedAt', 'error']))
+  };
+};
+
+// Records added to a source after `cursor`
+export const pollSource = (source, cursor) => createAdapter(source).poll(cursor);
@@ -0,0 +1,168 @@
+import { restAdapter, csvAdapter, createAdapter, loadSources, loadThroughCache, pollableSources } from './dataAdapters';
+import { createMemoryStore, SCHEMA_VERSION } from './datasetCache';
+
+const COLUMNS = {
+  'Weather Event': 'Weather Event',
+  'Date of Weather Event': 'Date of Weather Event',
+  'Installation': 'Installation',
+  'State': 'State',
+  'Cost': 'Cost'
+};
+
+const API = { id: 'api', type: 'rest', label: 'API', url: '/api/records', pageSize: 2, pollInterval: 1000, dateOrder: 'MDY', columns: COLUMNS };
+
+const row = (id, date, cost) => ({
+  id, 'Weather Event': 'Flooding', 'Date of Weather Event': date, Installation: 'Fort Stewart', State: 'Georgia', Cost: cost
+});
+
+// Paged API over `rows`; `since` is the id of the last record already read
+const mockApi = (rows) => jest.fn(async (url) => {
+  const params = new URL(url, 'http://localhost').searchParams;
+  const page = parseInt(params.get('page'), 10);
+  const pageSize = parseInt(params.get('pageSize'), 10);
+  const matching = rows.filter(item => item.id > (parseInt(params.get('since'), 10) || 0));
+  const start = (page - 1) * pageSize;
+  return {
+    ok: true,
+    json: async () => ({
+      records: matching.slice(start, start + pageSize),
+      nextPage: start + pageSize < matching.length ? page + 1 : null,
+      cursor: String(rows.length)
+    })
+  };
+});
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+describe('restAdapter', () => {
+  test('follows every page', async () => {
+    global.fetch = mockApi([row(1, '1/2/25', 100), row(2, '1/3/25', 200), row(3, '1/4/25', 300)]);
+    const { records, cursor } = await restAdapter(API).load();
+    expect(records.map(record => record.Cost)).toEqual([100, 200, 300]);
+    expect(cursor).toBe('3');
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(global.fetch.mock.calls[1][0]).toBe('/api/records?page=2&pageSize=2');
+  });
+
+  test('polls only the records added since the cursor', async () => {
+    const rows = [row(1, '1/2/25', 100), row(2, '1/3/25', 200)];
+    global.fetch = mockApi(rows);
+    const { cursor } = await restAdapter(API).load();
+
+    rows.push(row(3, '2/1/25', 300));
+    const update = await restAdapter(API).poll(cursor);
+    expect(global.fetch).toHaveBeenLastCalledWith('/api/records?page=1&pageSize=2&since=2');
+    expect(update.records.map(record => record.Cost)).toEqual([300]);
+    expect(update.cursor).toBe('3');
+  });
+
+  test('reports rows with bad dates by id', async () => {
+    global.fetch = mockApi([row(7, 'someday', 100)]);
+    const { records, issues } = await restAdapter(API).load();
+    expect(records).toEqual([]);
+    expect(issues[0]).toMatchObject({ source: 'api', rowNumber: 7, severity: 'error' });
+  });
+
+  test('rejects on HTTP errors', async () => {
+    global.fetch = jest.fn(async () => ({ ok: false, status: 503 }));
+    await expect(restAdapter(API).load()).rejects.toThrow('status: 503');
+  });
+});
+
+describe('loadSources', () => {
+  test('merges every adapter and keeps each cursor', async () => {
+    const csv = { id: 'csv', type: 'csv', label: 'CSV', url: '/data.csv', dateOrder: 'MDY', columns: COLUMNS };
+    const api = mockApi([row(1, '1/2/25', 100)]);
+    global.fetch = jest.fn(async (url) => (url === '/data.csv'
+      ? { ok: true, text: async () => 'Weather Event,Date of Weather Event,Installation,State,Cost\nHail,3/1/25,Fort Bliss,Texas,50\n' }
+      : api(url)));
+
+    const { records, cursors } = await loadSources([csv, API]);
+    expect(records.map(record => record.source)).toEqual(['csv', 'api']);
+    expect(cursors).toEqual({ csv: null, api: '1' });
+  });
+
+  test('reports how each source was loaded', async () => {
+    global.fetch = mockApi([row(1, '1/2/25', 100)]);
+    const { statuses } = await loadSources([API], createMemoryStore());
+    expect(statuses).toEqual({ api: { status: 'parsed' } });
+  });
+
+  test('keeps the sources that loaded when another fails', async () => {
+    const csv = { id: 'csv', type: 'csv', label: 'CSV', url: '/data.csv', dateOrder: 'MDY', columns: COLUMNS };
+    global.fetch = jest.fn(async (url) => (url === '/data.csv'
+      ? { ok: true, text: async () => 'Weather Event,Date of Weather Event,Installation,State,Cost\nHail,3/1/25,Fort Bliss,Texas,50\n' }
+      : Promise.reject(new Error('Failed to fetch'))));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const { records, cursors, statuses } = await loadSources([csv, API], createMemoryStore());
+    expect(records.map(record => record.Cost)).toEqual([50]);
+    expect(cursors).toEqual({ csv: null, api: null });
+    expect(statuses).toEqual({
+      csv: { status: 'parsed' },
+      api: { status: 'unavailable', error: 'Failed to fetch' }
+    });
+
+    await expect(loadSources([API])).rejects.toThrow('No data source could be loaded (api: Failed to fetch)');
+    console.error.mockRestore();
+  });
+
+  test('only polls sources that can report changes', () => {
+    expect(pollableSources([{ ...API }, { id: 'csv', type: 'csv', pollInterval: 1000 }]).map(source => source.id)).toEqual(['api']);
+    expect(createAdapter({ id: 'csv', url: '/x.csv' }).poll).toBeUndefined();
+    expect(csvAdapter({ id: 'csv' }).load).toBeInstanceOf(Function);
+    expect(() => createAdapter({ id: 'ftp', type: 'ftp' })).toThrow('Unknown data source type');
+  });
+});
+
+describe('loadThroughCache', () => {
+  const CSV = { id: 'csv', type: 'csv', label: 'CSV', url: '/data.csv', dateOrder: 'MDY', columns: COLUMNS };
+  const HEADER = 'Weather Event,Date of Weather Event,Installation,State,Cost\n';
+  const serveCsv = (text) => {
+    global.fetch = jest.fn(async () => ({ ok: true, text: async () => text }));
+  };
+
+  test('parses new content and reuses it while unchanged', async () => {
+    const cache = createMemoryStore();
+    serveCsv(`${HEADER}Hail,3/1/25,Fort Bliss,Texas,50\n`);
+    const first = await loadThroughCache(CSV, cache);
+    expect(first.status).toBe('parsed');
+
+    const second = await loadThroughCache(CSV, cache);
+    expect(second.status).toBe('cached');
+    expect(second.records).toEqual(first.records);
+    expect(second.records[0].date).toBeInstanceOf(Date);
+  });
+
+  test('parses again when the content or the schema changes', async () => {
+    const cache = createMemoryStore();
+    serveCsv(`${HEADER}Hail,3/1/25,Fort Bliss,Texas,50\n`);
+    await loadThroughCache(CSV, cache);
+
+    serveCsv(`${HEADER}Hail,3/1/25,Fort Bliss,Texas,75\n`);
+    const changed = await loadThroughCache(CSV, cache);
+    expect(changed.status).toBe('parsed');
+    expect(changed.records[0].Cost).toBe(75);
+
+    await cache.put({ ...(await cache.get('csv')), schemaVersion: SCHEMA_VERSION - 1 });
+    expect((await loadThroughCache(CSV, cache)).status).toBe('parsed');
+  });
+
+  test('falls back to the cached copy when the source is unreachable', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const cache = createMemoryStore();
+    serveCsv(`${HEADER}Hail,3/1/25,Fort Bliss,Texas,50\n`);
+    await loadThroughCache(CSV, cache);
+
+    global.fetch = jest.fn(async () => { throw new TypeError('Failed to fetch'); });
+    const offline = await loadThroughCache(CSV, cache);
+    expect(offline.status).toBe('offline');
+    expect(offline.records.map(record => record.Cost)).toEqual([50]);
+    expect(offline.savedAt).toEqual(expect.any(String));
+
+    await expect(loadThroughCache({ ...CSV, id: 'other' }, cache)).rejects.toThrow('Failed to fetch');
+    console.error.mockRestore();
+  });
+});
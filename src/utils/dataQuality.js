@@ -0,0 +1,136 @@
+import _ from 'lodash';
+import { normalizeWeatherType } from './weatherTypes';
+import { canonicalInstallation } from './locations';
+import { toISODay } from './dates';
+import { formatCurrency } from './format';
+
+// Data-quality checks on damage records. Each check returns flags of the
+// form { id, type, message } keyed to the record id; a record can carry
+// several. Flagged records stay in the analysis until the analyst excludes
+// them in the Data Quality tab.
+
+export const FLAG_TYPES = {
+  outlier: 'Statistical outlier',
+  duplicate: 'Suspected duplicate',
+  nonPositive: 'Zero or negative cost',
+  unitError: 'Possible unit error'
+};
+
+// Groups smaller than this are too small to call anything an outlier
+const MIN_GROUP_SIZE = 5;
+// Robust z-score (median and MAD of log cost) beyond which a cost is an outlier
+const MAD_THRESHOLD = 3.5;
+// Tukey fences on log cost, used when the MAD is zero
+const IQR_MULTIPLIER = 1.5;
+// A cost this small, at least UNIT_ERROR_RATIO below the typical cost of
+// its hazard, was probably entered in thousands of dollars
+const UNIT_ERROR_MAX = 1000;
+const UNIT_ERROR_RATIO = 100;
+
+const STORAGE_KEY = 'ag3-dash.exclusions';
+
+// Value at quantile `q` of sorted `values`, interpolating between neighbours
+const quantile = (sorted, q) => {
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+const median = (values) => quantile([...values].sort((a, b) => a - b), 0.5);
+
+// Costs span several orders of magnitude, so outliers are judged on log cost
+// within each group: by robust z-score, or by IQR fences when more than half
+// the group shares one cost and the MAD is zero.
+const outlierFlags = (records, groupBy, groupLabel) => _.chain(records)
+  .filter(item => item.Cost > 0)
+  .groupBy(groupBy)
+  .flatMap((items, group) => {
+    if (items.length < MIN_GROUP_SIZE) return [];
+    const logs = items.map(item => Math.log10(item.Cost));
+    const sorted = [...logs].sort((a, b) => a - b);
+    const center = quantile(sorted, 0.5);
+    const mad = median(logs.map(value => Math.abs(value - center)));
+    const q1 = quantile(sorted, 0.25);
+    const q3 = quantile(sorted, 0.75);
+    const typical = formatCurrency(10 ** center);
+
+    return items.flatMap((item, index) => {
+      const value = logs[index];
+      let reason = null;
+      if (mad > 0) {
+        const z = (0.6745 * (value - center)) / mad;
+        if (Math.abs(z) > MAD_THRESHOLD) reason = `robust z-score ${z.toFixed(1)}`;
+      } else {
+        const spread = IQR_MULTIPLIER * (q3 - q1);
+        if (value < q1 - spread || value > q3 + spread) reason = 'outside the IQR fences';
+      }
+      return reason
+        ? [{
+          id: item.id,
+          type: 'outlier',
+          message: `${formatCurrency(item.Cost)} is ${value > center ? 'far above' : 'far below'} the typical ${
+            typical
+          } for ${groupLabel} ${group} (${reason})`
+        }]
+        : [];
+    });
+  })
+  .value();
+
+// Same installation, date and amount. Records that matched across files were
+// already merged on load, so these are repeats within one file.
+const duplicateFlags = (records) => _.chain(records)
+  .groupBy(item => `${canonicalInstallation(item.Installation)}|${toISODay(item.date)}|${Math.round(item.Cost)}`)
+  .filter(items => items.length > 1)
+  .flatMap(items => items.slice(1).map(item => ({
+    id: item.id,
+    type: 'duplicate',
+    message: `Same installation, date and amount as ${items[0].id}${items.length > 2 ? ` (${items.length} copies)` : ''}`
+  })))
+  .value();
+
+const nonPositiveFlags = (records) => records
+  .filter(item => item.Cost <= 0)
+  .map(item => ({ id: item.id, type: 'nonPositive', message: `Cost is ${formatCurrency(item.Cost)}` }));
+
+const unitErrorFlags = (records) => {
+  const hazardOf = item => normalizeWeatherType(item['Weather Event']);
+  const typicalCost = _.mapValues(
+    _.groupBy(records.filter(item => item.Cost > 0), hazardOf),
+    items => median(items.map(item => item.Cost))
+  );
+  return records
+    .filter(item => item.Cost > 0 && item.Cost < UNIT_ERROR_MAX && typicalCost[hazardOf(item)] / item.Cost >= UNIT_ERROR_RATIO)
+    .map(item => ({
+      id: item.id,
+      type: 'unitError',
+      message: `${formatCurrency(item.Cost)} against a typical ${formatCurrency(typicalCost[hazardOf(item)])} for ${
+        hazardOf(item)
+      }; may be in thousands of dollars (${formatCurrency(item.Cost * 1000)})`
+    }));
+};
+
+// Every flag raised on `records`, grouped by record id
+export const flagRecords = (records) => _.groupBy([
+  ...outlierFlags(records, item => normalizeWeatherType(item['Weather Event']), 'hazard'),
+  ...outlierFlags(records, item => canonicalInstallation(item.Installation), 'installation'),
+  ...duplicateFlags(records),
+  ...nonPositiveFlags(records),
+  ...unitErrorFlags(records)
+], 'id');
+
+// Ids of the records the analyst excluded, kept in localStorage
+export const loadExclusions = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(stored) ? stored.filter(id => typeof id === 'string') : [];
+  } catch (err) {
+    console.error('Could not read saved exclusions:', err);
+    return [];
+  }
+};
+
+export const saveExclusions = (ids) => {
+  window.localStorage.setItem(STORAGE_KEY, JSON.stringify(ids));
+};
@@ -0,0 +1,77 @@
+import { flagRecords, loadExclusions, saveExclusions } from './dataQuality';
+
+let nextRow = 1;
+const record = (cost, { event = 'Hail', installation = 'Fort Stewart', date = `2023-0${(nextRow % 9) + 1}-15` } = {}) => {
+  const id = `test:${nextRow}`;
+  nextRow += 1;
+  return { id, 'Weather Event': event, Installation: installation, Cost: cost, date: new Date(`${date}T00:00:00`) };
+};
+
+const typesOf = (flags, id) => (flags[id] || []).map(flag => flag.type);
+
+describe('flagRecords', () => {
+  test('flags a cost far outside its hazard and installation', () => {
+    const records = [50000, 60000, 70000, 80000, 90000, 65000].map(cost => record(cost));
+    const outlier = record(900000000);
+    const flags = flagRecords([...records, outlier]);
+    expect(typesOf(flags, outlier.id)).toEqual(['outlier', 'outlier']);
+    expect(flags[outlier.id][0].message).toMatch(/far above .* for hazard Hail/);
+    expect(flags[outlier.id][1].message).toMatch(/for installation Fort Stewart/);
+    records.forEach(item => expect(flags[item.id]).toBeUndefined());
+  });
+
+  test('falls back to IQR fences when most costs are identical', () => {
+    const records = [10000, 10000, 10000, 10000, 10000, 12000].map(cost => record(cost, { installation: `Post ${cost}` }));
+    const outlier = record(5000000, { installation: 'Post X' });
+    const flags = flagRecords([...records, outlier]);
+    expect(flags[outlier.id][0].message).toMatch(/IQR fences/);
+  });
+
+  test('leaves small groups alone', () => {
+    const flags = flagRecords([record(1000), record(2000), record(900000000)]);
+    expect(flags).toEqual({});
+  });
+
+  test('flags repeats of the same installation, date and amount after the first', () => {
+    const first = record(25000, { date: '2022-06-01' });
+    const second = record(25000, { date: '2022-06-01', installation: ' Fort  Stewart ' });
+    const other = record(25000, { date: '2022-06-02' });
+    const flags = flagRecords([first, second, other]);
+    expect(flags[first.id]).toBeUndefined();
+    expect(flags[second.id]).toEqual([{ id: second.id, type: 'duplicate', message: `Same installation, date and amount as ${first.id}` }]);
+    expect(flags[other.id]).toBeUndefined();
+  });
+
+  test('flags zero and negative costs', () => {
+    const zero = record(0);
+    const negative = record(-500);
+    const flags = flagRecords([zero, negative, record(1000)]);
+    expect(typesOf(flags, zero.id)).toEqual(['nonPositive']);
+    expect(typesOf(flags, negative.id)).toEqual(['nonPositive']);
+  });
+
+  test('flags small costs that look like they are in thousands', () => {
+    const typical = [200000, 250000, 300000].map(cost => record(cost, { installation: `Post ${cost}` }));
+    const small = record(250, { installation: 'Post Y' });
+    const flags = flagRecords([...typical, small, record(40, { event: 'Flooding' })]);
+    expect(typesOf(flags, small.id)).toEqual(['unitError']);
+    expect(flags[small.id][0].message).toMatch(/\$250,000/);
+    expect(Object.keys(flags)).toEqual([small.id]);
+  });
+});
+
+describe('exclusions', () => {
+  afterEach(() => window.localStorage.clear());
+
+  test('round-trip through localStorage', () => {
+    saveExclusions(['ag3:12', 'army-wx:4']);
+    expect(loadExclusions()).toEqual(['ag3:12', 'army-wx:4']);
+  });
+
+  test('ignore unreadable saved values', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    window.localStorage.setItem('ag3-dash.exclusions', '{not json');
+    expect(loadExclusions()).toEqual([]);
+    console.error.mockRestore();
+  });
+});
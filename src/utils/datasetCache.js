@@ -0,0 +1,129 @@
+// Parsed, normalized datasets kept in IndexedDB, so a reload doesn't parse
+// unchanged files again and the dashboard still has its data offline or
+// after a reload that loses uploads. Each entry holds:
+//   id            - source id
+//   type, label   - as in the source definition
+//   source        - the source definition (needed to restore uploads)
+//   hash          - hash of the content the records were parsed from, and
+//                   of the column mapping used to parse it
+//   schemaVersion - SCHEMA_VERSION when it was parsed
+//   records, issues, cursor - the adapter's result
+//   recordCount, savedAt
+
+// Bump whenever the normalized record shape changes (see utils/ingestion),
+// so datasets cached by an older version are parsed again
+export const SCHEMA_VERSION = 1;
+
+const DB_NAME = 'ag3-dash';
+const DB_VERSION = 1;
+const STORE = 'datasets';
+
+// 53-bit string hash (cyrb53). It only detects changed content; it isn't
+// meant to resist tampering.
+export const hashContent = (text) => {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < text.length; i += 1) {
+    const ch = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16).padStart(14, '0');
+};
+
+// Hash of a source's raw content (CSV text, or API rows) together with how
+// the source is read, so changing the column mapping invalidates it too
+export const datasetHash = (source, content) => hashContent(JSON.stringify({
+  columns: source.columns,
+  dateOrder: source.dateOrder,
+  content
+}));
+
+// Parsed by this version of the dashboard
+export const isCompatible = (entry) => Boolean(entry) && entry.schemaVersion === SCHEMA_VERSION;
+
+// Parsed by this version from exactly this content
+export const isFresh = (entry, hash) => isCompatible(entry) && entry.hash === hash;
+
+export const toCacheEntry = (source, hash, { records, issues = [], cursor = null }) => ({
+  id: source.id,
+  type: source.type || 'csv',
+  label: source.label,
+  source,
+  hash,
+  schemaVersion: SCHEMA_VERSION,
+  records,
+  issues,
+  cursor,
+  recordCount: records.length,
+  savedAt: new Date().toISOString()
+});
+
+const openDatabase = () => new Promise((resolve, reject) => {
+  const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => request.result.createObjectStore(STORE, { keyPath: 'id' });
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const withStore = async (mode, action) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE, mode);
+    const request = action(transaction.objectStore(STORE));
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(request.result);
+    };
+    transaction.onerror = () => {
+      db.close();
+      reject(transaction.error);
+    };
+  });
+};
+
+const indexedDbStore = {
+  persistent: true,
+  get: id => withStore('readonly', store => store.get(id)),
+  list: () => withStore('readonly', store => store.getAll()),
+  put: entry => withStore('readwrite', store => store.put(entry)),
+  delete: id => withStore('readwrite', store => store.delete(id)),
+  clear: () => withStore('readwrite', store => store.clear())
+};
+
+// Same interface kept in memory, for browsers without IndexedDB; nothing
+// survives a reload
+export const createMemoryStore = () => {
+  const entries = new Map();
+  return {
+    persistent: false,
+    get: async id => entries.get(id),
+    list: async () => [...entries.values()],
+    put: async entry => { entries.set(entry.id, entry); },
+    delete: async id => { entries.delete(id); },
+    clear: async () => { entries.clear(); }
+  };
+};
+
+export const datasetStore = typeof window !== 'undefined' && window.indexedDB ? indexedDbStore : createMemoryStore();
+
+// Uploaded datasets to restore on load. Uploads cached by an older version
+// can't be parsed again without the file, so they are returned separately.
+export const cachedUploads = async (cache) => {
+  try {
+    const entries = (await cache.list()).filter(entry => entry.type === 'upload');
+    return {
+      uploads: entries.filter(isCompatible),
+      outdated: entries.filter(entry => !isCompatible(entry))
+    };
+  } catch (err) {
+    console.error('Could not read cached uploads:', err);
+    return { uploads: [], outdated: [] };
+  }
+};
+
+export const saveUpload = (cache, source, records) => cache.put(
+  toCacheEntry({ ...source, type: 'upload' }, hashContent(JSON.stringify(records)), { records })
+);
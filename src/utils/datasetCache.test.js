@@ -0,0 +1,43 @@
+import {
+  hashContent, datasetHash, isFresh, isCompatible, toCacheEntry, createMemoryStore, cachedUploads, saveUpload, SCHEMA_VERSION
+} from './datasetCache';
+
+const SOURCE = { id: 'ag3', type: 'csv', label: 'AG3', columns: { Cost: 'Cost' }, dateOrder: 'MDY' };
+
+describe('hashing', () => {
+  test('is stable and sensitive to any change', () => {
+    expect(hashContent('Hail,50')).toBe(hashContent('Hail,50'));
+    expect(hashContent('Hail,50')).not.toBe(hashContent('Hail,51'));
+    expect(hashContent('')).toMatch(/^[0-9a-f]{14}$/);
+  });
+
+  test('covers how the source is read as well as its content', () => {
+    expect(datasetHash(SOURCE, 'x')).not.toBe(datasetHash({ ...SOURCE, dateOrder: 'DMY' }, 'x'));
+    expect(datasetHash(SOURCE, { rows: [1], cursor: '1' })).not.toBe(datasetHash(SOURCE, { rows: [1, 2], cursor: '2' }));
+  });
+});
+
+describe('cache entries', () => {
+  test('are fresh only for the same hash and schema version', () => {
+    const entry = toCacheEntry(SOURCE, 'abc', { records: [{ Cost: 1 }] });
+    expect(entry).toMatchObject({ id: 'ag3', type: 'csv', recordCount: 1, schemaVersion: SCHEMA_VERSION, cursor: null });
+    expect(isFresh(entry, 'abc')).toBe(true);
+    expect(isFresh(entry, 'abd')).toBe(false);
+    expect(isFresh({ ...entry, schemaVersion: SCHEMA_VERSION - 1 }, 'abc')).toBe(false);
+    expect(isCompatible(undefined)).toBe(false);
+  });
+
+  test('restore current uploads and set aside outdated ones', async () => {
+    const cache = createMemoryStore();
+    const upload = { id: 'upload-1', type: 'upload', label: 'Upload: july.csv', columns: {} };
+    await saveUpload(cache, upload, [{ Cost: 5 }]);
+    await saveUpload(cache, { ...upload, id: 'upload-0' }, [{ Cost: 6 }]);
+    await cache.put({ ...(await cache.get('upload-0')), schemaVersion: SCHEMA_VERSION - 1 });
+    await cache.put(toCacheEntry(SOURCE, 'abc', { records: [] }));
+
+    const { uploads, outdated } = await cachedUploads(cache);
+    expect(uploads.map(entry => entry.id)).toEqual(['upload-1']);
+    expect(uploads[0].records).toEqual([{ Cost: 5 }]);
+    expect(outdated.map(entry => entry.id)).toEqual(['upload-0']);
+  });
+});
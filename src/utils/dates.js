@@ -0,0 +1,162 @@
+// Event date parsing for the damage reports. Accepts:
+//   M/D/YY and MM/DD/YYYY   (D/M order when the source says so)
+//   ISO dates and timestamps  2024-01-08, 2024-01-08 00:00:00, 2024-01-08T00:00:00Z
+//   month names               Sep 15, 2024
+//   month-only dates          2024-09, 9/2024, Sep 2024, September 2024
+//
+// parseDate never throws. It returns
+//   { date, precision, ambiguous, error }
+// where `date` is a local-midnight Date (null when `error` is set),
+// `precision` is 'day' or 'month' (month-only dates fall on the 1st), and
+// `ambiguous` is set for numeric dates whose day and month could be swapped
+// when the day/month order wasn't known up front.
+
+const MONTH_NAMES = [
+  'january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december'
+];
+
+// Two-digit years below the pivot are 20xx, the rest 19xx
+const CENTURY_PIVOT = 50;
+const MIN_YEAR = 1900;
+const MAX_YEAR = 2100;
+
+const ISO_DATE = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ]\d{1,2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/i;
+const ISO_MONTH = /^(\d{4})-(\d{1,2})$/;
+const NUMERIC_DATE = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/;
+const NUMERIC_MONTH = /^(\d{1,2})\/(\d{4})$/;
+const NAMED_DATE = /^([a-z]+)\.?\s+(\d{1,2}),?\s+(\d{4})$/i;
+const NAMED_MONTH = /^([a-z]+)\.?[\s-]+('?\d{2}|\d{4})$/i;
+
+const expandYear = (year) => {
+  const value = parseInt(year.replace("'", ''), 10);
+  if (year.replace("'", '').length > 2) return value;
+  return value < CENTURY_PIVOT ? 2000 + value : 1900 + value;
+};
+
+// Month number for a full or abbreviated (at least three letters) month name
+const monthFromName = (name) => {
+  const lower = name.toLowerCase();
+  if (lower === 'sept') return 9;
+  const index = MONTH_NAMES.findIndex(full => lower.length >= 3 && full.startsWith(lower));
+  return index === -1 ? null : index + 1;
+};
+
+const failure = (error) => ({ date: null, precision: null, ambiguous: false, error });
+
+// Build a date, rejecting values that JavaScript would silently roll over
+// (13/45/2024 is not February 14th, 2025)
+const buildDate = (year, month, day, precision, ambiguous = false) => {
+  if (year < MIN_YEAR || year > MAX_YEAR) return failure(`year ${year} is out of range`);
+  if (month < 1 || month > 12) return failure(`month ${month} is out of range`);
+
+  const date = new Date(year, month - 1, day);
+  if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+    return failure(`day ${day} does not exist in ${MONTH_NAMES[month - 1]} ${year}`);
+  }
+  return { date, precision, ambiguous, error: null };
+};
+
+// Parse a date value. `order` is the day/month order of numeric dates:
+// 'MDY' (US, the default), 'DMY', or 'auto' to assume MDY but flag dates
+// that would also be valid the other way round.
+export const parseDate = (value, { order = 'MDY' } = {}) => {
+  if (value instanceof Date) {
+    return isNaN(value.getTime())
+      ? failure('invalid date')
+      : buildDate(value.getFullYear(), value.getMonth() + 1, value.getDate(), 'day');
+  }
+
+  const text = (value === undefined || value === null ? '' : value.toString()).trim();
+  if (text === '') return failure('date is empty');
+
+  let match = text.match(ISO_DATE);
+  if (match) {
+    return buildDate(parseInt(match[1], 10), parseInt(match[2], 10), parseInt(match[3], 10), 'day');
+  }
+
+  match = text.match(NUMERIC_DATE);
+  if (match) {
+    const first = parseInt(match[1], 10);
+    const second = parseInt(match[2], 10);
+    const year = expandYear(match[3]);
+    if (order === 'DMY') return buildDate(year, second, first, 'day');
+
+    // A first part above 12 can only be a day, whatever order was assumed
+    if (order === 'auto' && first > 12 && second <= 12) return buildDate(year, second, first, 'day');
+    const ambiguous = order === 'auto' && first <= 12 && second <= 12 && first !== second;
+    return buildDate(year, first, second, 'day', ambiguous);
+  }
+
+  match = text.match(ISO_MONTH);
+  if (match) {
+    return buildDate(parseInt(match[1], 10), parseInt(match[2], 10), 1, 'month');
+  }
+
+  match = text.match(NUMERIC_MONTH);
+  if (match) {
+    return buildDate(parseInt(match[2], 10), parseInt(match[1], 10), 1, 'month');
+  }
+
+  match = text.match(NAMED_DATE);
+  if (match) {
+    const month = monthFromName(match[1]);
+    if (month) return buildDate(parseInt(match[3], 10), month, parseInt(match[2], 10), 'day');
+  }
+
+  match = text.match(NAMED_MONTH);
+  if (match) {
+    const month = monthFromName(match[1]);
+    if (month) return buildDate(expandYear(match[2]), month, 1, 'month');
+  }
+
+  return failure(`"${text}" is not a recognized date`);
+};
+
+// Work out the day/month order of a column of numeric dates. Returns 'MDY'
+// or 'DMY' when some value settles it (a part above 12), and 'auto' when
+// every value would read either way.
+export const inferDayMonthOrder = (values) => {
+  let firstOverTwelve = false;
+  let secondOverTwelve = false;
+
+  values.forEach(value => {
+    const match = (value || '').toString().trim().match(NUMERIC_DATE);
+    if (!match) return;
+    if (parseInt(match[1], 10) > 12) firstOverTwelve = true;
+    if (parseInt(match[2], 10) > 12) secondOverTwelve = true;
+  });
+
+  if (firstOverTwelve && !secondOverTwelve) return 'DMY';
+  if (secondOverTwelve && !firstOverTwelve) return 'MDY';
+  return 'auto';
+};
+
+// YYYY-MM-DD for a local date
+export const toISODay = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0')
+].join('-');
+
+// Federal fiscal year of a date: FY2024 runs from 1 Oct 2023 to 30 Sep 2024
+export const fiscalYear = (date) => (date.getMonth() >= 9 ? date.getFullYear() + 1 : date.getFullYear());
+
+// Years can be bucketed by calendar year or by fiscal year
+export const YEAR_BASES = [
+  { id: 'calendar', label: 'Calendar years', name: 'calendar year' },
+  { id: 'fiscal', label: 'Fiscal years (Oct-Sep)', name: 'fiscal year' }
+];
+
+export const formatYear = (year, basis) => (basis === 'fiscal' ? `FY${year}` : `${year}`);
+
+// Records with `Year` set to the calendar or fiscal year of their date
+export const applyYearBasis = (records, basis) => records.map(item => ({
+  ...item,
+  Year: basis === 'fiscal' ? item.fiscalYear : item.calendarYear
+}));
+
+// Records whose file gave a Year other than the `basis` year of their date
+export const yearMismatches = (records, basis) => records.filter(item =>
+  item.declaredYear !== null && item.declaredYear !== (basis === 'fiscal' ? item.fiscalYear : item.calendarYear)
+);
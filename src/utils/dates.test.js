@@ -0,0 +1,154 @@
+import {
+  parseDate, inferDayMonthOrder, toISODay, formatYear, applyYearBasis, yearMismatches
+} from './dates';
+
+const day = (value, options) => {
+  const result = parseDate(value, options);
+  return result.date ? toISODay(result.date) : null;
+};
+
+describe('parseDate', () => {
+  describe('M/D/YY', () => {
+    test('reads one- and two-digit parts', () => {
+      expect(day('1/8/24')).toBe('2024-01-08');
+      expect(day('12/18/23')).toBe('2023-12-18');
+    });
+
+    test('expands two-digit years around the century pivot', () => {
+      expect(day('6/1/49')).toBe('2049-06-01');
+      expect(day('6/1/99')).toBe('1999-06-01');
+    });
+  });
+
+  describe('MM/DD/YYYY', () => {
+    test('reads four-digit years', () => {
+      expect(day('09/26/2024')).toBe('2024-09-26');
+      expect(day('9/26/2024')).toBe('2024-09-26');
+    });
+
+    test('reads day first when the order is DMY', () => {
+      expect(day('26/09/2024', { order: 'DMY' })).toBe('2024-09-26');
+      expect(day('08/01/2024', { order: 'DMY' })).toBe('2024-01-08');
+    });
+  });
+
+  describe('ISO', () => {
+    test('reads plain dates', () => {
+      expect(day('2024-01-08')).toBe('2024-01-08');
+    });
+
+    test('reads timestamps without shifting the calendar day', () => {
+      expect(day('2023-12-18 00:00:00')).toBe('2023-12-18');
+      expect(day('2024-10-09T23:30:00Z')).toBe('2024-10-09');
+      expect(day('2024-10-09T23:30:00.000-05:00')).toBe('2024-10-09');
+    });
+  });
+
+  describe('month-only dates', () => {
+    test.each([
+      ['2024-09'],
+      ['9/2024'],
+      ['Sep 2024'],
+      ['September 2024'],
+      ['Sept-24']
+    ])('reads %s as the first of the month', (value) => {
+      const result = parseDate(value);
+      expect(toISODay(result.date)).toBe('2024-09-01');
+      expect(result.precision).toBe('month');
+    });
+  });
+
+  test('reads month names with a day', () => {
+    const result = parseDate('Oct 9, 2024');
+    expect(toISODay(result.date)).toBe('2024-10-09');
+    expect(result.precision).toBe('day');
+  });
+
+  test('accepts Date objects from spreadsheets', () => {
+    expect(day(new Date(2024, 7, 1))).toBe('2024-08-01');
+  });
+
+  describe('invalid values', () => {
+    test.each([
+      [''],
+      [null],
+      ['Multiple 2023'],
+      ['not a date'],
+      ['Smarch 2024']
+    ])('rejects %p', (value) => {
+      const result = parseDate(value);
+      expect(result.date).toBeNull();
+      expect(result.error).toEqual(expect.any(String));
+    });
+
+    test('rejects days and months that would roll over', () => {
+      expect(parseDate('13/45/2024').error).toMatch(/month 13/);
+      expect(parseDate('2/30/24').error).toMatch(/day 30 does not exist/);
+      expect(parseDate('2023-02-29').error).toMatch(/day 29/);
+      expect(day('2024-02-29')).toBe('2024-02-29');
+    });
+
+    test('rejects years outside the supported range', () => {
+      expect(parseDate('2024-01-01').error).toBeNull();
+      expect(parseDate('3024-01-01').error).toMatch(/out of range/);
+    });
+  });
+
+  describe('ambiguous values', () => {
+    test('flags dates that read both ways when the order is unknown', () => {
+      const result = parseDate('08/01/2024', { order: 'auto' });
+      expect(toISODay(result.date)).toBe('2024-08-01');
+      expect(result.ambiguous).toBe(true);
+    });
+
+    test('does not flag dates that only read one way', () => {
+      expect(parseDate('08/08/2024', { order: 'auto' }).ambiguous).toBe(false);
+      expect(parseDate('8/26/2024', { order: 'auto' }).ambiguous).toBe(false);
+
+      const dayFirst = parseDate('26/8/2024', { order: 'auto' });
+      expect(toISODay(dayFirst.date)).toBe('2024-08-26');
+      expect(dayFirst.ambiguous).toBe(false);
+    });
+
+    test('does not flag dates when the order is known', () => {
+      expect(parseDate('08/01/2024').ambiguous).toBe(false);
+    });
+  });
+});
+
+describe('inferDayMonthOrder', () => {
+  test('detects month-first columns', () => {
+    expect(inferDayMonthOrder(['1/8/24', '9/26/24'])).toBe('MDY');
+  });
+
+  test('detects day-first columns', () => {
+    expect(inferDayMonthOrder(['8/1/24', '26/9/24'])).toBe('DMY');
+  });
+
+  test('is undecided when every value reads both ways or the column is not numeric', () => {
+    expect(inferDayMonthOrder(['1/8/24', '2/9/24'])).toBe('auto');
+    expect(inferDayMonthOrder(['2024-01-08', ''])).toBe('auto');
+  });
+});
+
+describe('year basis', () => {
+  // A December 2023 event is budgeted in FY2024
+  const december = { declaredYear: 2024, calendarYear: 2023, fiscalYear: 2024, Year: 2023 };
+  const june = { declaredYear: 2024, calendarYear: 2024, fiscalYear: 2024, Year: 2024 };
+  const undeclared = { declaredYear: null, calendarYear: 2022, fiscalYear: 2023, Year: 2022 };
+
+  test('buckets records by calendar or fiscal year', () => {
+    expect(applyYearBasis([december], 'fiscal')[0].Year).toBe(2024);
+    expect(applyYearBasis([december], 'calendar')[0].Year).toBe(2023);
+  });
+
+  test('finds declared years that disagree with the date', () => {
+    expect(yearMismatches([december, june, undeclared], 'calendar')).toEqual([december]);
+    expect(yearMismatches([december, june, undeclared], 'fiscal')).toEqual([]);
+  });
+
+  test('labels fiscal years', () => {
+    expect(formatYear(2024, 'fiscal')).toBe('FY2024');
+    expect(formatYear('2024', 'calendar')).toBe('2024');
+  });
+});
@@ -0,0 +1,61 @@
+import _ from 'lodash';
+import deflatorTable from '../data/deflators.json';
+import { fiscalYear } from './dates';
+
+// Costs are shown in the nominal dollars of the year they were spent, or
+// converted to constant dollars of a base fiscal year with a deflator index
+// (index of the base year / index of the year the money was spent).
+export const NOMINAL = 'nominal';
+
+export const DEFAULT_DEFLATORS = _.mapValues(deflatorTable.indexes, Number);
+
+const STORAGE_KEY = 'ag3-dash.deflators';
+
+const isValidTable = (indexes) => _.isPlainObject(indexes)
+  && !_.isEmpty(indexes)
+  && _.every(indexes, (index, year) => /^\d{4}$/.test(year) && Number.isFinite(index) && index > 0);
+
+// The deflator table edited in the browser, or the bundled one
+export const loadDeflators = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || 'null');
+    return isValidTable(stored) ? stored : DEFAULT_DEFLATORS;
+  } catch (err) {
+    console.error('Could not read saved deflators:', err);
+    return DEFAULT_DEFLATORS;
+  }
+};
+
+export const saveDeflators = (indexes) => {
+  if (_.isEqual(indexes, DEFAULT_DEFLATORS)) {
+    window.localStorage.removeItem(STORAGE_KEY);
+  } else {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(indexes));
+  }
+};
+
+export const deflatorYears = (indexes) => Object.keys(indexes).map(Number).sort((a, b) => a - b);
+
+// Index of a fiscal year; years missing from the table use the nearest year
+export const deflatorFor = (indexes, year) => {
+  if (indexes[year]) return indexes[year];
+  const nearest = _.minBy(deflatorYears(indexes), tableYear => Math.abs(tableYear - year));
+  return nearest === undefined ? 1 : indexes[nearest];
+};
+
+// Records with `Cost` in the dollars of `basis` (NOMINAL or a fiscal year).
+// The cost as spent is kept in `nominalCost`.
+export const toConstantDollars = (records, basis, indexes) => {
+  if (basis === NOMINAL) return records;
+  const baseIndex = deflatorFor(indexes, basis);
+  return records.map(item => ({
+    ...item,
+    nominalCost: item.Cost,
+    Cost: item.Cost * (baseIndex / deflatorFor(indexes, fiscalYear(item.date)))
+  }));
+};
+
+export const dollarBasisLabel = (basis) => (basis === NOMINAL ? 'Nominal dollars' : `Constant FY${basis} dollars`);
+
+// Short form for axis labels and tooltips: "nominal $" or "FY2025 $"
+export const dollarUnit = (basis) => (basis === NOMINAL ? 'nominal $' : `FY${basis} $`);
@@ -0,0 +1,49 @@
+import { NOMINAL, deflatorFor, toConstantDollars, dollarBasisLabel, dollarUnit } from './dollars';
+import { fiscalYear } from './dates';
+import { formatCurrency } from './format';
+
+const INDEXES = { 2022: 90, 2023: 95, 2024: 100 };
+
+const record = (date, cost) => ({ Cost: cost, date: new Date(date) });
+
+describe('fiscalYear', () => {
+  test('starts the fiscal year in October', () => {
+    expect(fiscalYear(new Date(2023, 8, 30))).toBe(2023);
+    expect(fiscalYear(new Date(2023, 9, 1))).toBe(2024);
+  });
+});
+
+describe('deflatorFor', () => {
+  test('uses the nearest year outside the table', () => {
+    expect(deflatorFor(INDEXES, 2023)).toBe(95);
+    expect(deflatorFor(INDEXES, 2019)).toBe(90);
+    expect(deflatorFor(INDEXES, 2030)).toBe(100);
+  });
+});
+
+describe('toConstantDollars', () => {
+  const records = [record('2022-03-01', 900), record('2023-10-15', 1000)];
+
+  test('leaves nominal costs alone', () => {
+    expect(toConstantDollars(records, NOMINAL, INDEXES)).toBe(records);
+  });
+
+  test('scales each cost by its fiscal year index', () => {
+    const converted = toConstantDollars(records, 2024, INDEXES);
+    expect(converted[0].Cost).toBeCloseTo(1000);
+    expect(converted[0].nominalCost).toBe(900);
+    // October 2023 is FY2024
+    expect(converted[1].Cost).toBeCloseTo(1000);
+    expect(toConstantDollars(records, 2022, INDEXES)[1].Cost).toBeCloseTo(900);
+  });
+});
+
+describe('labels', () => {
+  test('state the dollar basis', () => {
+    expect(dollarBasisLabel(NOMINAL)).toBe('Nominal dollars');
+    expect(dollarBasisLabel(2025)).toBe('Constant FY2025 dollars');
+    expect(dollarUnit(2025)).toBe('FY2025 $');
+    expect(formatCurrency(1250000, 2025)).toBe('$1,250,000 (FY2025 $)');
+    expect(formatCurrency(1250000)).toBe('$1,250,000');
+  });
+});
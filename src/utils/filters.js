@@ -0,0 +1,173 @@
+import _ from 'lodash';
+import { normalizeWeatherType } from './weatherTypes';
+import { canonicalInstallation } from './locations';
+import { eventLabel } from './storms';
+import { YEAR_BASES, toISODay, formatYear } from './dates';
+import { formatCurrency } from './format';
+import { NOMINAL } from './dollars';
+
+// Filter state shared by every tab. 'all', '' and empty lists mean the
+// filter is off; costs are null when unbounded.
+export const DEFAULT_FILTERS = {
+  source: 'all',
+  year: 'all',
+  weatherType: 'all',
+  startDate: '',
+  endDate: '',
+  events: [],
+  installations: [],
+  states: [],
+  branches: [],
+  appropriations: [],
+  minCost: null,
+  maxCost: null
+};
+
+// Query string parameter for each filter. List filters repeat their
+// parameter once per value (?state=FL&state=GA).
+const QUERY_KEYS = {
+  source: 'source',
+  year: 'year',
+  weatherType: 'hazard',
+  startDate: 'from',
+  endDate: 'to',
+  events: 'event',
+  installations: 'installation',
+  states: 'state',
+  branches: 'branch',
+  appropriations: 'appropriation',
+  minCost: 'minCost',
+  maxCost: 'maxCost'
+};
+
+// The year and dollar bases aren't filters, but they decide which records
+// `year` and the cost bounds match, so they are kept in the query string
+// next to them
+const YEAR_BASIS_KEY = 'basis';
+const DEFAULT_YEAR_BASIS = 'calendar';
+const DOLLAR_BASIS_KEY = 'dollars';
+
+const ISO_DAY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Value a record is matched on for each list filter. Events use the chart
+// label, so every report of a storm ("Helene (Hurricane/Tropical Storm)")
+// is one choice.
+export const FILTER_FIELDS = {
+  events: eventLabel,
+  installations: item => canonicalInstallation(item.Installation),
+  states: item => item.State,
+  branches: item => (item.Branch || '').trim(),
+  appropriations: item => (item.Appropriation || '').trim()
+};
+
+// Distinct values of each list filter in the data, for the option lists
+export const filterOptions = (records) => _.mapValues(
+  FILTER_FIELDS,
+  getValue => _.uniq(records.map(getValue).filter(Boolean)).sort()
+);
+
+export const applyFilters = (records, filters) => records.filter(item => {
+  if (filters.source !== 'all' && !item.sources.includes(filters.source)) return false;
+  if (filters.year !== 'all' && item.Year !== parseFloat(filters.year)) return false;
+  if (filters.weatherType !== 'all' && normalizeWeatherType(item['Weather Event']) !== filters.weatherType) return false;
+
+  const day = toISODay(item.date);
+  if (filters.startDate && day < filters.startDate) return false;
+  if (filters.endDate && day > filters.endDate) return false;
+
+  if (filters.minCost !== null && item.Cost < filters.minCost) return false;
+  if (filters.maxCost !== null && item.Cost > filters.maxCost) return false;
+
+  return Object.keys(FILTER_FIELDS).every(key =>
+    filters[key].length === 0 || filters[key].includes(FILTER_FIELDS[key](item))
+  );
+});
+
+// Number of filters that differ from the defaults
+export const countActiveFilters = (filters) =>
+  Object.keys(DEFAULT_FILTERS).filter(key => !_.isEqual(filters[key], DEFAULT_FILTERS[key])).length;
+
+// One human-readable line per active filter, for report headers
+export const describeFilters = (filters, dataSources = [], yearBasis = DEFAULT_YEAR_BASIS, dollarBasis = NOMINAL) => {
+  const lines = [];
+  if (filters.source !== 'all') {
+    lines.push(`Data source: ${dataSources.find(source => source.id === filters.source)?.label || filters.source}`);
+  }
+  if (filters.year !== 'all') {
+    lines.push(`Year: ${formatYear(filters.year, yearBasis)} (${YEAR_BASES.find(basis => basis.id === yearBasis).name})`);
+  }
+  if (filters.weatherType !== 'all') lines.push(`Weather type: ${filters.weatherType}`);
+  if (filters.startDate || filters.endDate) {
+    lines.push(`Event dates: ${filters.startDate || 'any'} to ${filters.endDate || 'any'}`);
+  }
+  if (filters.minCost !== null || filters.maxCost !== null) {
+    lines.push(`Cost per record: ${filters.minCost === null ? 'any' : formatCurrency(filters.minCost, dollarBasis)} to ${
+      filters.maxCost === null ? 'any' : formatCurrency(filters.maxCost, dollarBasis)
+    }`);
+  }
+  [['events', 'Events'], ['installations', 'Installations'], ['states', 'States'], ['branches', 'Branches'], ['appropriations', 'Appropriations']]
+    .forEach(([key, label]) => {
+      if (filters[key].length) lines.push(`${label}: ${filters[key].join(', ')}`);
+    });
+  return lines;
+};
+
+// Encode the filters as a query string (without the leading '?'), leaving
+// out everything still at its default so shared links stay short. `prefix`
+// namespaces the parameters of a second filter set (?year=2024&b.year=2023).
+export const filtersToQuery = (filters, prefix = '') => {
+  const params = new URLSearchParams();
+  Object.entries(QUERY_KEYS).forEach(([key, name]) => {
+    const param = `${prefix}${name}`;
+    const value = filters[key];
+    if (_.isEqual(value, DEFAULT_FILTERS[key])) return;
+    if (Array.isArray(value)) {
+      value.forEach(item => params.append(param, item));
+    } else {
+      params.set(param, value);
+    }
+  });
+  return params.toString();
+};
+
+// Read filters back from a query string. Malformed dates and costs are
+// ignored rather than producing a view that silently matches nothing.
+export const filtersFromQuery = (search, prefix = '') => {
+  const params = new URLSearchParams(search);
+  const filters = { ...DEFAULT_FILTERS };
+
+  Object.entries(QUERY_KEYS).forEach(([key, name]) => {
+    const param = `${prefix}${name}`;
+    if (!params.has(param)) return;
+    if (Array.isArray(DEFAULT_FILTERS[key])) {
+      filters[key] = params.getAll(param).filter(Boolean);
+    } else if (key === 'startDate' || key === 'endDate') {
+      const value = params.get(param);
+      if (ISO_DAY.test(value)) filters[key] = value;
+    } else if (key === 'minCost' || key === 'maxCost') {
+      const value = parseFloat(params.get(param));
+      if (!isNaN(value)) filters[key] = value;
+    } else {
+      filters[key] = params.get(param) || DEFAULT_FILTERS[key];
+    }
+  });
+
+  return filters;
+};
+
+export const yearBasisToQuery = (yearBasis) => (yearBasis === DEFAULT_YEAR_BASIS ? '' : `${YEAR_BASIS_KEY}=${yearBasis}`);
+
+// Unknown bases fall back to calendar years
+export const yearBasisFromQuery = (search) => {
+  const value = new URLSearchParams(search).get(YEAR_BASIS_KEY);
+  return YEAR_BASES.some(basis => basis.id === value) ? value : DEFAULT_YEAR_BASIS;
+};
+
+export const dollarBasisToQuery = (dollarBasis) => (dollarBasis === NOMINAL ? '' : `${DOLLAR_BASIS_KEY}=${dollarBasis}`);
+
+// A base year must be in the deflator table (`indexes`); anything else falls
+// back to nominal dollars
+export const dollarBasisFromQuery = (search, indexes) => {
+  const value = new URLSearchParams(search).get(DOLLAR_BASIS_KEY);
+  return /^\d{4}$/.test(value) && indexes[value] ? parseInt(value, 10) : NOMINAL;
+};
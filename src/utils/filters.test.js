@@ -0,0 +1,143 @@
+import {
+  DEFAULT_FILTERS, applyFilters, describeFilters, filtersToQuery, filtersFromQuery, yearBasisToQuery, yearBasisFromQuery,
+  dollarBasisToQuery, dollarBasisFromQuery
+} from './filters';
+
+const record = (overrides) => ({
+  'Weather Event': 'Hurricane Helene',
+  Installation: 'Fort Bragg',
+  State: 'NC',
+  Branch: 'USA',
+  Appropriation: 'OMA',
+  Cost: 1000,
+  Year: 2024,
+  date: new Date(2024, 8, 26),
+  sources: ['ag3'],
+  ...overrides
+});
+
+describe('filter query strings', () => {
+  test('leave defaults out', () => {
+    expect(filtersToQuery(DEFAULT_FILTERS)).toBe('');
+  });
+
+  test('round-trip every filter', () => {
+    const filters = {
+      ...DEFAULT_FILTERS,
+      source: 'army-wx',
+      year: '2024',
+      weatherType: 'Hurricane/Tropical Storm',
+      startDate: '2024-09-01',
+      endDate: '2024-10-31',
+      events: ['Helene (Hurricane/Tropical Storm)', 'Flooding, roads'],
+      installations: ['Fort Liberty', 'ARC, Tampa'],
+      states: ['FL', 'NC'],
+      branches: ['USANG'],
+      appropriations: ['OMARNG'],
+      minCost: 500,
+      maxCost: 250000
+    };
+    expect(filtersFromQuery(`?${filtersToQuery(filters)}`)).toEqual(filters);
+  });
+
+  test('ignore malformed dates and costs', () => {
+    const filters = filtersFromQuery('?from=yesterday&minCost=lots&state=FL');
+    expect(filters.startDate).toBe('');
+    expect(filters.minCost).toBeNull();
+    expect(filters.states).toEqual(['FL']);
+  });
+
+  test('keep a storm on each side of a comparison', () => {
+    const helene = { ...DEFAULT_FILTERS, events: ['Helene (Hurricane/Tropical Storm)'] };
+    const milton = { ...DEFAULT_FILTERS, events: ['Milton (Hurricane/Tropical Storm)'] };
+    const query = `${filtersToQuery(helene)}&${filtersToQuery(milton, 'b.')}`;
+    expect(query).toBe('event=Helene+%28Hurricane%2FTropical+Storm%29&b.event=Milton+%28Hurricane%2FTropical+Storm%29');
+    expect(filtersFromQuery(query)).toEqual(helene);
+    expect(filtersFromQuery(query, 'b.')).toEqual(milton);
+  });
+
+  test('keep a prefixed second filter set apart', () => {
+    const query = `${filtersToQuery({ ...DEFAULT_FILTERS, year: '2024' })}&${
+      filtersToQuery({ ...DEFAULT_FILTERS, year: '2023', states: ['FL'] }, 'b.')
+    }`;
+    expect(query).toBe('year=2024&b.year=2023&b.state=FL');
+    expect(filtersFromQuery(query).year).toBe('2024');
+    expect(filtersFromQuery(query, 'b.')).toEqual({ ...DEFAULT_FILTERS, year: '2023', states: ['FL'] });
+  });
+
+  test('keep the year basis the year filter depends on', () => {
+    expect(yearBasisToQuery('calendar')).toBe('');
+    const query = [yearBasisToQuery('fiscal'), filtersToQuery({ ...DEFAULT_FILTERS, year: '2024' })].join('&');
+    expect(query).toBe('basis=fiscal&year=2024');
+    expect(yearBasisFromQuery(query)).toBe('fiscal');
+    expect(filtersFromQuery(query).year).toBe('2024');
+    expect(yearBasisFromQuery('?year=2024')).toBe('calendar');
+    expect(yearBasisFromQuery('?basis=lunar')).toBe('calendar');
+  });
+
+  test('keep the dollar basis the cost bounds are in', () => {
+    const indexes = { 2024: 97.5, 2025: 100 };
+    expect(dollarBasisToQuery('nominal')).toBe('');
+    const query = [dollarBasisToQuery(2025), filtersToQuery({ ...DEFAULT_FILTERS, minCost: 50000 })].join('&');
+    expect(query).toBe('dollars=2025&minCost=50000');
+    expect(dollarBasisFromQuery(query, indexes)).toBe(2025);
+    expect(filtersFromQuery(query).minCost).toBe(50000);
+    // Years missing from the deflator table, and junk, fall back to nominal
+    expect(dollarBasisFromQuery('?dollars=1990', indexes)).toBe('nominal');
+    expect(dollarBasisFromQuery('?dollars=lots', indexes)).toBe('nominal');
+    expect(dollarBasisFromQuery('?minCost=5', indexes)).toBe('nominal');
+  });
+});
+
+describe('describeFilters', () => {
+  test('names the year and dollar bases the filters depend on', () => {
+    expect(describeFilters(DEFAULT_FILTERS, [], 'fiscal')).toEqual([]);
+    expect(describeFilters({ ...DEFAULT_FILTERS, year: '2024' })).toEqual(['Year: 2024 (calendar year)']);
+    expect(describeFilters({ ...DEFAULT_FILTERS, minCost: 1000 }, [], 'calendar', 2025)).toEqual(['Cost per record: $1,000 (FY2025 $) to any']);
+    expect(describeFilters({ ...DEFAULT_FILTERS, year: '2024', states: ['FL'] }, [], 'fiscal')).toEqual([
+      'Year: FY2024 (fiscal year)',
+      'States: FL'
+    ]);
+  });
+});
+
+describe('applyFilters', () => {
+  const records = [
+    record({ Cost: 100, date: new Date(2024, 7, 1) }),
+    record({ Installation: 'Fort Stewart', State: 'GA', Branch: 'USANG', Appropriation: 'OMARNG', Cost: 5000 }),
+    record({ 'Weather Event': 'Winter Storm', Cost: 20000, Year: 2023, date: new Date(2023, 0, 15) })
+  ];
+
+  test('matches renamed installations under their current name', () => {
+    expect(applyFilters(records, { ...DEFAULT_FILTERS, installations: ['Fort Liberty'] })).toHaveLength(2);
+  });
+
+  test('combines date, cost and list filters', () => {
+    const filtered = applyFilters(records, {
+      ...DEFAULT_FILTERS,
+      startDate: '2024-01-01',
+      minCost: 1000,
+      branches: ['USANG']
+    });
+    expect(filtered.map(item => item.State)).toEqual(['GA']);
+  });
+
+  test('picks storms by their event label, however the files named them', () => {
+    const storms = [
+      record({ storm: 'Helene' }),
+      record({ 'Weather Event': 'Hurricane', storm: 'Helene', Installation: 'Fort Stewart' }),
+      record({ 'Weather Event': 'Hurricane Milton', storm: 'Milton' }),
+      record({ 'Weather Event': 'Flooding', storm: '', weatherEventFull: 'Flooding' })
+    ];
+    const helene = applyFilters(storms, { ...DEFAULT_FILTERS, events: ['Helene (Hurricane/Tropical Storm)'] });
+    expect(helene).toEqual(storms.slice(0, 2));
+    expect(applyFilters(storms, { ...DEFAULT_FILTERS, events: ['Milton (Hurricane/Tropical Storm)', 'Flooding'] }))
+      .toEqual(storms.slice(2));
+    expect(describeFilters({ ...DEFAULT_FILTERS, events: ['Helene (Hurricane/Tropical Storm)'] }))
+      .toEqual(['Events: Helene (Hurricane/Tropical Storm)']);
+  });
+
+  test('filters on the normalized hazard', () => {
+    expect(applyFilters(records, { ...DEFAULT_FILTERS, weatherType: 'Winter Storm' })).toHaveLength(1);
+  });
+});
@@ -0,0 +1,214 @@
+import _ from 'lodash';
+
+// Forecasting models for projecting annual damage costs from historical data.
+// Every model returns points shaped for the forecast chart:
+// { name, predictedDamage, lowerBound, upperBound }
+
+export const FORECAST_MODELS = [
+  { id: 'linear', label: 'Linear trend' },
+  { id: 'log-linear', label: 'Log-linear (exponential) trend' },
+  { id: 'frequency-severity', label: 'Event frequency × severity' }
+];
+
+export const DEFAULT_HORIZON = 5;
+export const DEFAULT_CONFIDENCE = 0.9;
+
+// Inverse of the standard normal CDF (Acklam's rational approximation)
+export const normalQuantile = (p) => {
+  if (p <= 0) return -Infinity;
+  if (p >= 1) return Infinity;
+
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const pLow = 0.02425;
+
+  if (p < pLow) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - pLow) {
+    return -normalQuantile(1 - p);
+  }
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+};
+
+const sampleStdDev = (values) => {
+  if (values.length < 2) return 0;
+  const mean = _.mean(values);
+  return Math.sqrt(_.sumBy(values, v => (v - mean) ** 2) / (values.length - 1));
+};
+
+// Ordinary least squares fit of y on x. When there are too few points to
+// estimate the residual error, the spread of the observations is used instead
+// so that the bounds stay visible rather than collapsing onto the trend line.
+export const linearRegression = (points) => {
+  const n = points.length;
+  if (n === 0) return null;
+
+  const xMean = _.meanBy(points, 'x');
+  const yMean = _.meanBy(points, 'y');
+  const sxx = _.sumBy(points, p => (p.x - xMean) ** 2);
+  const sxy = _.sumBy(points, p => (p.x - xMean) * (p.y - yMean));
+  const slope = sxx > 0 ? sxy / sxx : 0;
+  const intercept = yMean - slope * xMean;
+
+  let residualStdErr;
+  if (n > 2) {
+    const sse = _.sumBy(points, p => (p.y - (intercept + slope * p.x)) ** 2);
+    residualStdErr = Math.sqrt(sse / (n - 2));
+  } else {
+    residualStdErr = sampleStdDev(points.map(p => p.y)) || Math.abs(yMean) * 0.25;
+  }
+
+  return {
+    slope,
+    intercept,
+    residualStdErr,
+    n,
+    xMean,
+    sxx,
+    predict: (x) => intercept + slope * x,
+    // Standard error of a new observation at x
+    predictionError: (x) => residualStdErr * Math.sqrt(
+      1 + 1 / n + (sxx > 0 ? (x - xMean) ** 2 / sxx : 0)
+    )
+  };
+};
+
+// Compound annual rate between two positive values `periods` years apart
+const compoundRate = (from, to, periods) => {
+  if (!(from > 0) || !(to > 0) || periods <= 0) return 0;
+  return Math.pow(to / from, 1 / periods) - 1;
+};
+
+const toSeries = (trend, key = 'value') => trend
+  .map(item => ({ x: parseInt(item.name, 10), y: item[key] || 0 }))
+  .filter(p => !isNaN(p.x));
+
+const futureYears = (series, horizon) => {
+  const lastYear = _.maxBy(series, 'x').x;
+  return _.range(1, horizon + 1).map(step => lastYear + step);
+};
+
+const linearForecast = (trend, { horizon, z }) => {
+  const series = toSeries(trend);
+  const fit = linearRegression(series);
+  const lastYear = _.maxBy(series, 'x').x;
+
+  const points = futureYears(series, horizon).map(year => {
+    const predicted = Math.max(0, fit.predict(year));
+    const margin = z * fit.predictionError(year);
+    return {
+      name: year.toString(),
+      predictedDamage: predicted,
+      lowerBound: Math.max(0, predicted - margin),
+      upperBound: predicted + margin
+    };
+  });
+
+  return {
+    points,
+    annualGrowthRate: compoundRate(fit.predict(lastYear), _.last(points).predictedDamage, horizon)
+  };
+};
+
+const logLinearForecast = (trend, { horizon, z }) => {
+  const series = toSeries(trend).filter(p => p.y > 0);
+  if (series.length === 0) return linearForecast(trend, { horizon, z });
+
+  const fit = linearRegression(series.map(p => ({ x: p.x, y: Math.log(p.y) })));
+
+  const points = futureYears(series, horizon).map(year => {
+    const logPredicted = fit.predict(year);
+    const margin = z * fit.predictionError(year);
+    return {
+      name: year.toString(),
+      predictedDamage: Math.exp(logPredicted),
+      lowerBound: Math.exp(logPredicted - margin),
+      upperBound: Math.exp(logPredicted + margin)
+    };
+  });
+
+  return {
+    points,
+    annualGrowthRate: Math.exp(fit.slope) - 1
+  };
+};
+
+// Compound Poisson model: the number of damage events per year follows a
+// linear trend, and each event's cost is drawn from the observed severity
+// distribution. The annual total has mean λμ and variance λ(σ² + μ²).
+const frequencySeverityForecast = (trend, records, { horizon, z }) => {
+  const series = toSeries(trend, 'count');
+  const costs = records.map(item => item.Cost).filter(cost => !isNaN(cost));
+  if (costs.length === 0) return linearForecast(trend, { horizon, z });
+
+  const severityMean = _.mean(costs);
+  const severityStdDev = sampleStdDev(costs);
+  const frequencyFit = linearRegression(series);
+  const lastYear = _.maxBy(series, 'x').x;
+
+  const points = futureYears(series, horizon).map(year => {
+    const frequency = Math.max(0, frequencyFit.predict(year));
+    const predicted = frequency * severityMean;
+    const margin = z * Math.sqrt(frequency * (severityStdDev ** 2 + severityMean ** 2));
+    return {
+      name: year.toString(),
+      predictedDamage: predicted,
+      lowerBound: Math.max(0, predicted - margin),
+      upperBound: predicted + margin,
+      expectedEvents: frequency
+    };
+  });
+
+  return {
+    points,
+    annualGrowthRate: compoundRate(frequencyFit.predict(lastYear), _.last(points).expectedEvents, horizon),
+    severityMean
+  };
+};
+
+// Project annual damage costs over the next `horizon` years.
+//   trend   - yearly totals as [{ name: '2024', value, count }]
+//   records - the individual damage records behind the trend (needed by the
+//             frequency-severity model)
+// Returns the chart points, the implied annual growth rate and `baseline`,
+// the mean projected annual cost across the horizon.
+export const forecastDamage = ({
+  trend,
+  records = [],
+  model = 'linear',
+  horizon = DEFAULT_HORIZON,
+  confidence = DEFAULT_CONFIDENCE
+}) => {
+  const empty = { model, confidence, points: [], annualGrowthRate: 0, baseline: 0 };
+  if (!trend || toSeries(trend).length === 0) return empty;
+
+  const options = { horizon, z: normalQuantile(0.5 + confidence / 2) };
+  let result;
+  switch (model) {
+    case 'log-linear':
+      result = logLinearForecast(trend, options);
+      break;
+    case 'frequency-severity':
+      result = frequencySeverityForecast(trend, records, options);
+      break;
+    case 'linear':
+      result = linearForecast(trend, options);
+      break;
+    default:
+      throw new Error(`Unknown forecast model: ${model}`);
+  }
+
+  return {
+    ...empty,
+    ...result,
+    baseline: _.meanBy(result.points, 'predictedDamage')
+  };
+};
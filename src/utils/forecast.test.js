@@ -0,0 +1,108 @@
+import _ from 'lodash';
+import { FORECAST_MODELS, DEFAULT_HORIZON, normalQuantile, linearRegression, forecastDamage } from './forecast';
+
+const trendOf = (values, firstYear = 2018) => values.map((value, index) => ({
+  name: `${firstYear + index}`,
+  value,
+  count: Math.max(1, Math.round(value / 100))
+}));
+
+// Noisy upward history with records to go with it
+const TREND = trendOf([400, 650, 500, 900, 800, 1200]);
+const RECORDS = _.flatMap(TREND, year => _.times(year.count, () => ({ Year: parseInt(year.name, 10), Cost: year.value / year.count })));
+
+describe('normalQuantile', () => {
+  test('matches the standard normal table', () => {
+    expect(normalQuantile(0.5)).toBeCloseTo(0, 6);
+    expect(normalQuantile(0.95)).toBeCloseTo(1.644854, 4);
+    expect(normalQuantile(0.975)).toBeCloseTo(1.959964, 4);
+    expect(normalQuantile(0.01)).toBeCloseTo(-2.326348, 4);
+    expect(normalQuantile(0.2)).toBeCloseTo(-normalQuantile(0.8), 8);
+    expect(normalQuantile(0)).toBe(-Infinity);
+    expect(normalQuantile(1)).toBe(Infinity);
+  });
+});
+
+describe('linearRegression', () => {
+  test('fits a known line and its residual error', () => {
+    const fit = linearRegression([{ x: 0, y: 1 }, { x: 1, y: 3 }, { x: 2, y: 2 }, { x: 3, y: 5 }]);
+    expect(fit.slope).toBeCloseTo(1.1);
+    expect(fit.intercept).toBeCloseTo(1.1);
+    expect(fit.predict(4)).toBeCloseTo(5.5);
+    // SSE of 2.7 over 2 degrees of freedom
+    expect(fit.residualStdErr).toBeCloseTo(Math.sqrt(1.35));
+    // Further from the data, the prediction is less certain
+    expect(fit.predictionError(6)).toBeGreaterThan(fit.predictionError(4));
+  });
+
+  test('keeps some error with too few points for residuals', () => {
+    expect(linearRegression([])).toBeNull();
+    const single = linearRegression([{ x: 2024, y: 800 }]);
+    expect(single.slope).toBe(0);
+    expect(single.predict(2030)).toBe(800);
+    expect(single.residualStdErr).toBe(200);
+    expect(linearRegression([{ x: 0, y: 100 }, { x: 1, y: 300 }]).residualStdErr).toBeCloseTo(Math.sqrt(20000));
+  });
+});
+
+describe('forecastDamage', () => {
+  test('projects an exact linear trend', () => {
+    const forecast = forecastDamage({ trend: trendOf([100, 200, 300]) });
+    expect(forecast.points.map(point => point.name)).toEqual(['2021', '2022', '2023', '2024', '2025']);
+    expect(forecast.points.map(point => point.predictedDamage)).toEqual([400, 500, 600, 700, 800]);
+    expect(forecast.baseline).toBe(600);
+    expect(forecast.annualGrowthRate).toBeCloseTo((800 / 300) ** (1 / 5) - 1);
+  });
+
+  test.each(FORECAST_MODELS.map(model => model.id))('keeps %s projections inside their bounds', model => {
+    const forecast = forecastDamage({ trend: TREND, records: RECORDS, model });
+    expect(forecast.model).toBe(model);
+    expect(forecast.points).toHaveLength(DEFAULT_HORIZON);
+    forecast.points.forEach(point => {
+      expect(point.lowerBound).toBeGreaterThanOrEqual(0);
+      expect(point.lowerBound).toBeLessThanOrEqual(point.predictedDamage);
+      expect(point.predictedDamage).toBeLessThanOrEqual(point.upperBound);
+      expect(point.upperBound).toBeGreaterThan(point.lowerBound);
+    });
+  });
+
+  test.each(FORECAST_MODELS.map(model => model.id))('widens the %s band with the confidence level', model => {
+    const narrow = forecastDamage({ trend: TREND, records: RECORDS, model, confidence: 0.5 });
+    const wide = forecastDamage({ trend: TREND, records: RECORDS, model, confidence: 0.99 });
+    narrow.points.forEach((point, index) => {
+      expect(wide.points[index].predictedDamage).toBeCloseTo(point.predictedDamage);
+      expect(wide.points[index].upperBound).toBeGreaterThan(point.upperBound);
+      expect(wide.points[index].lowerBound).toBeLessThanOrEqual(point.lowerBound);
+    });
+  });
+
+  test('is empty without history', () => {
+    FORECAST_MODELS.forEach(({ id }) => {
+      expect(forecastDamage({ trend: [], model: id })).toMatchObject({ points: [], baseline: 0, annualGrowthRate: 0 });
+    });
+  });
+
+  test.each(FORECAST_MODELS.map(model => model.id))('projects %s from one or two years', model => {
+    const one = forecastDamage({ trend: trendOf([800], 2024), records: RECORDS.slice(0, 8), model });
+    expect(one.points[0].name).toBe('2025');
+    one.points.forEach(point => {
+      expect(point.predictedDamage).toBeGreaterThan(0);
+      expect(point.upperBound).toBeGreaterThan(point.predictedDamage);
+    });
+
+    const two = forecastDamage({ trend: trendOf([400, 800], 2023), records: RECORDS.slice(0, 12), model });
+    expect(two.points).toHaveLength(DEFAULT_HORIZON);
+    expect(two.points[0].name).toBe('2025');
+    two.points.forEach(point => expect(point.upperBound).toBeGreaterThan(point.lowerBound));
+  });
+
+  test('holds a single year flat under the linear model', () => {
+    const forecast = forecastDamage({ trend: trendOf([800], 2024) });
+    expect(forecast.points.map(point => point.predictedDamage)).toEqual(_.times(DEFAULT_HORIZON, () => 800));
+    expect(forecast.annualGrowthRate).toBe(0);
+  });
+
+  test('rejects an unknown model', () => {
+    expect(() => forecastDamage({ trend: TREND, model: 'crystal-ball' })).toThrow('Unknown forecast model');
+  });
+});
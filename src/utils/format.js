@@ -0,0 +1,13 @@
+import { dollarUnit } from './dollars';
+
+// Whole dollars; with a dollar basis (see utils/dollars) the basis is
+// appended, e.g. "$1,250,000 (FY2025 $)"
+export const formatCurrency = (value, basis) => {
+  const amount = new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0
+  }).format(value);
+  return basis ? `${amount} (${dollarUnit(basis)})` : amount;
+};
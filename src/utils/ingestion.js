@@ -0,0 +1,184 @@
+import Papa from 'papaparse';
+import _ from 'lodash';
+import { normalizeState, cleanInstallationName, canonicalInstallation } from './locations';
+import { parseDate, toISODay, fiscalYear } from './dates';
+import { stormName } from './storms';
+
+// Turns the source CSV files into one record shape. Every record keeps the
+// original column names used throughout the dashboard ('Weather Event',
+// 'Installation', 'Cost', ...) and adds:
+//   date             - parsed event date
+//   datePrecision    - 'day', or 'month' when the file only gave a month
+//   Year             - year `date` is bucketed in: the calendar year, or the
+//                      fiscal year once the dashboard switches to fiscal years
+//   calendarYear     - calendar year of `date`
+//   fiscalYear       - federal fiscal year of `date` (October-September)
+//   declaredYear     - the year written in the file's Year column, which may
+//                      be either of the above
+//   weatherEventFull - weather event label including the named storm
+//   storm            - storm name from "Named Storm" or the event itself
+//                      ('Helene', 'Cyclone #8'), '' when there isn't one
+//   source/sources   - id of the file the record came from, and of every file
+//                      it appeared in once duplicates are merged
+//   id               - "<source id>:<row>", stable while the file is unchanged
+//                      (used to remember records excluded from the analysis)
+
+// Every field a normalized record can carry from its source file
+export const RECORD_FIELDS = [
+  'Branch', 'Weather Event', 'Named Storm', 'Date of Weather Event', 'Year', 'Appropriation',
+  'Line Item/SAG', 'Line Item/SAG title', 'Details of Expense', 'Installation', 'State', 'Cost'
+];
+
+export const parseCost = (value) => {
+  if (value === undefined || value === null) return NaN;
+  const cleaned = value.toString().replace(/[$,\s]/g, '');
+  return cleaned === '' ? NaN : parseFloat(cleaned);
+};
+
+// A few rows write the installation as "Tampa,FL", which shifts the state
+// into the Installation column and the cost into State.
+const repairShiftedColumns = (row) => {
+  const shifted = String(row.Cost ?? '').trim() === '' &&
+    /^\d+(\.\d+)?$/.test(String(row.State ?? '').trim()) &&
+    /,\s*[A-Za-z]{2}\s*$/.test(row.Installation || '');
+  if (!shifted) return row;
+
+  const [, installation, state] = row.Installation.match(/^(.*),\s*([A-Za-z]{2})\s*$/);
+  return { ...row, Installation: installation, State: state, Cost: row.State };
+};
+
+// Pick out a row's fields using the source's column mapping
+export const mapRow = (raw, source) => repairShiftedColumns(_.mapValues(source.columns, header => {
+  const value = raw[header];
+  return typeof value === 'string' ? value.trim() : value;
+}));
+
+// Convert one parsed CSV row to the normalized record shape. Returns
+// { record, issue }: `record` is null for rows without a usable cost or date,
+// and `issue` describes a date that was invalid (the row is skipped) or
+// ambiguous (the row is kept).
+export const normalizeRecord = (raw, source) => {
+  const row = mapRow(raw, source);
+  const parsed = parseDate(row['Date of Weather Event'], { order: source.dateOrder });
+  const cost = parseCost(row.Cost);
+
+  let issue = null;
+  if (parsed.error) {
+    issue = { severity: 'error', field: 'Date of Weather Event', value: row['Date of Weather Event'], message: `Invalid date: ${parsed.error}` };
+  } else if (parsed.ambiguous) {
+    issue = { severity: 'warning', field: 'Date of Weather Event', value: row['Date of Weather Event'], message: `Ambiguous date, read as month/day: ${toISODay(parsed.date)}` };
+  }
+  if (parsed.error || isNaN(cost)) return { record: null, issue };
+
+  const { date } = parsed;
+
+  const weatherEvent = row['Weather Event'] || '';
+  const namedStorm = row['Named Storm'] || '';
+
+  const record = {
+    ...row,
+    'Weather Event': weatherEvent,
+    'Named Storm': namedStorm,
+    Installation: cleanInstallationName(row.Installation),
+    State: normalizeState(row.State) || row.State || '',
+    Cost: cost,
+    declaredYear: parseInt(row.Year, 10) || null,
+    Year: date.getFullYear(),
+    calendarYear: date.getFullYear(),
+    fiscalYear: fiscalYear(date),
+    date,
+    datePrecision: parsed.precision,
+    weatherEventFull: namedStorm ? `${weatherEvent} (${namedStorm})` : weatherEvent,
+    storm: stormName(weatherEvent, namedStorm),
+    source: source.id,
+    sources: [source.id]
+  };
+  return { record, issue };
+};
+
+// Normalize header-keyed rows, collecting date issues. `rowNumber` gives
+// the row reference shown for an issue (by default the spreadsheet row,
+// counting the header as row 1).
+export const normalizeRows = (rows, source, rowNumber = (raw, index) => index + 2) => {
+  const records = [];
+  const issues = [];
+  rows.forEach((raw, index) => {
+    const { record, issue } = normalizeRecord(raw, source);
+    if (record) records.push({ ...record, id: `${source.id}:${rowNumber(raw, index)}` });
+    if (issue) issues.push({ ...issue, source: source.id, rowNumber: rowNumber(raw, index) });
+  });
+  return { records, issues };
+};
+
+// Parse a source file into normalized records, along with any date issues
+export const parseSource = (csvText, source) => {
+  const results = Papa.parse(csvText, {
+    header: true,
+    skipEmptyLines: true,
+    transformHeader: header => header.replace(/^\ufeff/, '')
+  });
+  return normalizeRows(results.data, source);
+};
+
+// Records describe the same expense when they share installation, date and amount
+const duplicateKey = (record) => `${toISODay(record.date)}|${canonicalInstallation(record.Installation)}|${Math.round(record.Cost)}`;
+
+// Combine records from several sources. A record that also appears in an
+// earlier source is merged into it: the earlier source's values win, empty
+// fields are filled from the later one, and both source ids are kept.
+// Repeated rows within one file are left alone.
+export const mergeSources = (recordsBySource) => {
+  const merged = [];
+  recordsBySource.forEach(records => {
+    const unmatched = _.groupBy(merged, duplicateKey);
+    records.forEach(record => {
+      const candidates = unmatched[duplicateKey(record)];
+      const existing = candidates && candidates.shift();
+      if (!existing) {
+        merged.push({ ...record });
+        return;
+      }
+      Object.keys(record).forEach(field => {
+        if (existing[field] === '' || existing[field] === undefined || existing[field] === null) {
+          existing[field] = record[field];
+        }
+      });
+      existing.sources = _.uniq([...existing.sources, record.source]);
+    });
+  });
+  return merged;
+};
+
+// Take one source back out of merged records: records only it provided are
+// dropped, and records it was merged into stay (including any empty fields
+// it filled in) under their other sources
+export const removeSource = (records, sourceId) => records
+  .filter(record => record.sources.some(id => id !== sourceId))
+  .map(record => {
+    if (!record.sources.includes(sourceId)) return record;
+    const sources = record.sources.filter(id => id !== sourceId);
+    return { ...record, source: sources[0], sources };
+  });
+
+// Match a file's headers to the normalized fields, ignoring case, spacing and
+// line breaks, so "Line Item/\nSAG" is read as "Line Item/SAG".
+export const detectColumns = (headers) => {
+  const simplify = (header) => header.replace(/^\ufeff/, '').replace(/\s+/g, '').toLowerCase();
+  const byName = _.keyBy(headers, simplify);
+  return _.pickBy(
+    _.fromPairs(RECORD_FIELDS.map(field => [field, byName[simplify(field)]])),
+    header => header !== undefined
+  );
+};
+
+// Read an uploaded CSV file into header-keyed rows. Excel workbooks are
+// turned away: the SheetJS releases on npm have unpatched security flaws, so
+// spreadsheets have to be saved as CSV first.
+export const readUploadedFile = async (file) => {
+  if (/\.(xlsx|xlsm|xls|ods)$/i.test(file.name)) {
+    throw new Error('Excel files are not supported; save the sheet as CSV and upload that');
+  }
+
+  const results = Papa.parse(await file.text(), { header: true, skipEmptyLines: true });
+  return { rows: results.data, headers: results.meta.fields || [] };
+};
@@ -0,0 +1,110 @@
+import fs from 'fs';
+import path from 'path';
+import _ from 'lodash';
+import { DATA_SOURCES } from '../data/sources';
+import { parseSource, normalizeRecord, mergeSources, removeSource, parseCost, readUploadedFile } from './ingestion';
+
+const sourceById = _.keyBy(DATA_SOURCES, 'id');
+const readBundled = (source) => parseSource(fs.readFileSync(path.join(__dirname, '../../public', source.url), 'utf8'), source);
+
+const AG3 = readBundled(sourceById.ag3);
+const ARMY_WX = readBundled(sourceById['army-wx']);
+
+describe('bundled sources', () => {
+  test('ag3 reads every row', () => {
+    expect(AG3.records).toHaveLength(110);
+    expect(AG3.issues).toEqual([]);
+    expect(AG3.records[0].id).toBe('ag3:2');
+  });
+
+  test('army-wx maps its line-broken headers and reports undated rows', () => {
+    expect(ARMY_WX.records).toHaveLength(176);
+    expect(ARMY_WX.issues).toHaveLength(7);
+    ARMY_WX.issues.forEach(issue => expect(issue).toMatchObject({
+      source: 'army-wx',
+      severity: 'error',
+      field: 'Date of Weather Event',
+      value: 'Multiple 2023'
+    }));
+
+    const [first] = ARMY_WX.records;
+    expect(first).toMatchObject({
+      id: 'army-wx:2',
+      'Weather Event': 'Winter Storm',
+      'Line Item/SAG': '132',
+      'Line Item/SAG title': 'FSRM',
+      'Details of Expense': 'Exchange and Theater building damage; Electrical Pole Replacement',
+      Installation: 'Fort Hamilton',
+      State: 'NY',
+      Cost: 600000,
+      declaredYear: 2023,
+      fiscalYear: 2024,
+      Year: 2023,
+      source: 'army-wx',
+      sources: ['army-wx']
+    });
+  });
+
+  test('repairs rows where "City,ST" shifted the state and cost', () => {
+    expect(_.find(AG3.records, { id: 'ag3:92' })).toMatchObject({ Installation: 'Tampa', State: 'FL', Cost: 250000 });
+  });
+
+  test('merge matches the files on day, installation and rounded cost', () => {
+    const merged = mergeSources([AG3.records, ARMY_WX.records]);
+    expect(merged).toHaveLength(176);
+    expect(_.countBy(merged, record => record.sources.join('+'))).toEqual({ 'ag3+army-wx': 110, 'army-wx': 66 });
+    // The earlier source keeps its record
+    merged.filter(record => record.sources.length === 2).forEach(record => expect(record.source).toBe('ag3'));
+  });
+
+  test('removing a source keeps the records another source also had', () => {
+    const merged = mergeSources([AG3.records, ARMY_WX.records]);
+    const withoutAg3 = removeSource(merged, 'ag3');
+    expect(withoutAg3).toHaveLength(176);
+    withoutAg3.forEach(record => expect(record).toMatchObject({ source: 'army-wx', sources: ['army-wx'] }));
+
+    const withoutArmyWx = removeSource(merged, 'army-wx');
+    expect(withoutArmyWx).toHaveLength(110);
+    withoutArmyWx.forEach(record => expect(record.sources).toEqual(['ag3']));
+    // The merged records themselves aren't changed
+    expect(_.countBy(merged, record => record.sources.length)).toEqual({ 1: 66, 2: 110 });
+  });
+});
+
+describe('normalizeRecord', () => {
+  const source = { id: 'test', dateOrder: 'MDY', columns: sourceById.ag3.columns };
+  const row = (fields) => ({
+    'Weather Event': 'Hurricane', 'Named Storm': 'Helene', 'Date of Weather Event': '9/27/24', Year: '2024',
+    Installation: 'Fort Stewart', State: 'Georgia', Cost: '$1,250.50', ...fields
+  });
+
+  test('cleans costs, states and storm names', () => {
+    const { record, issue } = normalizeRecord(row({}), source);
+    expect(issue).toBeNull();
+    expect(record).toMatchObject({ Cost: 1250.5, State: 'GA', storm: 'Helene', weatherEventFull: 'Hurricane (Helene)', fiscalYear: 2024 });
+    expect(parseCost(' ')).toBeNaN();
+  });
+
+  test('skips rows without a cost or a readable date', () => {
+    expect(normalizeRecord(row({ Cost: '' }), source).record).toBeNull();
+    const { record, issue } = normalizeRecord(row({ 'Date of Weather Event': 'sometime' }), source);
+    expect(record).toBeNull();
+    expect(issue.severity).toBe('error');
+  });
+
+  test('merges duplicates across sources only, filling empty fields', () => {
+    const a = normalizeRecord(row({ 'Named Storm': '' }), { ...source, id: 'a' }).record;
+    const b = normalizeRecord(row({ Cost: '1250.6' }), { ...source, id: 'b' }).record;
+    const [merged] = mergeSources([[a], [b]]);
+    expect(merged.sources).toEqual(['a', 'b']);
+    expect(merged['Named Storm']).toBe('Helene');
+    expect(mergeSources([[a, a]])).toHaveLength(2);
+  });
+});
+
+describe('readUploadedFile', () => {
+  test('turns away Excel workbooks', async () => {
+    await expect(readUploadedFile(new File([''], 'damage.xlsx'))).rejects.toThrow(/save the sheet as CSV/);
+    await expect(readUploadedFile(new File([''], 'DAMAGE.XLS'))).rejects.toThrow(/Excel files are not supported/);
+  });
+});
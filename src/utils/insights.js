@@ -0,0 +1,35 @@
+import _ from 'lodash';
+import { formatCurrency } from './format';
+import { formatYear } from './dates';
+
+// Insight text shown next to the charts and repeated in the printed report
+
+export const forecastInsights = ({ forecast, modelLabel, scenarioCount, fullMitigation, seasonality, dollarBasis }) => [
+  `Based on the ${(modelLabel || '').toLowerCase()} model, damage costs are projected to ${
+    forecast.annualGrowthRate >= 0 ? 'increase' : 'decrease'
+  } by approximately ${Math.round(Math.abs(forecast.annualGrowthRate) * 100)}% annually, averaging ${
+    formatCurrency(forecast.baseline, dollarBasis)
+  } per year over the forecast period`,
+  `Implementing all ${scenarioCount} modeled mitigation measures could reduce projected costs by approximately ${
+    Math.round(fullMitigation.reduction * 100)
+  }%, for a benefit-cost ratio of ${fullMitigation.benefitCostRatio?.toFixed(2) ?? 'n/a'}`,
+  seasonality,
+  'Cost-benefit analysis suggests prioritizing infrastructure hardening at high-risk installations'
+];
+
+// `costTrend` is the yearly series in view, oldest first, so the range it
+// describes follows the filters
+export const trendInsight = ({ costTrend, yearBasis }) => (costTrend.length === 0
+  ? 'No damage data in view for the current filters.'
+  : `Analysis of yearly damage costs from ${formatYear(costTrend[0].name, yearBasis)} to ${
+    formatYear(_.last(costTrend).name, yearBasis)
+  } shows a ${
+    _.last(costTrend)?.value > costTrend[0]?.value ? 'rising' : 'varying'
+  } trend in weather-related damages. The data indicates ${
+    formatYear(_.maxBy(costTrend, 'count')?.name, yearBasis)
+  } had the highest number of weather events.`);
+
+export const eventTypeInsight = (costByWeatherType) =>
+  `${costByWeatherType[0]?.name || 'Weather events'} account for ${costByWeatherType[0]?.percentage || 0}% of total damage costs. ${
+    costByWeatherType[1]?.name ? `${costByWeatherType[1].name} follows with ${costByWeatherType[1].percentage}% of costs.` : ''
+  } This analysis highlights the need for targeted infrastructure improvements and mitigation strategies for these high-impact events.`;
@@ -0,0 +1,24 @@
+import { trendInsight } from './insights';
+
+const trend = [
+  { name: '2021', value: 100, count: 2 },
+  { name: '2022', value: 400, count: 6 },
+  { name: '2023', value: 300, count: 3 }
+];
+
+describe('trendInsight', () => {
+  test('describes the years of the trend in view', () => {
+    expect(trendInsight({ costTrend: trend, yearBasis: 'calendar' })).toBe(
+      'Analysis of yearly damage costs from 2021 to 2023 shows a rising trend in weather-related damages. '
+      + 'The data indicates 2022 had the highest number of weather events.'
+    );
+    // The range follows the filtered trend, not every year in the data
+    expect(trendInsight({ costTrend: trend.slice(1), yearBasis: 'fiscal' })).toMatch(/^Analysis of yearly damage costs from FY2022 to FY2023 shows a varying trend/);
+  });
+
+  test('says so when nothing is in view', () => {
+    const text = trendInsight({ costTrend: [], yearBasis: 'calendar' });
+    expect(text).toBe('No damage data in view for the current filters.');
+    expect(text).not.toMatch(/Infinity|undefined/);
+  });
+});
@@ -0,0 +1,85 @@
+import _ from 'lodash';
+import { STATES, STATE_ALIASES } from '../data/states';
+import { INSTALLATION_COORDINATES, INSTALLATION_ALIASES } from '../data/installations';
+
+const STATE_NAME_LOOKUP = _.fromPairs(
+  Object.entries(STATES).map(([code, state]) => [state.name.toLowerCase(), code])
+);
+
+const INSTALLATION_LOOKUP = _.fromPairs(
+  Object.keys(INSTALLATION_COORDINATES).map(name => [name.toLowerCase(), name])
+);
+
+// Collapse the line breaks and repeated spaces that show up in the source files
+export const cleanInstallationName = (name) => (name || '').replace(/\s+/g, ' ').trim();
+
+// Convert a state written as a code ("TX"), a full name ("Texas") or a known
+// alias ("Kwaj") to its two-letter code. Returns null when unrecognised.
+export const normalizeState = (value) => {
+  if (!value) return null;
+  const trimmed = value.toString().trim();
+  const upper = trimmed.toUpperCase();
+  if (STATES[upper]) return upper;
+
+  const lower = trimmed.toLowerCase();
+  return STATE_NAME_LOOKUP[lower] || STATE_ALIASES[lower] || null;
+};
+
+// Names to try, most specific first: "Ft Myers" is read as "Fort Myers",
+// "ARC, Fort Knox" as "Fort Knox", and "Fort Cavazos (Hood)" as both
+// "Fort Cavazos" and the pre-rename "Fort Hood".
+const candidateNames = (name) => {
+  const cleaned = cleanInstallationName(name)
+    .replace(/^ft\.?\s+/i, 'Fort ')
+    .replace(/^cp\.?\s+/i, 'Camp ')
+    .replace(/^arc,\s*/i, '');
+  const candidates = [cleaned];
+
+  const parenthetical = cleaned.match(/^(.*?)\s*\((.+)\)$/);
+  if (parenthetical) {
+    const [, current, former] = parenthetical;
+    candidates.push(current);
+    candidates.push(current.replace(/^(Fort|Camp)\s.*$/i, `$1 ${former}`));
+  }
+  return _.uniq(candidates.map(candidate => candidate.toLowerCase()));
+};
+
+// Map an installation name as written in the data to the current name used
+// in INSTALLATION_COORDINATES, or null when it is not a known installation.
+export const resolveInstallation = (name) => {
+  for (const candidate of candidateNames(name)) {
+    if (INSTALLATION_LOOKUP[candidate]) return INSTALLATION_LOOKUP[candidate];
+    if (INSTALLATION_ALIASES[candidate]) return INSTALLATION_ALIASES[candidate];
+  }
+  return null;
+};
+
+// Name to group records by: the current name for known installations,
+// otherwise the name as reported with its whitespace cleaned up.
+export const canonicalInstallation = (name) => resolveInstallation(name) || cleanInstallationName(name);
+
+// Locate an installation on the map. Known installations use their own
+// coordinates; anything else falls back to the centroid of its state.
+// `precision` records which of the two was used.
+export const locateInstallation = (name, state) => {
+  const resolved = resolveInstallation(name);
+  if (resolved) {
+    return { name: resolved, precision: 'installation', ...INSTALLATION_COORDINATES[resolved] };
+  }
+
+  const stateCode = normalizeState(state);
+  if (stateCode) {
+    const { lat, lng } = STATES[stateCode];
+    return { name: cleanInstallationName(name), state: stateCode, precision: 'state', lat, lng };
+  }
+  return null;
+};
+
+// Offset the nth marker placed at the same point along a spiral so that
+// installations sharing a state centroid can still be told apart.
+export const spreadAround = ({ lat, lng }, index, step = 0.2) => {
+  if (index === 0) return { lat, lng };
+  const angle = index * 2.39996; // golden angle in radians
+  const radius = step * Math.sqrt(index);
+  return { lat: lat + radius * Math.sin(angle), lng: lng + radius * Math.cos(angle) };
+};
@@ -0,0 +1,86 @@
+import _ from 'lodash';
+import { STATES } from '../data/states';
+import { INSTALLATION_COORDINATES } from '../data/installations';
+import {
+  cleanInstallationName, normalizeState, resolveInstallation, canonicalInstallation, locateInstallation, spreadAround
+} from './locations';
+
+describe('normalizeState', () => {
+  test('reads codes, names and aliases', () => {
+    expect(normalizeState('TX')).toBe('TX');
+    expect(normalizeState(' fl ')).toBe('FL');
+    expect(normalizeState('Georgia')).toBe('GA');
+    expect(normalizeState('NORTH CAROLINA')).toBe('NC');
+    expect(normalizeState('Kwaj')).toBe('MH');
+    expect(normalizeState('Republic of Korea')).toBe('KR');
+  });
+
+  test('returns null for anything else', () => {
+    expect(normalizeState('Atlantis')).toBeNull();
+    expect(normalizeState('')).toBeNull();
+    expect(normalizeState(null)).toBeNull();
+  });
+});
+
+describe('resolveInstallation', () => {
+  test('maps renamed forts to their current name', () => {
+    expect(resolveInstallation('Fort Bragg')).toBe('Fort Liberty');
+    expect(resolveInstallation('Fort Liberty')).toBe('Fort Liberty');
+    expect(resolveInstallation('FORT HOOD')).toBe('Fort Cavazos');
+    expect(resolveInstallation('Fort Benning')).toBe('Fort Moore');
+    expect(resolveInstallation('JBLM')).toBe('Joint Base Lewis-McChord');
+  });
+
+  test('reads parenthetical former names', () => {
+    expect(resolveInstallation('Fort Cavazos (Hood)')).toBe('Fort Cavazos');
+    expect(resolveInstallation('Fort Liberty (Fort Bragg)')).toBe('Fort Liberty');
+    // An unknown current name still resolves through the former one
+    expect(resolveInstallation('Fort Somewhere (Polk)')).toBe('Fort Johnson');
+  });
+
+  test('expands Ft, Cp and ARC prefixes', () => {
+    expect(resolveInstallation('Ft Knox')).toBe('Fort Knox');
+    expect(resolveInstallation('Ft. Bragg')).toBe('Fort Liberty');
+    expect(resolveInstallation('Cp Blanding')).toBe('Camp Blanding Joint Training Center');
+    expect(resolveInstallation('ARC, Fort Knox')).toBe('Fort Knox');
+  });
+
+  test('cleans line breaks and spacing', () => {
+    expect(cleanInstallationName('  Fort\n  Stewart ')).toBe('Fort Stewart');
+    expect(resolveInstallation('Fort\nStewart')).toBe('Fort Stewart');
+  });
+
+  test('leaves unknown names unresolved but grouped by their cleaned name', () => {
+    expect(resolveInstallation('Tampa')).toBeNull();
+    expect(canonicalInstallation('Tampa  ')).toBe('Tampa');
+    expect(canonicalInstallation('Ft Hood')).toBe('Fort Cavazos');
+  });
+});
+
+describe('locateInstallation', () => {
+  test('uses the coordinates of known installations', () => {
+    expect(locateInstallation('Fort Bragg', 'NC')).toEqual({
+      name: 'Fort Liberty', precision: 'installation', ...INSTALLATION_COORDINATES['Fort Liberty']
+    });
+  });
+
+  test('falls back to the centroid of the state', () => {
+    expect(locateInstallation('Tampa', 'Florida')).toEqual({
+      name: 'Tampa', state: 'FL', precision: 'state', lat: STATES.FL.lat, lng: STATES.FL.lng
+    });
+    expect(locateInstallation('Tampa', 'Atlantis')).toBeNull();
+  });
+});
+
+describe('spreadAround', () => {
+  test('gives markers at the same point distinct coordinates', () => {
+    const center = { lat: STATES.FL.lat, lng: STATES.FL.lng };
+    const points = _.range(20).map(index => spreadAround(center, index));
+    expect(points[0]).toEqual(center);
+    expect(_.uniqWith(points, _.isEqual)).toHaveLength(points.length);
+    // Later markers sit further out, at step * sqrt(index)
+    points.forEach((point, index) => {
+      expect(Math.hypot(point.lat - center.lat, point.lng - center.lng)).toBeCloseTo(0.2 * Math.sqrt(index));
+    });
+  });
+});
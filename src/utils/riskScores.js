@@ -0,0 +1,118 @@
+import _ from 'lodash';
+import { normalizeWeatherType } from './weatherTypes';
+import { canonicalInstallation } from './locations';
+import { eventKey } from './storms';
+
+// Installation risk factors. Each is ranked across installations (0 for the
+// lowest, 1 for the highest) and the composite score is the weighted mean
+// of those ranks, scaled to 0-100.
+export const RISK_FACTORS = [
+  { id: 'frequency', label: 'Event frequency', description: 'Separate weather events per year' },
+  { id: 'totalCost', label: 'Total cost', description: 'Total damage cost' },
+  { id: 'meanCost', label: 'Mean cost', description: 'Average cost per event' },
+  { id: 'volatility', label: 'Cost volatility', description: 'Coefficient of variation of event costs' },
+  { id: 'hazardDiversity', label: 'Hazard diversity', description: 'Number of distinct hazard types' },
+  { id: 'trend', label: 'Recent trend', description: 'Recency-weighted growth in yearly cost' }
+];
+
+export const DEFAULT_RISK_WEIGHTS = {
+  frequency: 2,
+  totalCost: 3,
+  meanCost: 1,
+  volatility: 1,
+  hazardDiversity: 1,
+  trend: 2
+};
+
+// Years it takes a year's weight in the trend fit to halve
+const TREND_HALF_LIFE = 1;
+
+const ONE_YEAR_MS = 365.25 * 24 * 60 * 60 * 1000;
+
+// Slope of a weighted least-squares line through [{ x, y, weight }]
+const weightedSlope = (points) => {
+  const totalWeight = _.sumBy(points, 'weight');
+  if (points.length < 2 || totalWeight === 0) return 0;
+  const xMean = _.sumBy(points, p => p.weight * p.x) / totalWeight;
+  const yMean = _.sumBy(points, p => p.weight * p.y) / totalWeight;
+  const sxx = _.sumBy(points, p => p.weight * (p.x - xMean) ** 2);
+  const sxy = _.sumBy(points, p => p.weight * (p.x - xMean) * (p.y - yMean));
+  return sxx > 0 ? sxy / sxx : 0;
+};
+
+const coefficientOfVariation = (values) => {
+  const mean = _.mean(values);
+  if (values.length < 2 || !mean) return 0;
+  const variance = _.sumBy(values, value => (value - mean) ** 2) / (values.length - 1);
+  return Math.sqrt(variance) / mean;
+};
+
+// Raw risk factors for every installation in `records`. Yearly costs cover
+// every year of the dataset (zero for years without damage) so the trend
+// and sparklines of different installations line up.
+export const installationRiskMetrics = (records) => {
+  if (records.length === 0) return [];
+
+  const years = _.range(_.minBy(records, 'Year').Year, _.maxBy(records, 'Year').Year + 1);
+  const lastYear = _.last(years);
+  const spanYears = Math.max(1, (_.maxBy(records, 'date').date - _.minBy(records, 'date').date) / ONE_YEAR_MS);
+
+  return _.chain(records)
+    .groupBy(item => canonicalInstallation(item.Installation))
+    .map((items, name) => {
+      const eventCosts = _.chain(items).groupBy(eventKey).map(group => _.sumBy(group, 'Cost')).value();
+      const costByYear = _.mapValues(_.groupBy(items, 'Year'), group => _.sumBy(group, 'Cost'));
+      const yearly = years.map(year => ({ name: year.toString(), value: costByYear[year] || 0 }));
+      const meanYearly = _.meanBy(yearly, 'value');
+      const totalCost = _.sumBy(items, 'Cost');
+
+      return {
+        name,
+        state: _.head(_.compact(items.map(item => item.State))) || '',
+        events: eventCosts.length,
+        lastEvent: _.maxBy(items, 'date').date,
+        yearly,
+        frequency: eventCosts.length / spanYears,
+        totalCost,
+        meanCost: totalCost / eventCosts.length,
+        volatility: coefficientOfVariation(eventCosts),
+        hazardDiversity: _.uniq(items.map(item => normalizeWeatherType(item['Weather Event']))).length,
+        trend: meanYearly > 0
+          ? weightedSlope(yearly.map(point => ({
+            x: parseInt(point.name, 10),
+            y: point.value,
+            weight: 0.5 ** ((lastYear - parseInt(point.name, 10)) / TREND_HALF_LIFE)
+          }))) / meanYearly
+          : 0
+      };
+    })
+    .value();
+};
+
+// Percentile rank of each value among `values`: 0 for the smallest, 1 for
+// the largest, ties sharing the average of their ranks
+const percentileRanks = (values) => {
+  if (values.length < 2) return values.map(() => 1);
+  const sorted = [...values].sort((a, b) => a - b);
+  return values.map(value => {
+    const first = _.sortedIndex(sorted, value);
+    const last = _.sortedLastIndex(sorted, value) - 1;
+    return (first + last) / 2 / (values.length - 1);
+  });
+};
+
+// Add a composite `score` (0-100) and the per-factor `ranks` to each
+// installation's metrics, using `weights` keyed by RISK_FACTORS id
+export const scoreInstallations = (metrics, weights = DEFAULT_RISK_WEIGHTS) => {
+  const totalWeight = _.sum(RISK_FACTORS.map(factor => weights[factor.id] || 0));
+  const ranksByFactor = _.fromPairs(RISK_FACTORS.map(factor => [
+    factor.id,
+    percentileRanks(metrics.map(metric => metric[factor.id]))
+  ]));
+
+  return metrics.map((metric, index) => {
+    const ranks = _.mapValues(ranksByFactor, ranks => ranks[index]);
+    const weighted = _.sum(RISK_FACTORS.map(factor => (weights[factor.id] || 0) * ranks[factor.id]));
+    return { ...metric, ranks, score: totalWeight > 0 ? (weighted / totalWeight) * 100 : 0 };
+  });
+};
@@ -0,0 +1,62 @@
+import { installationRiskMetrics, scoreInstallations, DEFAULT_RISK_WEIGHTS } from './riskScores';
+
+const record = (installation, event, day, cost) => {
+  const date = new Date(day);
+  return {
+    Installation: installation,
+    State: 'FL',
+    'Weather Event': event,
+    storm: '',
+    weatherEventFull: event,
+    Cost: cost,
+    date,
+    Year: date.getFullYear()
+  };
+};
+
+const records = [
+  record('Fort A', 'Flooding', '2023-06-01T00:00', 100),
+  record('Fort A', 'Hail', '2024-06-01T00:00', 300),
+  record('Fort A', 'Hail', '2024-06-01T00:00', 100),
+  record('Fort B', 'Winter Storm', '2023-01-10T00:00', 1000)
+];
+
+describe('installationRiskMetrics', () => {
+  const metrics = installationRiskMetrics(records);
+  const fortA = metrics.find(item => item.name === 'Fort A');
+  const fortB = metrics.find(item => item.name === 'Fort B');
+
+  test('counts events and costs per installation', () => {
+    expect(fortA).toMatchObject({ events: 2, totalCost: 500, meanCost: 250, hazardDiversity: 2 });
+    expect(fortB).toMatchObject({ events: 1, totalCost: 1000, volatility: 0 });
+  });
+
+  test('covers every year of the data in the yearly series', () => {
+    expect(fortB.yearly).toEqual([{ name: '2023', value: 1000 }, { name: '2024', value: 0 }]);
+  });
+
+  test('gives rising installations a positive trend', () => {
+    expect(fortA.trend).toBeGreaterThan(0);
+    expect(fortB.trend).toBeLessThan(0);
+  });
+});
+
+describe('scoreInstallations', () => {
+  const metrics = installationRiskMetrics(records);
+
+  test('ranks each factor between 0 and 1', () => {
+    const scored = scoreInstallations(metrics);
+    scored.forEach(item => {
+      expect(item.score).toBeGreaterThanOrEqual(0);
+      expect(item.score).toBeLessThanOrEqual(100);
+    });
+    expect(scored.find(item => item.name === 'Fort B').ranks.totalCost).toBe(1);
+  });
+
+  test('follows the weights', () => {
+    const byCost = scoreInstallations(metrics, { ...DEFAULT_RISK_WEIGHTS, frequency: 0, hazardDiversity: 0, trend: 0, volatility: 0 });
+    const byTrend = scoreInstallations(metrics, { frequency: 0, totalCost: 0, meanCost: 0, volatility: 0, hazardDiversity: 0, trend: 1 });
+    expect(byCost.find(item => item.name === 'Fort B').score).toBe(100);
+    expect(byTrend.find(item => item.name === 'Fort A').score).toBe(100);
+  });
+});
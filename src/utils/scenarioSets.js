@@ -0,0 +1,85 @@
+import Ajv from 'ajv';
+import { HAZARD_CATEGORIES } from './weatherTypes';
+
+// Named sets of mitigation measures (e.g. "FY26 POM", "minimal"), kept in
+// localStorage and exchanged between planners as JSON files.
+
+const STORAGE_KEY = 'ag3-dash.scenarioSets';
+const FILE_VERSION = 1;
+
+const measureSchema = {
+  type: 'object',
+  required: ['id', 'name', 'hazard', 'reduction', 'cost'],
+  properties: {
+    id: { type: 'string', minLength: 1 },
+    name: { type: 'string', minLength: 1 },
+    hazard: { type: 'string', enum: HAZARD_CATEGORIES },
+    reduction: { type: 'number', minimum: 0, maximum: 1 },
+    cost: { type: 'number', minimum: 0 },
+    annualCost: { type: 'number', minimum: 0, default: 0 },
+    installations: { type: 'array', items: { type: 'string' }, default: [] }
+  }
+};
+
+const scenarioSetSchema = {
+  type: 'object',
+  required: ['name', 'measures'],
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    measures: { type: 'array', items: measureSchema },
+    selected: { type: 'array', items: { type: 'string' }, default: [] },
+    savedAt: { type: 'string' }
+  }
+};
+
+const ajv = new Ajv({ useDefaults: true, allErrors: true });
+const validateScenarioSet = ajv.compile(scenarioSetSchema);
+
+export const createMeasureId = () => `measure-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+
+export const loadScenarioSets = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(stored) ? stored.filter(set => validateScenarioSet(set)) : [];
+  } catch (err) {
+    console.error('Could not read saved scenario sets:', err);
+    return [];
+  }
+};
+
+export const saveScenarioSets = (sets) => {
+  window.localStorage.setItem(STORAGE_KEY, JSON.stringify(sets));
+};
+
+// Add a set, replacing any existing set with the same name
+export const upsertScenarioSet = (sets, set) => [
+  ...sets.filter(existing => existing.name !== set.name),
+  { ...set, savedAt: new Date().toISOString() }
+];
+
+export const serializeScenarioSet = (set) => JSON.stringify({ version: FILE_VERSION, ...set }, null, 2);
+
+// Parse an exported scenario set file. Throws with a readable message when
+// the file is not valid JSON or does not describe a scenario set.
+export const parseScenarioSet = (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Not a valid JSON file: ${err.message}`);
+  }
+
+  const { version, ...set } = parsed || {};
+  if (version !== undefined && version > FILE_VERSION) {
+    throw new Error(`Scenario set file version ${version} is newer than this dashboard supports`);
+  }
+  if (!validateScenarioSet(set)) {
+    const details = validateScenarioSet.errors
+      .map(error => `${error.instancePath || 'set'} ${error.message}`)
+      .join('; ');
+    throw new Error(`Invalid scenario set: ${details}`);
+  }
+
+  const ids = set.measures.map(measure => measure.id);
+  return { ...set, selected: set.selected.filter(id => ids.includes(id)) };
+};
@@ -0,0 +1,55 @@
+import { serializeScenarioSet, parseScenarioSet, upsertScenarioSet } from './scenarioSets';
+
+const SET = {
+  name: 'FY26 POM',
+  measures: [
+    { id: 'levee', name: 'Levee upgrade', hazard: 'Flooding', reduction: 0.4, cost: 2000000, annualCost: 50000, installations: ['Fort Stewart'] },
+    { id: 'roofs', name: 'Hail-rated roofs', hazard: 'Hail', reduction: 0.3, cost: 750000, annualCost: 0, installations: [] }
+  ],
+  selected: ['levee'],
+  savedAt: '2025-10-01T12:00:00.000Z'
+};
+
+describe('scenario set files', () => {
+  test('round-trips an exported set', () => {
+    const text = serializeScenarioSet(SET);
+    expect(JSON.parse(text).version).toBe(1);
+    expect(parseScenarioSet(text)).toEqual(SET);
+  });
+
+  test('fills in optional fields and drop selections of unknown measures', () => {
+    const set = parseScenarioSet(JSON.stringify({
+      name: 'Minimal',
+      measures: [{ id: 'pumps', name: 'Pumps', hazard: 'Flooding', reduction: 0.2, cost: 1000 }],
+      selected: ['pumps', 'deleted']
+    }));
+    expect(set.measures[0]).toMatchObject({ annualCost: 0, installations: [] });
+    expect(set.selected).toEqual(['pumps']);
+  });
+
+  test('rejects files that are not JSON', () => {
+    expect(() => parseScenarioSet('{"name": "FY26",')).toThrow(/^Not a valid JSON file/);
+    expect(() => parseScenarioSet('')).toThrow(/^Not a valid JSON file/);
+  });
+
+  test('rejects files that do not describe a scenario set', () => {
+    expect(() => parseScenarioSet('null')).toThrow(/^Invalid scenario set: set must have required property 'name'/);
+    expect(() => parseScenarioSet(JSON.stringify({ name: 'No measures' }))).toThrow(/required property 'measures'/);
+
+    // Every problem is reported, not just the first
+    const badMeasure = serializeScenarioSet({ ...SET, measures: [{ ...SET.measures[0], hazard: 'Meteor', reduction: 1.5 }] });
+    expect(() => parseScenarioSet(badMeasure)).toThrow(/\/measures\/0\/hazard must be equal to one of the allowed values/);
+    expect(() => parseScenarioSet(badMeasure)).toThrow(/\/measures\/0\/reduction must be <= 1/);
+  });
+
+  test('rejects files from a newer dashboard', () => {
+    expect(() => parseScenarioSet(JSON.stringify({ ...SET, version: 2 }))).toThrow('Scenario set file version 2 is newer than this dashboard supports');
+  });
+
+  test('replaces a saved set of the same name', () => {
+    const sets = upsertScenarioSet(upsertScenarioSet([], SET), { ...SET, selected: [] });
+    expect(sets).toHaveLength(1);
+    expect(sets[0].selected).toEqual([]);
+    expect(sets[0].savedAt).not.toBe(SET.savedAt);
+  });
+});
@@ -0,0 +1,145 @@
+import _ from 'lodash';
+import { normalizeWeatherType } from './weatherTypes';
+import { canonicalInstallation } from './locations';
+
+export const DEFAULT_DISCOUNT_RATE = 0.03;
+
+// Mitigation measures. `hazard` is the normalized weather category the measure
+// protects against; `installations` limits it to specific installations (an
+// empty list applies it everywhere). `cost` is the upfront cost and
+// `annualCost` the yearly operations and maintenance cost.
+export const DEFAULT_SCENARIOS = [
+  { id: 'scenario1', name: 'Enhanced stormwater infrastructure', reduction: 0.25, cost: 2000000, annualCost: 0, hazard: 'Flooding', installations: [] },
+  { id: 'scenario2', name: 'Wind-resistant building upgrades', reduction: 0.40, cost: 3500000, annualCost: 0, hazard: 'Hurricane/Tropical Storm', installations: [] },
+  { id: 'scenario3', name: 'Wildfire prevention measures', reduction: 0.30, cost: 1500000, annualCost: 0, hazard: 'Fire', installations: [] },
+  { id: 'scenario4', name: 'Winter weather preparedness', reduction: 0.20, cost: 1000000, annualCost: 0, hazard: 'Winter Storm', installations: [] }
+];
+
+// Largest number of measures for which the optimizer tries every combination
+// before switching to a greedy search.
+const EXHAUSTIVE_LIMIT = 12;
+
+// Share of historical cost falling on each hazard/installation pair. The
+// forecast total for each year is split across these cells.
+export const hazardInstallationShares = (records) => {
+  const total = _.sumBy(records, 'Cost');
+  if (!total) return [];
+
+  return _.chain(records)
+    .groupBy(item => `${normalizeWeatherType(item['Weather Event'])}|${canonicalInstallation(item.Installation)}`)
+    .map(items => ({
+      hazard: normalizeWeatherType(items[0]['Weather Event']),
+      installation: canonicalInstallation(items[0].Installation),
+      share: _.sumBy(items, 'Cost') / total
+    }))
+    .value();
+};
+
+const appliesTo = (scenario, cell) => scenario.hazard === cell.hazard &&
+  (!scenario.installations || scenario.installations.length === 0 ||
+    scenario.installations.includes(cell.installation));
+
+// Fraction of a cell's cost that remains after every applicable measure.
+// Measures on the same cell compound (two 50% measures leave 25%), so adding
+// a measure always saves more but never more than the cell's full cost.
+export const remainingFraction = (scenarios, cell) => scenarios
+  .filter(scenario => appliesTo(scenario, cell))
+  .reduce((remaining, scenario) => remaining * (1 - scenario.reduction), 1);
+
+// First year in which cumulative net savings cover the upfront cost, with
+// linear interpolation inside that year. Null when it never pays back,
+// including when there is nothing to pay back and nothing is saved (an empty
+// selection, or O&M that costs more than it saves).
+const paybackPeriod = (upfrontCost, netSavingsByYear) => {
+  if (upfrontCost <= 0) return netSavingsByYear[0] > 0 ? 0 : null;
+  let cumulative = 0;
+  for (let i = 0; i < netSavingsByYear.length; i++) {
+    const previous = cumulative;
+    cumulative += netSavingsByYear[i];
+    if (cumulative >= upfrontCost) {
+      return i + (upfrontCost - previous) / netSavingsByYear[i];
+    }
+  }
+
+  // Beyond the forecast horizon, assume the final year's savings continue
+  const lastSavings = _.last(netSavingsByYear);
+  if (!(lastSavings > 0)) return null;
+  return netSavingsByYear.length + (upfrontCost - cumulative) / lastSavings;
+};
+
+// Evaluate a set of mitigation measures against the forecast.
+//   scenarios - the measures to apply together
+//   shares    - output of hazardInstallationShares
+//   forecast  - output of forecastDamage
+// Returns yearly projected costs with and without mitigation and the
+// portfolio's financial metrics over the forecast horizon.
+export const evaluateScenarios = ({ scenarios, shares, forecast, discountRate = DEFAULT_DISCOUNT_RATE }) => {
+  const mitigatedShare = _.sumBy(shares, cell => cell.share * remainingFraction(scenarios, cell));
+  const upfrontCost = _.sumBy(scenarios, 'cost');
+  const annualCost = _.sumBy(scenarios, scenario => scenario.annualCost || 0);
+
+  const years = forecast.points.map((point, index) => {
+    const baseline = point.predictedDamage;
+    const withMitigation = baseline * mitigatedShare;
+    return {
+      name: point.name,
+      baseline,
+      withMitigation,
+      savings: baseline - withMitigation,
+      discountFactor: 1 / Math.pow(1 + discountRate, index + 1)
+    };
+  });
+
+  const presentSavings = _.sumBy(years, year => year.savings * year.discountFactor);
+  const presentAnnualCost = _.sumBy(years, year => annualCost * year.discountFactor);
+  const totalInvestment = upfrontCost + presentAnnualCost;
+
+  return {
+    years,
+    currentProjection: forecast.baseline,
+    withMitigation: forecast.baseline * mitigatedShare,
+    savings: forecast.baseline * (1 - mitigatedShare),
+    reduction: shares.length ? 1 - mitigatedShare : 0,
+    cost: upfrontCost,
+    annualCost,
+    totalSavings: _.sumBy(years, 'savings'),
+    netPresentValue: presentSavings - totalInvestment,
+    benefitCostRatio: totalInvestment > 0 ? presentSavings / totalInvestment : null,
+    paybackYears: paybackPeriod(upfrontCost, years.map(year => year.savings - annualCost))
+  };
+};
+
+// Choose the measures that maximize net present value without the combined
+// upfront cost exceeding `budget`. Every combination is tried when there are
+// few enough measures; otherwise measures are added greedily by marginal NPV
+// per dollar until nothing affordable improves the portfolio.
+export const optimizeScenarios = ({ scenarios, shares, forecast, budget = Infinity, discountRate = DEFAULT_DISCOUNT_RATE }) => {
+  const npvOf = (selection) => evaluateScenarios({ scenarios: selection, shares, forecast, discountRate }).netPresentValue;
+  const affordable = scenarios.filter(scenario => scenario.cost <= budget);
+
+  if (affordable.length <= EXHAUSTIVE_LIMIT) {
+    let best = { selection: [], npv: 0 };
+    for (let mask = 1; mask < (1 << affordable.length); mask++) {
+      const selection = affordable.filter((scenario, index) => mask & (1 << index));
+      if (_.sumBy(selection, 'cost') > budget) continue;
+      const npv = npvOf(selection);
+      if (npv > best.npv) best = { selection, npv };
+    }
+    return best.selection.map(scenario => scenario.id);
+  }
+
+  const addGreedily = (selection, currentNpv, remainingBudget) => {
+    const candidates = affordable
+      .filter(scenario => !selection.includes(scenario) && scenario.cost <= remainingBudget)
+      .map(scenario => {
+        const gain = npvOf([...selection, scenario]) - currentNpv;
+        return { scenario, gain, efficiency: gain / Math.max(scenario.cost, 1) };
+      })
+      .filter(candidate => candidate.gain > 0);
+    if (candidates.length === 0) return selection;
+
+    const next = _.maxBy(candidates, 'efficiency');
+    return addGreedily([...selection, next.scenario], currentNpv + next.gain, remainingBudget - next.scenario.cost);
+  };
+  return addGreedily([], 0, budget).map(scenario => scenario.id);
+};
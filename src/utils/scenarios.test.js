@@ -0,0 +1,150 @@
+import _ from 'lodash';
+import { hazardInstallationShares, remainingFraction, evaluateScenarios, optimizeScenarios } from './scenarios';
+
+const record = (event, installation, cost) => ({ 'Weather Event': event, Installation: installation, Cost: cost });
+
+const measure = (id, hazard, reduction, cost, extra = {}) => ({ id, name: id, hazard, reduction, cost, annualCost: 0, installations: [], ...extra });
+
+// Flat forecast of 1000 a year for two years
+const FORECAST = {
+  baseline: 1000,
+  points: [{ name: '2026', predictedDamage: 1000 }, { name: '2027', predictedDamage: 1000 }]
+};
+
+const SHARES = [
+  { hazard: 'Flooding', installation: 'Fort Stewart', share: 0.25 },
+  { hazard: 'Flooding', installation: 'Fort Bliss', share: 0.25 },
+  { hazard: 'Hail', installation: 'Fort Bliss', share: 0.5 }
+];
+
+describe('hazardInstallationShares', () => {
+  test('splits cost by hazard and installation', () => {
+    const shares = hazardInstallationShares([
+      record('Flooding', 'Fort Stewart', 300),
+      record('Flooding', 'Fort Stewart', 100),
+      record('Hail', 'Fort Bliss', 600)
+    ]);
+    expect(_.sortBy(shares, 'hazard')).toEqual([
+      { hazard: 'Flooding', installation: 'Fort Stewart', share: 0.4 },
+      { hazard: 'Hail', installation: 'Fort Bliss', share: 0.6 }
+    ]);
+    expect(hazardInstallationShares([])).toEqual([]);
+  });
+});
+
+describe('remainingFraction', () => {
+  test('compounds stacked measures instead of adding them', () => {
+    const cell = SHARES[0];
+    expect(remainingFraction([measure('a', 'Flooding', 0.5, 0), measure('b', 'Flooding', 0.5, 0)], cell)).toBe(0.25);
+    // Three 60% measures would add up to 180%; compounded, some cost remains
+    const stacked = _.times(3, index => measure(`m${index}`, 'Flooding', 0.6, 0));
+    expect(remainingFraction(stacked, cell)).toBeCloseTo(0.064);
+  });
+
+  test('only reduces the targeted hazard and installations', () => {
+    const flooding = measure('a', 'Flooding', 0.5, 0);
+    const atStewart = measure('b', 'Flooding', 0.5, 0, { installations: ['Fort Stewart'] });
+    expect(remainingFraction([flooding], SHARES[2])).toBe(1);
+    expect(remainingFraction([atStewart], SHARES[0])).toBe(0.5);
+    expect(remainingFraction([atStewart], SHARES[1])).toBe(1);
+
+    const result = evaluateScenarios({ scenarios: [atStewart], shares: SHARES, forecast: FORECAST });
+    expect(result.reduction).toBeCloseTo(0.125);
+    expect(result.withMitigation).toBeCloseTo(875);
+  });
+});
+
+describe('evaluateScenarios', () => {
+  test('computes savings, payback and BCR', () => {
+    // Halving flooding (half the cost) saves 250 a year
+    const result = evaluateScenarios({
+      scenarios: [measure('a', 'Flooding', 0.5, 300)],
+      shares: SHARES,
+      forecast: FORECAST,
+      discountRate: 0
+    });
+    expect(result.years.map(year => year.savings)).toEqual([250, 250]);
+    expect(result.totalSavings).toBe(500);
+    // 250 after one year, the remaining 50 a fifth of the way into the second
+    expect(result.paybackYears).toBeCloseTo(1.2);
+    expect(result.netPresentValue).toBeCloseTo(200);
+    expect(result.benefitCostRatio).toBeCloseTo(500 / 300);
+  });
+
+  test('counts yearly costs and discounting', () => {
+    const result = evaluateScenarios({
+      scenarios: [measure('a', 'Flooding', 0.5, 300, { annualCost: 50 })],
+      shares: SHARES,
+      forecast: FORECAST,
+      discountRate: 0.1
+    });
+    const factors = [1 / 1.1, 1 / 1.21];
+    const presentSavings = 250 * factors[0] + 250 * factors[1];
+    const investment = 300 + 50 * factors[0] + 50 * factors[1];
+    expect(result.benefitCostRatio).toBeCloseTo(presentSavings / investment);
+    expect(result.netPresentValue).toBeCloseTo(presentSavings - investment);
+    // Net savings of 200 a year
+    expect(result.paybackYears).toBeCloseTo(1.5);
+  });
+
+  test('has no payback when savings never cover the cost', () => {
+    const result = evaluateScenarios({
+      scenarios: [measure('a', 'Flooding', 0.1, 1000, { annualCost: 50 })],
+      shares: SHARES,
+      forecast: FORECAST
+    });
+    expect(result.paybackYears).toBeNull();
+  });
+
+  test('has no payback without net savings, even at no upfront cost', () => {
+    const empty = evaluateScenarios({ scenarios: [], shares: SHARES, forecast: FORECAST });
+    expect(empty.paybackYears).toBeNull();
+
+    // 10% of flooding saves 50 a year against 80 a year of O&M
+    const maintenanceOnly = evaluateScenarios({
+      scenarios: [measure('a', 'Flooding', 0.1, 0, { annualCost: 80 })],
+      shares: SHARES,
+      forecast: FORECAST
+    });
+    expect(maintenanceOnly.paybackYears).toBeNull();
+
+    const worthIt = evaluateScenarios({
+      scenarios: [measure('a', 'Flooding', 0.1, 0, { annualCost: 20 })],
+      shares: SHARES,
+      forecast: FORECAST
+    });
+    expect(worthIt.paybackYears).toBe(0);
+  });
+});
+
+describe('optimizeScenarios', () => {
+  test('picks the best combination within the budget', () => {
+    const scenarios = [
+      measure('flood', 'Flooding', 0.8, 150),
+      measure('hail', 'Hail', 0.8, 150),
+      measure('cheap-hail', 'Hail', 0.3, 40)
+    ];
+    const unlimited = optimizeScenarios({ scenarios, shares: SHARES, forecast: FORECAST, discountRate: 0 });
+    expect(unlimited.sort()).toEqual(['cheap-hail', 'flood', 'hail']);
+
+    // Within 200: flood with cheap-hail nets 650 + 260, more than stacking
+    // both hail measures (860 - 190)
+    const chosen = optimizeScenarios({ scenarios, shares: SHARES, forecast: FORECAST, budget: 200, discountRate: 0 });
+    expect(chosen.sort()).toEqual(['cheap-hail', 'flood']);
+    expect(_.sumBy(scenarios.filter(scenario => chosen.includes(scenario.id)), 'cost')).toBeLessThanOrEqual(200);
+  });
+
+  test('returns a feasible set from the greedy search past 12 measures', () => {
+    const hazards = _.range(14).map(index => `Hazard ${index}`);
+    const shares = hazards.map(hazard => ({ hazard, installation: 'Fort Bliss', share: 1 / hazards.length }));
+    const scenarios = hazards.map((hazard, index) => measure(`m${index}`, hazard, 0.5, 10 + index * 5));
+    const budget = 100;
+
+    const chosen = optimizeScenarios({ scenarios, shares, forecast: FORECAST, budget, discountRate: 0 });
+    expect(chosen.length).toBeGreaterThan(0);
+    expect(_.uniq(chosen)).toHaveLength(chosen.length);
+    expect(_.sumBy(scenarios.filter(scenario => chosen.includes(scenario.id)), 'cost')).toBeLessThanOrEqual(budget);
+    // The cheapest measures save the same, so they are taken first
+    expect(chosen.slice(0, 3)).toEqual(['m0', 'm1', 'm2']);
+  });
+});
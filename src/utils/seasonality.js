@@ -0,0 +1,89 @@
+import _ from 'lodash';
+import { normalizeWeatherType } from './weatherTypes';
+import { eventKey } from './storms';
+import { formatCurrency } from './format';
+
+export const MONTH_LABELS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Month indexes in the order a year runs: January to December, or October to
+// September for fiscal years
+export const monthOrder = (yearBasis) => (yearBasis === 'fiscal'
+  ? [..._.range(9, 12), ..._.range(0, 9)]
+  : _.range(12));
+
+// Share of annual cost a peak window has to hold
+export const PEAK_SHARE = 0.5;
+
+// Cost and number of distinct events per calendar month (index 0 = January)
+const monthlyTotals = (records) => _.range(12).map(month => {
+  const items = records.filter(item => item.date.getMonth() === month);
+  return {
+    cost: _.sumBy(items, 'Cost'),
+    count: _.uniq(items.map(eventKey)).length
+  };
+});
+
+// Month × hazard heatmap: one row per hazard (costliest first) with the
+// cost and event count of each month
+export const monthHazardMatrix = (records) => _.chain(records)
+  .groupBy(item => normalizeWeatherType(item['Weather Event']))
+  .map((items, hazard) => ({ name: hazard, total: _.sumBy(items, 'Cost'), months: monthlyTotals(items) }))
+  .orderBy(['total'], ['desc'])
+  .value();
+
+// Month × year calendar heatmap: one row per year
+export const monthYearMatrix = (records) => _.chain(records)
+  .groupBy('Year')
+  .map((items, year) => ({ name: year, total: _.sumBy(items, 'Cost'), months: monthlyTotals(items) }))
+  .sortBy('name')
+  .value();
+
+// Shortest run of consecutive months (wrapping from December to January)
+// that holds at least `share` of the total of `values`; the costliest run
+// wins among equally short ones. Returns { start, length, value, share } with
+// `start` as a month index, or null when every value is zero.
+export const peakWindow = (values, share = PEAK_SHARE) => {
+  const total = _.sum(values);
+  if (total <= 0) return null;
+
+  for (let length = 1; length <= 12; length += 1) {
+    const windows = _.range(12).map(start => ({
+      start,
+      length,
+      value: _.sum(_.range(length).map(offset => values[(start + offset) % 12]))
+    }));
+    const best = _.maxBy(windows, 'value');
+    if (best.value >= total * share) return { ...best, share: best.value / total };
+  }
+  return null;
+};
+
+export const describeWindow = ({ start, length }) => (length === 1
+  ? MONTH_LABELS[start]
+  : `${MONTH_LABELS[start]}-${MONTH_LABELS[(start + length - 1) % 12]}`);
+
+// Peak-risk window of all costs and of each hazard
+export const peakRiskWindows = (records) => {
+  const overall = peakWindow(monthlyTotals(records).map(month => month.cost));
+  const byHazard = monthHazardMatrix(records)
+    .map(row => ({ hazard: row.name, total: row.total, window: peakWindow(row.months.map(month => month.cost)) }))
+    .filter(row => row.window);
+  return { overall, byHazard };
+};
+
+// Data-driven replacement for the old hard-coded "hurricane season" insight
+export const seasonalityInsight = (records, dollarBasis) => {
+  const { overall, byHazard } = peakRiskWindows(records);
+  if (!overall) return 'There is not enough dated damage in the current view to identify a high-risk season.';
+
+  const monthly = monthlyTotals(records);
+  const peakMonth = _.maxBy(_.range(12), month => monthly[month].cost);
+  const topHazard = byHazard[0];
+  return `Highest risk period is ${describeWindow(overall)}, which accounts for ${
+    Math.round(overall.share * 100)
+  }% of damage costs${
+    overall.length > 1 ? `; ${MONTH_LABELS[peakMonth]} alone accounts for ${formatCurrency(monthly[peakMonth].cost, dollarBasis)}` : ''
+  }${
+    topHazard ? `. ${topHazard.hazard} damage concentrates in ${describeWindow(topHazard.window)}` : ''
+  }`;
+};
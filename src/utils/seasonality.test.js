@@ -0,0 +1,65 @@
+import { MONTH_LABELS, monthOrder, monthHazardMatrix, monthYearMatrix, peakWindow, describeWindow, peakRiskWindows, seasonalityInsight } from './seasonality';
+
+const record = (date, cost, event = 'Hurricane', storm = '') => ({
+  'Weather Event': event,
+  weatherEventFull: event,
+  storm,
+  Cost: cost,
+  date: new Date(date),
+  Year: new Date(date).getFullYear()
+});
+
+describe('peakWindow', () => {
+  test('finds the shortest run holding the requested share', () => {
+    const values = [0, 0, 0, 0, 0, 10, 20, 30, 10, 0, 0, 0];
+    expect(peakWindow(values, 0.5)).toEqual({ start: 6, length: 2, value: 50, share: 50 / 70 });
+  });
+
+  test('wraps from December to January', () => {
+    const values = [30, 0, 0, 0, 0, 0, 0, 0, 0, 0, 5, 40];
+    const window = peakWindow(values, 0.9);
+    expect(window).toMatchObject({ start: 11, length: 2, value: 70 });
+    expect(describeWindow(window)).toBe('Dec-Jan');
+  });
+
+  test('is null without any cost', () => {
+    expect(peakWindow(new Array(12).fill(0))).toBeNull();
+  });
+});
+
+describe('matrices', () => {
+  const records = [
+    record('2022-09-10', 100, 'Hurricane Ian', 'Ian'),
+    record('2022-09-30', 50, 'Hurricane Ian', 'Ian'),
+    record('2023-01-15', 20, 'Winter Storm'),
+    record('2023-01-20', 10, 'Winter Storm')
+  ];
+
+  test('groups cost and distinct events by hazard and month', () => {
+    const matrix = monthHazardMatrix(records);
+    expect(matrix.map(row => row.name)).toEqual(['Hurricane/Tropical Storm', 'Winter Storm']);
+    expect(matrix[0].months[8]).toEqual({ cost: 150, count: 1 });
+    expect(matrix[1].months[0]).toEqual({ cost: 30, count: 2 });
+  });
+
+  test('groups by year in order', () => {
+    const matrix = monthYearMatrix(records);
+    expect(matrix.map(row => row.name)).toEqual(['2022', '2023']);
+    expect(matrix[1].total).toBe(30);
+  });
+
+  test('describes the peak window in the insight text', () => {
+    expect(peakRiskWindows(records).overall).toMatchObject({ start: 8, length: 1 });
+    expect(seasonalityInsight(records)).toMatch(/^Highest risk period is Sep, which accounts for 83% of damage costs/);
+    expect(seasonalityInsight([])).toMatch(/not enough dated damage/);
+  });
+});
+
+describe('monthOrder', () => {
+  test('runs fiscal years from October to September', () => {
+    expect(monthOrder('calendar').map(month => MONTH_LABELS[month])).toEqual(MONTH_LABELS);
+    expect(monthOrder('fiscal').map(month => MONTH_LABELS[month])).toEqual([
+      'Oct', 'Nov', 'Dec', 'Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep'
+    ]);
+  });
+});
@@ -0,0 +1,229 @@
+import _ from 'lodash';
+import { normalizeWeatherType } from './weatherTypes';
+import { canonicalInstallation } from './locations';
+import { eventKey } from './storms';
+import { remainingFraction } from './scenarios';
+
+// Monte Carlo annual-loss model. Records are grouped into events (see
+// eventKey) for each hazard/installation cell; each cell gets a Poisson event
+// frequency and a severity distribution fitted to its event costs. Thousands
+// of years are then simulated to estimate the spread of annual losses, which
+// the forecast's single line can't show. The model is stationary: frequencies
+// are historical averages without the forecast's trend.
+
+export const SEVERITY_MODELS = [
+  { id: 'lognormal', label: 'Lognormal' },
+  { id: 'empirical', label: 'Empirical (resampled events)' }
+];
+
+export const SIMULATION_YEARS = [1000, 10000, 50000];
+export const DEFAULT_SIMULATION_YEARS = 10000;
+export const DEFAULT_SEED = 2024;
+
+// Number of points on an exceedance curve
+const CURVE_POINTS = 40;
+// Lognormal draws are capped at this multiple of the largest event cost seen
+// for the hazard. With few events and costs spanning several orders of
+// magnitude the fitted tail is otherwise heavy enough to produce losses no
+// installation could incur.
+const SEVERITY_CAP = 10;
+
+// Seeded uniform random numbers in [0, 1) (mulberry32), so a simulation can be
+// reproduced exactly from its seed
+export const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Standard normal draw (Box-Muller)
+const sampleNormal = (random) => Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+
+// Poisson draw: Knuth's multiplication method for the small rates seen per
+// cell, and the normal approximation above LARGE_RATE where it gets slow
+const LARGE_RATE = 30;
+export const samplePoisson = (lambda, random) => {
+  if (lambda <= 0) return 0;
+  if (lambda >= LARGE_RATE) return Math.max(0, Math.round(lambda + Math.sqrt(lambda) * sampleNormal(random)));
+  const limit = Math.exp(-lambda);
+  let count = 0;
+  let product = random();
+  while (product > limit) {
+    count += 1;
+    product *= random();
+  }
+  return count;
+};
+
+const sampleStdDev = (values) => {
+  if (values.length < 2) return null;
+  const mean = _.mean(values);
+  return Math.sqrt(_.sumBy(values, v => (v - mean) ** 2) / (values.length - 1));
+};
+
+const hazardOf = item => normalizeWeatherType(item['Weather Event']);
+
+// Fit the frequency and severity of every hazard/installation cell.
+//   records  - damage records; events without a positive cost are left out
+//   severity - 'lognormal' or 'empirical'
+// Returns { observedYears, eventCount, cells } with each cell's `frequency`
+// (events per year over the whole observed span, so a hazard seen once in
+// ten years gets 0.1) and a severity sampler. A lognormal cell with a single
+// event borrows the log-cost spread of its hazard across installations.
+export const fitLossModel = (records, { severity = 'lognormal' } = {}) => {
+  const years = records.map(item => item.Year).filter(year => !isNaN(year));
+  if (years.length === 0) return { observedYears: 0, eventCount: 0, cells: [] };
+  const observedYears = _.max(years) - _.min(years) + 1;
+
+  const events = _.chain(records)
+    .groupBy(item => `${hazardOf(item)}|${canonicalInstallation(item.Installation)}|${eventKey(item)}`)
+    .map(items => ({
+      hazard: hazardOf(items[0]),
+      installation: canonicalInstallation(items[0].Installation),
+      cost: _.sumBy(items, 'Cost')
+    }))
+    .filter(event => event.cost > 0)
+    .value();
+
+  const byHazard = _.groupBy(events, 'hazard');
+  const hazardSpread = _.mapValues(byHazard, items => sampleStdDev(items.map(event => Math.log(event.cost))) || 0);
+  const hazardCap = _.mapValues(byHazard, items => SEVERITY_CAP * _.maxBy(items, 'cost').cost);
+
+  const cells = _.chain(events)
+    .groupBy(event => `${event.hazard}|${event.installation}`)
+    .map(items => {
+      const costs = items.map(event => event.cost);
+      const logCosts = costs.map(Math.log);
+      return {
+        hazard: items[0].hazard,
+        installation: items[0].installation,
+        events: items.length,
+        frequency: items.length / observedYears,
+        severity: severity === 'empirical'
+          ? { type: 'empirical', costs }
+          : {
+            type: 'lognormal',
+            mu: _.mean(logCosts),
+            sigma: sampleStdDev(logCosts) ?? hazardSpread[items[0].hazard],
+            max: hazardCap[items[0].hazard]
+          }
+      };
+    })
+    .sortBy(['hazard', 'installation'])
+    .value();
+
+  return { observedYears, eventCount: events.length, cells };
+};
+
+const sampleSeverity = (severity, random) => (severity.type === 'empirical'
+  ? severity.costs[Math.floor(random() * severity.costs.length)]
+  : Math.min(severity.max, Math.exp(severity.mu + severity.sigma * sampleNormal(random))));
+
+// Simulate `years` years of losses from a fitted model. Every cell's loss is
+// scaled by the mitigation `scenarios` that apply to it; the same events are
+// used with and without mitigation, so the difference is the measures alone.
+// Annual losses are Float64Arrays of { losses, mitigated }, for the `total`
+// and for each hazard and installation in `byHazard` / `byInstallation`.
+export const simulateAnnualLosses = ({ model, years = DEFAULT_SIMULATION_YEARS, seed = DEFAULT_SEED, scenarios = [] }) => {
+  const random = createRandom(seed);
+  const newSeries = () => ({ losses: new Float64Array(years), mitigated: new Float64Array(years) });
+  const total = newSeries();
+  const byHazard = {};
+  const byInstallation = {};
+
+  model.cells.forEach(cell => {
+    const remaining = remainingFraction(scenarios, cell);
+    const series = [
+      total,
+      byHazard[cell.hazard] || (byHazard[cell.hazard] = newSeries()),
+      byInstallation[cell.installation] || (byInstallation[cell.installation] = newSeries())
+    ];
+    for (let year = 0; year < years; year += 1) {
+      let loss = 0;
+      for (let count = samplePoisson(cell.frequency, random); count > 0; count -= 1) {
+        loss += sampleSeverity(cell.severity, random);
+      }
+      series.forEach(({ losses, mitigated }) => {
+        losses[year] += loss;
+        mitigated[year] += loss * remaining;
+      });
+    }
+  });
+
+  return { years, seed, total, byHazard, byInstallation };
+};
+
+// Empirical quantile of ascending `sorted` values: the loss not exceeded in
+// a fraction `p` of the simulated years
+export const quantileOf = (sorted, p) => sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil(p * sorted.length) - 1))];
+
+const sortedCopy = (values) => Float64Array.from(values).sort();
+
+export const lossPercentiles = (values) => {
+  const sorted = sortedCopy(values);
+  return {
+    mean: _.sum(Array.from(values)) / values.length,
+    p50: quantileOf(sorted, 0.5),
+    p90: quantileOf(sorted, 0.9),
+    p99: quantileOf(sorted, 0.99)
+  };
+};
+
+// Annual loss exceeded with each probability, at return periods spread
+// evenly on a log scale from 1 year to the number of simulated years.
+// `series` maps a key to annual losses, e.g. { loss, mitigatedLoss }.
+export const exceedanceCurve = (series) => {
+  const sorted = _.mapValues(series, sortedCopy);
+  const years = Object.values(series)[0].length;
+  return _.uniq(_.range(CURVE_POINTS).map(i => Math.round(years ** (i / (CURVE_POINTS - 1)) * 100) / 100))
+    .map(returnPeriod => ({
+      returnPeriod,
+      probability: 1 / returnPeriod,
+      ..._.mapValues(sorted, values => quantileOf(values, 1 - 1 / returnPeriod))
+    }));
+};
+
+const percentileRows = (seriesByName, mitigating) => _.orderBy(
+  _.map(seriesByName, ({ losses, mitigated }, name) => ({
+    name,
+    ...lossPercentiles(losses),
+    ...(mitigating ? { mitigatedP99: lossPercentiles(mitigated).p99 } : {})
+  })),
+  ['p99', 'mean'],
+  ['desc', 'desc']
+);
+
+// Fit, simulate and summarize in one step for the Loss Simulation tab.
+// Returns null when there is nothing to fit. With mitigation `scenarios`,
+// the mitigated total and each row's mitigated P99 are included.
+export const runLossSimulation = ({
+  records,
+  years = DEFAULT_SIMULATION_YEARS,
+  seed = DEFAULT_SEED,
+  severity = 'lognormal',
+  scenarios = []
+}) => {
+  const model = fitLossModel(records, { severity });
+  if (model.cells.length === 0) return null;
+
+  const { total, byHazard, byInstallation } = simulateAnnualLosses({ model, years, seed, scenarios });
+  const mitigating = scenarios.length > 0;
+
+  return {
+    years,
+    seed,
+    severity,
+    observedYears: model.observedYears,
+    eventCount: model.eventCount,
+    total: lossPercentiles(total.losses),
+    mitigated: mitigating ? lossPercentiles(total.mitigated) : null,
+    curve: exceedanceCurve(mitigating ? { loss: total.losses, mitigatedLoss: total.mitigated } : { loss: total.losses }),
+    byHazard: percentileRows(byHazard, mitigating),
+    byInstallation: percentileRows(byInstallation, mitigating)
+  };
+};
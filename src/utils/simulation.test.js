@@ -0,0 +1,132 @@
+import _ from 'lodash';
+import {
+  createRandom, samplePoisson, fitLossModel, simulateAnnualLosses, lossPercentiles, exceedanceCurve, quantileOf, runLossSimulation
+} from './simulation';
+
+const record = (event, installation, date, cost) => ({
+  'Weather Event': event,
+  weatherEventFull: event,
+  storm: '',
+  Installation: installation,
+  Cost: cost,
+  date: new Date(date),
+  Year: new Date(date).getFullYear()
+});
+
+// Ten years with a flood at Fort Stewart every year and hail at Fort Bliss
+// every other year
+const RECORDS = [
+  ..._.range(2015, 2025).map(year => record('Flooding', 'Fort Stewart', `${year}-06-01T00:00:00`, 100000 * (1 + (year % 3)))),
+  ..._.range(2015, 2025, 2).map(year => record('Hail', 'Fort Bliss', `${year}-05-01T00:00:00`, 500000))
+];
+
+describe('random numbers', () => {
+  test('repeat for the same seed', () => {
+    const a = createRandom(42);
+    const b = createRandom(42);
+    const c = createRandom(43);
+    const first = _.times(5, a);
+    expect(_.times(5, b)).toEqual(first);
+    expect(_.times(5, c)).not.toEqual(first);
+    first.forEach(value => expect(value >= 0 && value < 1).toBe(true));
+  });
+
+  test('give Poisson counts with the requested mean', () => {
+    const random = createRandom(7);
+    [0.5, 3, 50].forEach(lambda => {
+      const mean = _.mean(_.times(20000, () => samplePoisson(lambda, random)));
+      expect(mean).toBeCloseTo(lambda, lambda < 10 ? 1 : 0);
+    });
+    expect(samplePoisson(0, random)).toBe(0);
+  });
+});
+
+describe('fitLossModel', () => {
+  test('fits one cell per hazard and installation with yearly frequencies', () => {
+    const model = fitLossModel(RECORDS);
+    expect(model.observedYears).toBe(10);
+    expect(model.eventCount).toBe(15);
+    expect(model.cells.map(cell => [cell.hazard, cell.installation, cell.frequency])).toEqual([
+      ['Flooding', 'Fort Stewart', 1],
+      ['Hail', 'Fort Bliss', 0.5]
+    ]);
+    const { severity } = model.cells[1];
+    expect(severity.type).toBe('lognormal');
+    expect(severity.mu).toBeCloseTo(Math.log(500000));
+    expect(severity.sigma).toBeCloseTo(0);
+    expect(severity.max).toBe(5000000);
+  });
+
+  test('counts the lines of one event once', () => {
+    const lines = [
+      record('Flooding', 'Fort Stewart', '2020-06-01T00:00:00', 1000),
+      record('Flooding', 'Fort Stewart', '2020-06-01T00:00:00', 2000)
+    ];
+    const { cells } = fitLossModel(lines, { severity: 'empirical' });
+    expect(cells[0].severity).toEqual({ type: 'empirical', costs: [3000] });
+    expect(cells[0].frequency).toBe(1);
+  });
+
+  test('is empty without records', () => {
+    expect(fitLossModel([]).cells).toEqual([]);
+    expect(runLossSimulation({ records: [] })).toBeNull();
+  });
+});
+
+describe('simulateAnnualLosses', () => {
+  test('is reproducible from its seed', () => {
+    const model = fitLossModel(RECORDS);
+    const first = simulateAnnualLosses({ model, years: 2000, seed: 99 });
+    const again = simulateAnnualLosses({ model, years: 2000, seed: 99 });
+    const other = simulateAnnualLosses({ model, years: 2000, seed: 100 });
+    expect(Array.from(again.total.losses)).toEqual(Array.from(first.total.losses));
+    expect(Array.from(other.total.losses)).not.toEqual(Array.from(first.total.losses));
+    expect(runLossSimulation({ records: RECORDS, years: 2000, seed: 5 })).toEqual(runLossSimulation({ records: RECORDS, years: 2000, seed: 5 }));
+  });
+
+  test('averages close to the historical annual loss with empirical severity', () => {
+    const model = fitLossModel(RECORDS, { severity: 'empirical' });
+    const { total, byHazard, byInstallation } = simulateAnnualLosses({ model, years: 20000, seed: 1 });
+    const historical = _.sumBy(RECORDS, 'Cost') / 10;
+    expect(lossPercentiles(total.losses).mean / historical).toBeCloseTo(1, 1);
+    expect(lossPercentiles(byHazard.Hail.losses).mean / 250000).toBeCloseTo(1, 1);
+    expect(Array.from(byInstallation['Fort Bliss'].losses)).toEqual(Array.from(byHazard.Hail.losses));
+  });
+
+  test('applies mitigation to the same simulated events', () => {
+    const model = fitLossModel(RECORDS);
+    const scenarios = [{ id: 'levee', hazard: 'Flooding', reduction: 0.5, installations: [] }];
+    const { total, byHazard } = simulateAnnualLosses({ model, years: 1000, seed: 3, scenarios });
+    byHazard.Flooding.losses.forEach((loss, year) => expect(byHazard.Flooding.mitigated[year]).toBeCloseTo(loss * 0.5));
+    expect(Array.from(byHazard.Hail.mitigated)).toEqual(Array.from(byHazard.Hail.losses));
+    expect(_.sum(Array.from(total.mitigated))).toBeLessThan(_.sum(Array.from(total.losses)));
+  });
+});
+
+describe('summaries', () => {
+  test('percentiles and exceedance curve read the sorted annual losses', () => {
+    const losses = Float64Array.from(_.range(1, 101));
+    expect(lossPercentiles(losses)).toEqual({ mean: 50.5, p50: 50, p90: 90, p99: 99 });
+    expect(quantileOf(Float64Array.from([3, 5]), 0)).toBe(3);
+
+    const curve = exceedanceCurve({ loss: losses });
+    expect(curve[0]).toEqual({ returnPeriod: 1, probability: 1, loss: 1 });
+    expect(_.last(curve)).toMatchObject({ returnPeriod: 100, loss: 99 });
+    expect(curve.map(point => point.loss)).toEqual([...curve.map(point => point.loss)].sort((a, b) => a - b));
+  });
+
+  test('runLossSimulation reports mitigated percentiles only with measures', () => {
+    const plain = runLossSimulation({ records: RECORDS, years: 1000 });
+    expect(plain.mitigated).toBeNull();
+    expect(plain.byHazard[0]).not.toHaveProperty('mitigatedP99');
+
+    const mitigated = runLossSimulation({
+      records: RECORDS,
+      years: 1000,
+      scenarios: [{ id: 'roofs', hazard: 'Hail', reduction: 1, installations: ['Fort Bliss'] }]
+    });
+    expect(mitigated.byInstallation.find(row => row.name === 'Fort Bliss').mitigatedP99).toBe(0);
+    expect(mitigated.curve[0]).toHaveProperty('mitigatedLoss');
+    expect(mitigated.total.mean).toBe(plain.total.mean);
+  });
+});
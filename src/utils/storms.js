@@ -0,0 +1,77 @@
+import _ from 'lodash';
+import { normalizeWeatherType } from './weatherTypes';
+import { canonicalInstallation } from './locations';
+import { toISODay } from './dates';
+
+// Files without a "Named Storm" column put the name in the event itself:
+// "Hurricane Helene", "Tropical Storm Debby", "Hurricane Debby, Flooding".
+const NAMED_EVENT = /^(?:super\s+)?(?:hurricane|typhoon|tropical\s+storm)\s+([A-Z][a-z]+)\b/i;
+// Unnamed tropical systems are numbered: "Cyclone #8", "Tropical Cyclone 8"
+const NUMBERED_CYCLONE = /^(?:tropical\s+)?cyclone\s*#?\s*(\d+)$/i;
+
+const GENERIC_WORDS = ['typhoon', 'storm', 'wind', 'damage', 'flooding'];
+
+// Name of the storm behind a record, or '' for events that aren't a
+// named or numbered storm
+export const stormName = (weatherEvent, namedStorm) => {
+  const named = (namedStorm || '').trim();
+  const event = (weatherEvent || '').trim();
+  const numbered = (named || event).match(NUMBERED_CYCLONE);
+  if (numbered) return `Cyclone #${numbered[1]}`;
+  if (named) return named;
+
+  const match = event.match(NAMED_EVENT);
+  return match && !GENERIC_WORDS.includes(match[1].toLowerCase()) ? _.capitalize(match[1]) : '';
+};
+
+// Label used to group records into events on the charts: one entry per
+// storm, whatever the files called it, and the raw event otherwise
+export const eventLabel = (item) => (item.storm
+  ? `${item.storm} (${normalizeWeatherType(item['Weather Event'])})`
+  : item.weatherEventFull);
+
+// Identity of the weather event behind a record. A named storm is one event
+// wherever and whenever it was reported; other events are told apart by date.
+export const eventKey = (item) => (item.storm ? eventLabel(item) : `${eventLabel(item)}|${toISODay(item.date)}`);
+
+// After-action cost breakdown for the records of one event
+export const summarizeEvent = (records) => {
+  const totalCost = _.sumBy(records, 'Cost');
+
+  const byInstallation = _.chain(records)
+    .groupBy(item => canonicalInstallation(item.Installation))
+    .map((items, name) => ({ name, state: items[0].State, value: _.sumBy(items, 'Cost'), count: items.length }))
+    .orderBy(['value'], ['desc'])
+    .value();
+
+  const byAppropriation = _.chain(records)
+    .groupBy(item => `${item.Appropriation || 'Unspecified'}|${item['Line Item/SAG'] || ''}`)
+    .map(items => ({
+      appropriation: items[0].Appropriation || 'Unspecified',
+      sag: items[0]['Line Item/SAG'] || '',
+      sagTitle: items[0]['Line Item/SAG title'] || '',
+      value: _.sumBy(items, 'Cost'),
+      count: items.length
+    }))
+    .orderBy(['value'], ['desc'])
+    .value();
+
+  let cumulative = 0;
+  const timeline = _.chain(records)
+    .groupBy(item => toISODay(item.date))
+    .map((items, day) => ({ name: day, value: _.sumBy(items, 'Cost'), count: items.length }))
+    .sortBy('name')
+    .map(point => {
+      cumulative += point.value;
+      return { ...point, cumulative };
+    })
+    .value();
+
+  return {
+    totalCost,
+    byInstallation,
+    byAppropriation,
+    timeline,
+    lines: _.orderBy(records, ['Cost'], ['desc'])
+  };
+};
@@ -0,0 +1,40 @@
+import { stormName, summarizeEvent } from './storms';
+
+describe('stormName', () => {
+  test.each([
+    ['Hurricane (Typhoon)', 'Helene', 'Helene'],
+    ['Hurricane Helene', '', 'Helene'],
+    ['Hurricane Debby, Flooding ', '', 'Debby'],
+    ['Tropical Storm Debby', '', 'Debby'],
+    ['Tropical Storm', 'Cyclone #8', 'Cyclone #8'],
+    ['Cyclone #8', '', 'Cyclone #8'],
+    ['Tropical Cyclone 8', '', 'Cyclone #8'],
+    ['Tropical Storm', '', ''],
+    ['Winter Storm', '', ''],
+    ['Hurricane (Typhoon)', '', '']
+  ])('reads %p / %p as %p', (event, named, expected) => {
+    expect(stormName(event, named)).toBe(expected);
+  });
+});
+
+describe('summarizeEvent', () => {
+  const records = [
+    { Installation: 'Fort Bragg', State: 'NC', Appropriation: 'OMA', 'Line Item/SAG': '131', Cost: 300, date: new Date(2024, 8, 27) },
+    { Installation: 'Fort Liberty', State: 'NC', Appropriation: 'OMA', 'Line Item/SAG': '131', Cost: 200, date: new Date(2024, 8, 26) },
+    { Installation: 'Fort Stewart', State: 'GA', Appropriation: 'OMARNG', 'Line Item/SAG': '132', Cost: 100, date: new Date(2024, 8, 26) }
+  ];
+
+  test('breaks costs down by installation and appropriation', () => {
+    const summary = summarizeEvent(records);
+    expect(summary.totalCost).toBe(600);
+    expect(summary.byInstallation[0]).toMatchObject({ name: 'Fort Liberty', value: 500, count: 2 });
+    expect(summary.byAppropriation.map(row => [row.appropriation, row.value])).toEqual([['OMA', 500], ['OMARNG', 100]]);
+  });
+
+  test('builds a cumulative timeline by day', () => {
+    expect(summarizeEvent(records).timeline).toEqual([
+      { name: '2024-09-26', value: 300, count: 2, cumulative: 300 },
+      { name: '2024-09-27', value: 300, count: 1, cumulative: 600 }
+    ]);
+  });
+});
@@ -0,0 +1,99 @@
+import Ajv from 'ajv';
+import _ from 'lodash';
+import { STATES } from '../data/states';
+import { normalizeState } from './locations';
+import { parseCost, mapRow, normalizeRecord } from './ingestion';
+import { parseDate, toISODay } from './dates';
+
+// Schema every uploaded row must satisfy before it can join the dataset.
+// Rows are checked after type conversion (see toCandidate), so a cost that
+// can't be read arrives as null and a date that can't be parsed keeps its
+// original text and fails the ISO pattern.
+export const RECORD_SCHEMA = {
+  type: 'object',
+  required: ['Weather Event', 'Date of Weather Event', 'Installation', 'State', 'Cost'],
+  properties: {
+    'Weather Event': { type: 'string', minLength: 1 },
+    'Date of Weather Event': { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$' },
+    'Installation': { type: 'string', minLength: 1 },
+    'State': { type: 'string', enum: Object.keys(STATES) },
+    'Cost': { type: 'number', minimum: 0 }
+  }
+};
+
+export const ISSUE_TYPES = {
+  'missing-cost': 'Missing cost',
+  'negative-cost': 'Negative cost',
+  'invalid-date': 'Unparseable date',
+  'unknown-state': 'Unknown state',
+  'missing-field': 'Missing required field'
+};
+
+const ajv = new Ajv({ allErrors: true });
+const validateRecord = ajv.compile(RECORD_SCHEMA);
+
+// Convert a column-mapped row to the typed values the schema checks
+const toCandidate = (row, dateOrder) => {
+  const cost = parseCost(row.Cost);
+  const { date } = parseDate(row['Date of Weather Event'], { order: dateOrder });
+  return {
+    'Weather Event': row['Weather Event'] || '',
+    'Date of Weather Event': date ? toISODay(date) : (row['Date of Weather Event'] || ''),
+    'Installation': row.Installation || '',
+    'State': normalizeState(row.State) || row.State || '',
+    'Cost': isNaN(cost) ? null : cost
+  };
+};
+
+// Translate an ajv error into one of ISSUE_TYPES
+const describeError = (error, candidate) => {
+  const field = error.instancePath.replace(/^\//, '');
+  let type;
+  if (field === 'Cost') {
+    type = error.keyword === 'minimum' ? 'negative-cost' : 'missing-cost';
+  } else if (field === 'Date of Weather Event') {
+    type = 'invalid-date';
+  } else if (field === 'State') {
+    type = 'unknown-state';
+  } else {
+    type = 'missing-field';
+  }
+
+  const value = candidate[field];
+  const detail = value === '' || value === null || value === undefined ? 'empty' : `"${value}"`;
+  return { type, field, message: `${ISSUE_TYPES[type]}: ${field} is ${detail}` };
+};
+
+// Validate uploaded rows against RECORD_SCHEMA. Every row ends up either in
+// `records` (normalized and ready to merge) or in `rejected` together with
+// the issues that kept it out; accepted rows whose date was ambiguous are
+// listed in `warnings`. `rowNumber` is the spreadsheet row, counting
+// the header as row 1.
+export const validateRows = (rawRows, source) => {
+  const records = [];
+  const rejected = [];
+  const warnings = [];
+
+  rawRows.forEach((raw, index) => {
+    const row = mapRow(raw, source);
+    const candidate = toCandidate(row, source.dateOrder);
+    const rowNumber = index + 2; // header is line 1
+
+    if (validateRecord(candidate)) {
+      const { record, issue } = normalizeRecord(raw, source);
+      records.push({ ...record, id: `${source.id}:${rowNumber}` });
+      if (issue) warnings.push({ rowNumber, raw, issues: [issue] });
+    } else {
+      const issues = _.uniqBy(validateRecord.errors.map(error => describeError(error, candidate)), 'message');
+      rejected.push({ rowNumber, raw, issues });
+    }
+  });
+
+  return {
+    records,
+    rejected,
+    warnings,
+    missingColumns: RECORD_SCHEMA.required.filter(field => !source.columns[field]),
+    issueCounts: _.countBy(_.flatMap(rejected, row => _.uniqBy(row.issues, 'type')), 'type')
+  };
+};
@@ -0,0 +1,92 @@
+import { validateRows } from './validation';
+
+const COLUMNS = {
+  'Weather Event': 'Event',
+  'Date of Weather Event': 'Date',
+  'Installation': 'Installation',
+  'State': 'State',
+  'Cost': 'Cost'
+};
+
+const UPLOAD = { id: 'upload-1', type: 'upload', dateOrder: 'MDY', columns: COLUMNS };
+
+const row = (fields) => ({
+  Event: 'Flooding', Date: '9/27/2024', Installation: 'Fort Stewart', State: 'Georgia', Cost: '$12,500', ...fields
+});
+
+const issueTypes = (report) => report.rejected.map(rejected => rejected.issues.map(issue => issue.type));
+
+describe('validateRows', () => {
+  test('passes a valid row through as a normalized record', () => {
+    const report = validateRows([row({})], UPLOAD);
+    expect(report.rejected).toEqual([]);
+    expect(report.warnings).toEqual([]);
+    expect(report.missingColumns).toEqual([]);
+    expect(report.issueCounts).toEqual({});
+    expect(report.records).toHaveLength(1);
+    expect(report.records[0]).toMatchObject({
+      id: 'upload-1:2',
+      'Weather Event': 'Flooding',
+      Installation: 'Fort Stewart',
+      State: 'GA',
+      Cost: 12500,
+      Year: 2024,
+      source: 'upload-1'
+    });
+  });
+
+  test('rejects a missing cost', () => {
+    const report = validateRows([row({ Cost: '' }), row({ Cost: 'n/a' })], UPLOAD);
+    expect(report.records).toEqual([]);
+    expect(issueTypes(report)).toEqual([['missing-cost'], ['missing-cost']]);
+    expect(report.rejected[0].issues[0]).toEqual({ type: 'missing-cost', field: 'Cost', message: 'Missing cost: Cost is empty' });
+  });
+
+  test('rejects a negative cost', () => {
+    const report = validateRows([row({ Cost: '-500' })], UPLOAD);
+    expect(report.records).toEqual([]);
+    expect(report.rejected[0].issues).toEqual([
+      { type: 'negative-cost', field: 'Cost', message: 'Negative cost: Cost is "-500"' }
+    ]);
+  });
+
+  test('rejects an unparseable date', () => {
+    const report = validateRows([row({ Date: 'Multiple 2023' })], UPLOAD);
+    expect(report.records).toEqual([]);
+    expect(report.rejected[0].issues).toEqual([
+      { type: 'invalid-date', field: 'Date of Weather Event', message: 'Unparseable date: Date of Weather Event is "Multiple 2023"' }
+    ]);
+  });
+
+  test('rejects an unknown state', () => {
+    const report = validateRows([row({ State: 'Atlantis' })], UPLOAD);
+    expect(report.records).toEqual([]);
+    expect(issueTypes(report)).toEqual([['unknown-state']]);
+    expect(report.rejected[0].issues[0].message).toBe('Unknown state: State is "Atlantis"');
+  });
+
+  test('reports every problem of a row and counts them by type', () => {
+    const rows = [row({}), row({ Cost: '-1', State: 'Atlantis' }), row({ Cost: '' }), row({ Event: '' })];
+    const report = validateRows(rows, UPLOAD);
+    expect(report.records.map(record => record.id)).toEqual(['upload-1:2']);
+    // Row numbers count the header as row 1
+    expect(report.rejected.map(rejected => rejected.rowNumber)).toEqual([3, 4, 5]);
+    expect(issueTypes(report)[0].sort()).toEqual(['negative-cost', 'unknown-state']);
+    expect(report.rejected[0].raw).toBe(rows[1]);
+    expect(report.issueCounts).toEqual({ 'negative-cost': 1, 'unknown-state': 1, 'missing-cost': 1, 'missing-field': 1 });
+  });
+
+  test('keeps ambiguous dates with a warning', () => {
+    const report = validateRows([row({ Date: '3/4/2024' })], { ...UPLOAD, dateOrder: 'auto' });
+    expect(report.records).toHaveLength(1);
+    expect(report.warnings).toHaveLength(1);
+    expect(report.warnings[0].rowNumber).toBe(2);
+  });
+
+  test('lists required columns the file lacks', () => {
+    const { Cost, ...columns } = COLUMNS;
+    const report = validateRows([row({})], { ...UPLOAD, columns });
+    expect(report.missingColumns).toEqual(['Cost']);
+    expect(issueTypes(report)).toEqual([['missing-cost']]);
+  });
+});
@@ -0,0 +1,60 @@
+import _ from 'lodash';
+import HAZARD_TAXONOMY from '../data/hazardTaxonomy.json';
+
+// Classification of raw "Weather Event" strings into hazard categories.
+// The rules live in data/hazardTaxonomy.json; see its description for how
+// they are applied.
+
+const SEPARATORS = new RegExp(HAZARD_TAXONOMY.separators, 'i');
+const FALLBACK = HAZARD_TAXONOMY.fallback;
+
+const RULES = _.orderBy(
+  HAZARD_TAXONOMY.rules.map(rule => ({ ...rule, regex: new RegExp(rule.pattern, 'i') })),
+  ['priority'],
+  ['desc']
+);
+
+// Category for one part of a raw event, with the alias or rule that matched
+const classifyPart = (part) => {
+  const key = part.toLowerCase();
+  if (HAZARD_TAXONOMY.aliases[key]) {
+    return { part, category: HAZARD_TAXONOMY.aliases[key], matchedBy: `alias "${key}"` };
+  }
+  const rule = RULES.find(candidate => candidate.regex.test(part));
+  return rule
+    ? { part, category: rule.category, matchedBy: `rule /${rule.pattern}/ (priority ${rule.priority})` }
+    : { part, category: null, matchedBy: null };
+};
+
+const cache = new Map();
+
+// Classify a raw event. Returns
+//   { primary, secondary, parts, unmapped }
+// `primary` is the category of the first recognized part ("Hurricane Debby,
+// Flooding" is a hurricane with secondary flooding), `secondary` the other
+// categories in the order they appear, and `unmapped` the parts no alias or
+// rule recognized.
+export const classifyWeatherEvent = (type) => {
+  const text = (type || '').toString().trim();
+  if (cache.has(text)) return cache.get(text);
+
+  const parts = text.split(SEPARATORS).filter(Boolean).map(classifyPart);
+  const categories = _.uniq(parts.map(part => part.category).filter(Boolean));
+  const result = {
+    primary: categories[0] || FALLBACK,
+    secondary: categories.slice(1),
+    parts,
+    unmapped: parts.filter(part => !part.category).map(part => part.part)
+  };
+
+  cache.set(text, result);
+  return result;
+};
+
+// Primary hazard category of a raw event
+export const normalizeWeatherType = (type) => classifyWeatherEvent(type).primary;
+
+// Fixed color per normalized category so a hazard looks the same on every view
+export const HAZARD_COLORS = _.fromPairs(HAZARD_TAXONOMY.categories.map(category => [category.name, category.color]));
+
+export const HAZARD_CATEGORIES = Object.keys(HAZARD_COLORS);
@@ -0,0 +1,43 @@
+import { classifyWeatherEvent, normalizeWeatherType } from './weatherTypes';
+
+describe('classifyWeatherEvent', () => {
+  test.each([
+    ['Hail/Wind Storm', 'Hail', ['Severe Storm']],
+    ['Flooding/Wind', 'Flooding', ['Severe Storm']],
+    ['Hurricane Debby, Flooding ', 'Hurricane/Tropical Storm', ['Flooding']],
+    ['High Wind/Rain Storm', 'Severe Storm', ['Flooding']]
+  ])('splits %p into primary and secondary hazards', (raw, primary, secondary) => {
+    const result = classifyWeatherEvent(raw);
+    expect(result.primary).toBe(primary);
+    expect(result.secondary).toEqual(secondary);
+  });
+
+  test.each([
+    ['Hail Storm', 'Hail'],
+    ['Hailstorm', 'Hail'],
+    ['Snow Storm', 'Winter Storm'],
+    ['Tropical Storm Debby', 'Hurricane/Tropical Storm'],
+    ['Cyclone #8', 'Hurricane/Tropical Storm'],
+    ['Tropical Cyclone 8', 'Hurricane/Tropical Storm'],
+    ['Hurricane (Typhoon)', 'Hurricane/Tropical Storm'],
+    ["Nor'easter Storm", 'Severe Storm'],
+    ['High Surf', 'Wave'],
+    ['Wildfire', 'Fire']
+  ])('resolves overlapping rules by priority: %p is %p', (raw, primary) => {
+    expect(normalizeWeatherType(raw)).toBe(primary);
+  });
+
+  test('uses explicit aliases for names the rules cannot know', () => {
+    expect(classifyWeatherEvent('MAWAR').parts[0].matchedBy).toMatch(/alias/);
+    expect(normalizeWeatherType('MAWAR')).toBe('Hurricane/Tropical Storm');
+    expect(normalizeWeatherType('Torando')).toBe('Tornado');
+  });
+
+  test('reports parts nothing matches instead of hiding them', () => {
+    const result = classifyWeatherEvent('Volcanic Ash/Flooding');
+    expect(result.primary).toBe('Flooding');
+    expect(result.unmapped).toEqual(['Volcanic Ash']);
+
+    expect(classifyWeatherEvent('Dust Devil')).toMatchObject({ primary: 'Other', unmapped: ['Dust Devil'] });
+  });
+});